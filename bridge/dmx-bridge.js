@@ -0,0 +1,231 @@
+/**
+ * DMX Network Bridge
+ *
+ * Browsers cannot send UDP packets, so network DMX drivers (Art-Net, sACN)
+ * send their packets over a WebSocket to this small local bridge, which
+ * forwards them as UDP datagrams.
+ *
+ * Usage:
+ *   node bridge/dmx-bridge.js [--port 6455] [--host 127.0.0.1] [--origin https://example.com ...]
+ *
+ * Message format (binary WebSocket messages, one UDP datagram each):
+ *   byte 0          - Length N of the destination host string
+ *   bytes 1..N      - Destination host (ASCII, IPv4 address or hostname)
+ *   bytes N+1..N+2  - Destination port (big-endian)
+ *   bytes N+3..     - UDP payload
+ *
+ * The bridge only listens on the loopback interface by default, so other
+ * machines on the network cannot connect to it. That doesn't stop web pages
+ * in the browser of the operator from connecting to the loopback address,
+ * so the bridge also only accepts connections from the origins of the app:
+ * the live demo and the dev server, or the origins given with --origin.
+ * Datagrams only go to the Art-Net and sACN ports, so the bridge can't be
+ * used to send packets to other services.
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { createSocket } from 'node:dgram';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+// Origins of the app, allowed to connect when no --origin is given
+const DEFAULT_ORIGINS = [
+	'https://dmx.nielsleenheer.com',
+	'http://localhost:5183',
+	'http://127.0.0.1:5183'
+];
+
+// Destination ports of Art-Net and sACN
+const ALLOWED_PORTS = [6454, 5568];
+
+/**
+ * Parse command line options
+ * --origin can be given more than once, the origins replace the default origins
+ * @param {string[]} args - Command line arguments
+ * @returns {{port: number, host: string, origins: string[]}}
+ */
+function parseOptions(args) {
+	const options = { port: 6455, host: '127.0.0.1', origins: [] };
+
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === '--port') options.port = parseInt(args[++i]);
+		if (args[i] === '--host') options.host = args[++i];
+		if (args[i] === '--origin') options.origins.push(args[++i].replace(/\/+$/, ''));
+	}
+
+	if (options.origins.length === 0) {
+		options.origins = DEFAULT_ORIGINS;
+	}
+
+	return options;
+}
+
+/**
+ * Encode a single unmasked WebSocket frame (server to client)
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload (max 125 bytes, control frames only)
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+	return Buffer.concat([Buffer.from([0x80 | opcode, payload.length]), payload]);
+}
+
+/**
+ * Decode complete WebSocket frames from a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {{frames: Array<{fin: boolean, opcode: number, payload: Buffer}>, rest: Buffer}}
+ */
+function decodeFrames(buffer) {
+	const frames = [];
+	let offset = 0;
+
+	while (buffer.length - offset >= 2) {
+		const fin = (buffer[offset] & 0x80) !== 0;
+		const opcode = buffer[offset] & 0x0f;
+		const masked = (buffer[offset + 1] & 0x80) !== 0;
+		let length = buffer[offset + 1] & 0x7f;
+		let headerLength = 2;
+
+		if (length === 126) {
+			if (buffer.length - offset < 4) break;
+			length = buffer.readUInt16BE(offset + 2);
+			headerLength = 4;
+		} else if (length === 127) {
+			if (buffer.length - offset < 10) break;
+			length = Number(buffer.readBigUInt64BE(offset + 2));
+			headerLength = 10;
+		}
+
+		const maskLength = masked ? 4 : 0;
+		if (buffer.length - offset < headerLength + maskLength + length) break;
+
+		const mask = buffer.subarray(offset + headerLength, offset + headerLength + maskLength);
+		const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+
+		if (masked) {
+			for (let i = 0; i < payload.length; i++) {
+				payload[i] ^= mask[i % 4];
+			}
+		}
+
+		frames.push({ fin, opcode, payload });
+		offset += headerLength + maskLength + length;
+	}
+
+	return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Split a bridge message into destination and UDP payload
+ * @param {Buffer} message - Binary WebSocket message
+ * @returns {{host: string, port: number, payload: Buffer}|null}
+ */
+function parseMessage(message) {
+	if (message.length < 3) return null;
+
+	const hostLength = message[0];
+	if (message.length < 1 + hostLength + 2) return null;
+
+	return {
+		host: message.toString('ascii', 1, 1 + hostLength),
+		port: message.readUInt16BE(1 + hostLength),
+		payload: message.subarray(1 + hostLength + 2)
+	};
+}
+
+/**
+ * Handle a WebSocket connection and forward its messages over UDP
+ * @param {import('node:net').Socket} socket - Upgraded TCP socket
+ */
+function handleConnection(socket) {
+	const udp = createSocket('udp4');
+	let pending = Buffer.alloc(0);
+	let fragments = [];
+
+	udp.bind(() => {
+		udp.setBroadcast(true);
+		udp.setMulticastTTL(16);
+	});
+
+	udp.on('error', (error) => {
+		console.error('UDP error:', error.message);
+	});
+
+	socket.on('data', (data) => {
+		const { frames, rest } = decodeFrames(Buffer.concat([pending, data]));
+		pending = rest;
+
+		for (const frame of frames) {
+			if (frame.opcode === OPCODE_CLOSE) {
+				socket.end(encodeFrame(OPCODE_CLOSE));
+				return;
+			}
+
+			if (frame.opcode === OPCODE_PING) {
+				socket.write(encodeFrame(OPCODE_PONG, frame.payload));
+				continue;
+			}
+
+			if (frame.opcode !== OPCODE_BINARY && frame.opcode !== OPCODE_CONTINUATION) continue;
+
+			fragments.push(frame.payload);
+			if (!frame.fin) continue;
+
+			const message = parseMessage(Buffer.concat(fragments));
+			fragments = [];
+
+			if (message && ALLOWED_PORTS.includes(message.port)) {
+				udp.send(message.payload, message.port, message.host);
+			}
+		}
+	});
+
+	socket.on('close', () => udp.close());
+	socket.on('error', (error) => console.error('WebSocket error:', error.message));
+}
+
+const options = parseOptions(process.argv.slice(2));
+
+const server = createServer((request, response) => {
+	response.writeHead(426, { 'Content-Type': 'text/plain' });
+	response.end('This is a WebSocket to UDP bridge for the Web DMX Controller\n');
+});
+
+server.on('upgrade', (request, socket) => {
+	const key = request.headers['sec-websocket-key'];
+	if (!key) {
+		socket.destroy();
+		return;
+	}
+
+	const origin = request.headers.origin;
+	if (!options.origins.includes(origin)) {
+		console.warn(`Rejected connection from origin ${origin || '(none)'}`);
+		socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+		return;
+	}
+
+	const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+
+	socket.write(
+		'HTTP/1.1 101 Switching Protocols\r\n' +
+		'Upgrade: websocket\r\n' +
+		'Connection: Upgrade\r\n' +
+		`Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+	);
+
+	console.log(`Client connected from ${origin}`);
+	handleConnection(socket);
+});
+
+server.listen(options.port, options.host, () => {
+	console.log(`DMX network bridge listening on ws://${options.host}:${options.port}`);
+	console.log(`Accepting connections from ${options.origins.join(', ')}`);
+});
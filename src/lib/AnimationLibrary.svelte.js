@@ -78,7 +78,8 @@ export class AnimationLibrary extends Library {
 
 		const keyframe = {
 			time,
-			values: valuesCopy
+			values: valuesCopy,
+			easing: null
 		};
 
 		animation.keyframes.push(keyframe);
@@ -104,7 +105,7 @@ export class AnimationLibrary extends Library {
 	 * Update a keyframe's time or values
 	 * @param {string} animationId - Animation ID
 	 * @param {number} keyframeIndex - Index of keyframe
-	 * @param {Object} updates - Properties to update (time, values)
+	 * @param {Object} updates - Properties to update (time, values, easing)
 	 */
 	updateKeyframe(animationId, keyframeIndex, updates) {
 		const animation = this.get(animationId);
@@ -163,7 +164,8 @@ export class AnimationLibrary extends Library {
 
 			return {
 				time: kf.time,
-				values
+				values,
+				easing: kf.easing || null
 			};
 		}) || [];
 
@@ -0,0 +1,99 @@
+/**
+ * CueLibrary - Reactive Svelte 5 library for managing the cue list
+ *
+ * Extends Library base class with cue-specific functionality.
+ * A cue references a scene from the SceneLibrary and adds the timing of a
+ * theatre cue stack. Cues play in the order of the list, see CueController.
+ *
+ * Structure:
+ * {
+ *   id: string,
+ *   name: string,
+ *   sceneId: string,     // scene from the SceneLibrary
+ *   delay: number,       // ms between GO and the start of the fade
+ *   fade: number|null,   // fade-in in ms, null for the fade time of the scene
+ *   follow: boolean,     // GO the next cue automatically
+ *   wait: number,        // ms after the fade-in before the next cue follows
+ *   order: number
+ * }
+ */
+
+import { Library } from './Library.svelte.js';
+
+export class CueLibrary extends Library {
+	constructor() {
+		super('dmx-cues');
+	}
+
+	/**
+	 * Create and add a new cue at the end of the list
+	 * @param {Object} config - Cue configuration
+	 * @returns {Object} Created cue object
+	 */
+	create(config = {}) {
+		return this.add({
+			name: config.name || `Cue ${this.items.length + 1}`,
+			..._normalizeTiming(config),
+			sceneId: config.sceneId || 'default'
+		});
+	}
+
+	/**
+	 * Update cue properties
+	 * @param {string} cueId - Cue ID
+	 * @param {Object} updates - Properties to update
+	 * @returns {boolean} Success status
+	 */
+	update(cueId, updates) {
+		const cue = this.get(cueId);
+		if (!cue) return false;
+
+		return super.update(cueId, { ...updates, ..._normalizeTiming({ ...cue, ...updates }) });
+	}
+
+	/**
+	 * Get the cues in playback order
+	 * @returns {Array} Cues sorted by order
+	 */
+	getOrdered() {
+		return [...this.items].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+	}
+
+	/**
+	 * Remove the cues of a scene, e.g. after it is deleted
+	 * @param {string} sceneId - Scene ID
+	 */
+	removeScene(sceneId) {
+		for (const cue of this.items.filter(c => c.sceneId === sceneId)) {
+			this.remove(cue.id);
+		}
+	}
+
+	/**
+	 * Deserialize cue data from storage
+	 * @param {Object} data - Serialized cue data
+	 * @param {number} index - Array index for order
+	 */
+	deserializeItem(data, index) {
+		return {
+			id: data.id,
+			name: data.name,
+			sceneId: data.sceneId || 'default',
+			..._normalizeTiming(data),
+			order: data.order !== undefined ? data.order : index
+		};
+	}
+}
+
+/**
+ * Timing of a cue with defaults for missing values
+ * @private
+ */
+function _normalizeTiming(data) {
+	return {
+		delay: Math.max(0, data.delay || 0),
+		fade: data.fade == null ? null : Math.max(0, data.fade),
+		follow: data.follow ?? false,
+		wait: Math.max(0, data.wait || 0)
+	};
+}
@@ -0,0 +1,115 @@
+/**
+ * DeviceGroupLibrary - Reactive Svelte 5 library for managing groups of devices
+ *
+ * Extends Library base class with group-specific functionality.
+ * Groups name a set of devices (stage left, truss, floor washes), so triggers,
+ * scenes and animations can target all of them at once. The element of every
+ * member gets the cssIdentifier of the group as a class, so custom CSS can
+ * target a group with a class selector, e.g. `.floor-washes { --dimmer: 50%; }`
+ *
+ * Structure:
+ * {
+ *   id: string,
+ *   name: string,
+ *   cssIdentifier: string,     // used as class of the member elements
+ *   deviceIds: string[],       // members, in the order they were added
+ *   order: number
+ * }
+ */
+
+import { Library } from './Library.svelte.js';
+import { toCSSIdentifier, toUniqueCSSIdentifier } from './css/utils.js';
+
+// Classes of elements in the sampler container that a group can't use
+const RESERVED_IDENTIFIERS = ['dmx-device', 'pixel', 'dmx-masters', 'animation-targets', 'trigger-classes'];
+
+export class DeviceGroupLibrary extends Library {
+	constructor() {
+		super('dmx-device-groups');
+	}
+
+	/**
+	 * Create and add a new group
+	 * @param {Object} config - Group configuration
+	 * @param {string} [config.name] - Group name
+	 * @param {Array<string>} [config.deviceIds] - Member device IDs
+	 * @returns {Object} Created group object
+	 */
+	create(config = {}) {
+		const name = config.name || 'New Group';
+
+		return this.add({
+			name,
+			cssIdentifier: this.getIdentifier(name),
+			deviceIds: [...(config.deviceIds || [])]
+		});
+	}
+
+	/**
+	 * Update group properties
+	 * @param {string} groupId - Group ID
+	 * @param {Object} updates - Properties to update
+	 * @returns {boolean} Success status
+	 */
+	update(groupId, updates) {
+		// Update CSS ID if name changed
+		if (updates.name) {
+			updates.cssIdentifier = this.getIdentifier(updates.name, groupId);
+		}
+
+		if (updates.deviceIds) {
+			updates.deviceIds = [...updates.deviceIds];
+		}
+
+		return super.update(groupId, updates);
+	}
+
+	/**
+	 * Get a unique CSS identifier for a group name
+	 * @param {string} name - Group name
+	 * @param {string} [groupId] - ID of the group being renamed, its own identifier is available
+	 * @returns {string} CSS identifier
+	 */
+	getIdentifier(name, groupId = null) {
+		const existingIdentifiers = [
+			...RESERVED_IDENTIFIERS,
+			...this.items.filter(g => g.id !== groupId).map(g => g.cssIdentifier)
+		];
+		return toUniqueCSSIdentifier(name, existingIdentifiers);
+	}
+
+	/**
+	 * Remove a device from every group, e.g. after the device is deleted
+	 * @param {string} deviceId - Device ID
+	 */
+	removeDevice(deviceId) {
+		for (const group of this.items) {
+			group.deviceIds = group.deviceIds.filter(id => id !== deviceId);
+		}
+		this.save();
+	}
+
+	/**
+	 * Get the groups a device is a member of
+	 * @param {string} deviceId - Device ID
+	 * @returns {Array<Object>} Groups
+	 */
+	getGroupsOfDevice(deviceId) {
+		return this.items.filter(group => group.deviceIds.includes(deviceId));
+	}
+
+	/**
+	 * Deserialize group data from storage
+	 * @param {Object} data - Serialized group data
+	 * @param {number} index - Array index for order
+	 */
+	deserializeItem(data, index) {
+		return {
+			id: data.id,
+			name: data.name,
+			cssIdentifier: data.cssIdentifier || toCSSIdentifier(data.name),
+			deviceIds: [...(data.deviceIds || [])],
+			order: data.order !== undefined ? data.order : index
+		};
+	}
+}
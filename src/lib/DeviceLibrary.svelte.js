@@ -7,13 +7,15 @@
  * - Automatic linked device propagation
  * - CSS flexbox order for visual sorting
  * - Control-based value storage (NEW ARCHITECTURE)
+ * - Per-device output patch (invert, swap, limits, dimmer curve, color calibration)
  */
 
 import { Library } from './Library.svelte.js';
 import { DEVICE_TYPES } from './outputs/devices.js';
-import { createDefaultControlValues, mirrorPanTilt } from './outputs/controls.js';
+import { createDefaultControlValues, mirrorPanTilt, convertPanTilt, getPanTiltMax } from './outputs/controls.js';
 import { toCSSIdentifier, toUniqueCSSIdentifier } from './css/utils.js';
-import { generateCSSBlock } from './outputs/css.js';
+import { generateCSSBlock, generatePixelCSSBlock } from './outputs/css.js';
+import { createDefaultPatch, copyPatch } from './outputs/patch.js';
 
 /**
  * Manages the collection of devices with built-in reactivity
@@ -35,15 +37,19 @@ export class DeviceLibrary extends Library {
 		// Get existing CSS identifiers for uniqueness check
 		const existingIdentifiers = this.items.map(d => d.cssIdentifier);
 
+		const { universe, startChannel } = this.getNextFreeAddress(deviceType.channels);
+
 		const device = {
 			// id and order will be auto-set by base class
 			type,
-			startChannel: this.getNextFreeChannel(),
+			universe,
+			startChannel,
 			name,
 			defaultValues: createDefaultControlValues(deviceType),
 			linkedTo: null,
 			syncedControls: null,
 			mirrorPan: false,
+			patch: createDefaultPatch(),
 			cssIdentifier: toUniqueCSSIdentifier(name, existingIdentifiers)
 		};
 
@@ -51,26 +57,52 @@ export class DeviceLibrary extends Library {
 	}
 
 	/**
-	 * Get the next free DMX channel after all existing devices
-	 * @returns {number} Next available channel (0-indexed), or 0 if over 512
+	 * Get the next free DMX address after all existing devices
+	 * Continues in the next universe when the device doesn't fit in the last one
+	 * @param {number} [channels=1] - Number of channels the new device needs
+	 * @returns {{universe: number, startChannel: number}} Next available address (0-indexed)
 	 */
-	getNextFreeChannel() {
-		if (this.items.length === 0) return 0;
+	getNextFreeAddress(channels = 1) {
+		if (this.items.length === 0) return { universe: 0, startChannel: 0 };
 
-		// Find the highest used channel
+		// Find the highest used channel in the highest used universe
+		let maxUniverse = 0;
 		let maxChannel = 0;
 		for (const device of this.items) {
 			const deviceType = DEVICE_TYPES[device.type];
-			if (deviceType) {
-				const deviceEndChannel = device.startChannel + deviceType.channels;
-				if (deviceEndChannel > maxChannel) {
-					maxChannel = deviceEndChannel;
-				}
+			if (!deviceType || deviceType.channels === 0) continue;
+
+			const universe = device.universe ?? 0;
+			const deviceEndChannel = device.startChannel + deviceType.channels;
+			if (universe > maxUniverse) {
+				maxUniverse = universe;
+				maxChannel = deviceEndChannel;
+			} else if (universe === maxUniverse && deviceEndChannel > maxChannel) {
+				maxChannel = deviceEndChannel;
 			}
 		}
 
-		// Return next free channel, or wrap to 0 if over 512
-		return maxChannel >= 512 ? 0 : maxChannel;
+		// Move on to the next universe if the device doesn't fit
+		if (maxChannel + channels > 512) {
+			return { universe: maxUniverse + 1, startChannel: 0 };
+		}
+
+		return { universe: maxUniverse, startChannel: maxChannel };
+	}
+
+	/**
+	 * Get the universes that devices are patched into
+	 * @returns {number[]} Sorted universe numbers (0-indexed), always includes 0
+	 */
+	getUniverses() {
+		const universes = [0];
+		for (const device of this.items) {
+			const universe = device.universe ?? 0;
+			if (!universes.includes(universe)) {
+				universes.push(universe);
+			}
+		}
+		return universes.sort((a, b) => a - b);
 	}
 
 	/**
@@ -123,7 +155,7 @@ export class DeviceLibrary extends Library {
 	}
 
 	/**
-	 * Update device properties (name, startChannel, etc.)
+	 * Update device properties (name, universe, startChannel, etc.)
 	 * @param {string} deviceId - Device ID
 	 * @param {Object} updates - Properties to update
 	 * @returns {boolean} Success status
@@ -140,6 +172,47 @@ export class DeviceLibrary extends Library {
 		return super.update(deviceId, updates);
 	}
 
+	/**
+	 * Update the control values of all devices of a type after its controls changed
+	 * Values of remaining controls are kept, new controls and controls that changed
+	 * to a control type with another kind of value get their default value
+	 * @param {string} type - Device type id
+	 */
+	refreshControls(type) {
+		const deviceType = DEVICE_TYPES[type];
+		if (!deviceType) return;
+
+		for (const device of this.items) {
+			if (device.type !== type) continue;
+
+			const defaultValues = createDefaultControlValues(deviceType);
+			for (const controlId of Object.keys(defaultValues)) {
+				if (typeof device.defaultValues[controlId] === typeof defaultValues[controlId]) {
+					defaultValues[controlId] = device.defaultValues[controlId];
+				}
+			}
+			device.defaultValues = defaultValues;
+		}
+
+		this.save();
+	}
+
+	/**
+	 * Use a color calibration for all devices of a type
+	 * Other options of the patch of each device are kept
+	 * @param {string} type - Device type id
+	 * @param {Object} calibration - Calibration, see patch.js
+	 */
+	setCalibration(type, calibration) {
+		for (const device of this.items) {
+			if (device.type !== type) continue;
+
+			device.patch = copyPatch({ ...device.patch, calibration });
+		}
+
+		this.save();
+	}
+
 	/**
 	 * Remove a device and unlink any devices that were linked to it
 	 * @param {string} deviceId - Device ID to remove
@@ -162,9 +235,13 @@ export class DeviceLibrary extends Library {
 	 * @param {Object} sourceDevice - Source device that changed
 	 */
 	propagateToLinkedDevices(sourceDevice) {
+		const sourceType = DEVICE_TYPES[sourceDevice.type];
+
 		// Find all devices linked to this source device
 		for (const device of this.items) {
 			if (device.linkedTo === sourceDevice.id) {
+				const targetType = DEVICE_TYPES[device.type];
+
 				// Determine which controls to sync
 				// If syncedControls is specified, use that list
 				// Otherwise, sync all common controls
@@ -177,9 +254,15 @@ export class DeviceLibrary extends Library {
 				for (const controlId of controlsToSync) {
 					let value = sourceDevice.defaultValues[controlId];
 
-					// Apply pan mirroring if enabled and this is a Pan/Tilt control
-					if (device.mirrorPan && controlId === 'pantilt') {
-						value = mirrorPanTilt(value);
+					if (controlId === 'pantilt') {
+						// Pan/Tilt controls may differ in resolution (8-bit or 16-bit)
+						const targetControl = targetType?.getControl(controlId)?.type;
+						value = convertPanTilt(value, sourceType?.getControl(controlId)?.type, targetControl);
+
+						// Apply pan mirroring if enabled
+						if (device.mirrorPan) {
+							value = mirrorPanTilt(value, getPanTiltMax(targetControl));
+						}
 					}
 
 					// Update control value (reactivity handled by $state)
@@ -199,7 +282,7 @@ export class DeviceLibrary extends Library {
 	 */
 	toCSS() {
 		const blocks = this.getAll()
-			.map(device => generateCSSBlock(device))
+			.flatMap(device => [generateCSSBlock(device), generatePixelCSSBlock(device)])
 			.filter(block => block !== null);
 
 		return blocks.join('\n\n');
@@ -225,12 +308,14 @@ export class DeviceLibrary extends Library {
 		const device = {
 			id: deviceData.id,
 			type: deviceData.type,
+			universe: deviceData.universe ?? 0,
 			startChannel: deviceData.startChannel,
 			name: deviceData.name,
 			defaultValues,
 			linkedTo: deviceData.linkedTo || null,
 			syncedControls: deviceData.syncedControls || null,
 			mirrorPan: deviceData.mirrorPan || false,
+			patch: copyPatch(deviceData.patch),
 			cssIdentifier: deviceData.cssIdentifier,
 			order: deviceData.order !== undefined ? deviceData.order : index
 		};
@@ -0,0 +1,217 @@
+/**
+ * DeviceTypeLibrary - Reactive Svelte 5 library for user-defined device types
+ *
+ * Extends Library base class. Stores fixture definitions as plain objects,
+ * and registers a DeviceType for every DMX mode in DEVICE_TYPES, so devices
+ * can use them like the built-in device types. Definitions are either
+ * imported from fixture files, or composed in the device type editor.
+ *
+ * Structure:
+ * {
+ *   name: string,
+ *   manufacturer: string,
+ *   source: 'ofl' | 'gdtf' | 'custom',  // imported from a fixture file, or user-defined
+ *   modes: [{
+ *     name: string,
+ *     channels: number,
+ *     defaultValues: number[],       // default DMX value for every channel
+ *     controls: [{ id, type, startChannel, [slots] }],  // type is a CONTROL_TYPES key, e.g. 'Dimmer'
+ *                                    // slots name the DMX ranges of wheels: [{ name, dmxMin, dmxMax, [color] }]
+ *     unmapped: [{ channel, name }]  // channels without a control, for display only
+ *   }],
+ *   order: number
+ * }
+ */
+
+import { Library } from './Library.svelte.js';
+import { DeviceType } from './outputs/devices/DeviceType.js';
+import { DEVICE_TYPES, registerDeviceType, unregisterDeviceType } from './outputs/devices.js';
+import { CONTROL_TYPES } from './outputs/controls/index.js';
+
+export class DeviceTypeLibrary extends Library {
+	constructor() {
+		super('dmx-device-types');
+	}
+
+	/**
+	 * Create and add a fixture definition
+	 * @param {Object} definition - Fixture definition from the importer or the device type editor
+	 * @returns {Object} Created fixture definition
+	 */
+	create(definition) {
+		return this.add({
+			name: definition.name,
+			manufacturer: definition.manufacturer || '',
+			source: definition.source,
+			modes: definition.modes.map(mode => this._copyMode(mode))
+		});
+	}
+
+	/**
+	 * Add a fixture definition and register its device types
+	 * @param {Object} item - Fixture definition
+	 * @returns {Object} The added fixture definition
+	 */
+	add(item) {
+		const added = super.add(item);
+		this._register(added);
+		return added;
+	}
+
+	/**
+	 * Update a fixture definition and register its device types again
+	 * @param {string} id - Fixture definition id
+	 * @param {Object} updates - Properties to update
+	 * @returns {boolean} Success status
+	 */
+	update(id, updates) {
+		const success = super.update(id, updates);
+		if (success) this._register(this.get(id));
+		return success;
+	}
+
+	/**
+	 * Remove a fixture definition and its device types
+	 * @param {string} id - Fixture definition id
+	 * @returns {boolean} Success status
+	 */
+	remove(id) {
+		this._unregister(id);
+		return super.remove(id);
+	}
+
+	/**
+	 * Load from localStorage and register all device types
+	 */
+	load() {
+		super.load();
+
+		for (const item of this.items) {
+			this._register(item);
+		}
+	}
+
+	/**
+	 * Get the device type id of a DMX mode
+	 * @param {string} id - Fixture definition id
+	 * @param {number} modeIndex - Index of the DMX mode
+	 * @returns {string} Device type id for DEVICE_TYPES
+	 */
+	getDeviceTypeId(id, modeIndex) {
+		return `custom-${id}-${modeIndex}`;
+	}
+
+	/**
+	 * Get the device type ids of all DMX modes of a fixture definition
+	 * @param {string} id - Fixture definition id
+	 * @returns {Array<string>} Device type ids for DEVICE_TYPES
+	 */
+	getDeviceTypeIds(id) {
+		const item = this.get(id);
+		if (!item) return [];
+
+		return item.modes.map((_, modeIndex) => this.getDeviceTypeId(id, modeIndex));
+	}
+
+	/**
+	 * Validate a fixture definition by building the device types of its modes
+	 * @param {Object} definition - Fixture definition
+	 * @throws {Error} When a control is unknown, exceeds the channel count, or overlaps another control
+	 */
+	validate(definition) {
+		definition.modes.forEach((mode, modeIndex) => {
+			const unknown = mode.controls.find(control => !CONTROL_TYPES[control.type]);
+			if (unknown) {
+				throw new Error(`Unknown control type "${unknown.type}"`);
+			}
+
+			this._createDeviceType({ id: 'validate', ...definition }, mode, modeIndex);
+		});
+	}
+
+	/**
+	 * Deserialize fixture definition from storage
+	 * @param {Object} data - Serialized fixture definition
+	 * @param {number} index - Array index for order
+	 */
+	deserializeItem(data, index) {
+		return {
+			id: data.id,
+			name: data.name || 'Imported fixture',
+			manufacturer: data.manufacturer || '',
+			source: data.source || 'ofl',
+			modes: (data.modes || []).map(mode => this._copyMode(mode)),
+			order: data.order !== undefined ? data.order : index
+		};
+	}
+
+	/**
+	 * Deep copy a DMX mode
+	 * @private
+	 */
+	_copyMode(mode) {
+		return {
+			name: mode.name || '',
+			channels: mode.channels,
+			defaultValues: [...(mode.defaultValues || [])],
+			controls: (mode.controls || []).map(control => control.slots
+				? { ...control, slots: control.slots.map(slot => ({ ...slot })) }
+				: { ...control }),
+			unmapped: (mode.unmapped || []).map(channel => ({ ...channel }))
+		};
+	}
+
+	/**
+	 * Register the device types of all modes of a fixture definition
+	 * @private
+	 */
+	_register(item) {
+		this._unregister(item.id);
+
+		item.modes.forEach((mode, modeIndex) => {
+			try {
+				registerDeviceType(this._createDeviceType(item, mode, modeIndex));
+			} catch (error) {
+				console.warn(`Failed to register device type "${item.name}" (${mode.name}):`, error.message);
+			}
+		});
+	}
+
+	/**
+	 * Create the device type of a DMX mode
+	 * Controls with an unknown control type are left out, slot controls
+	 * use the slots of the fixture when it names them
+	 * @throws {Error} When the controls don't fit the channels of the mode
+	 * @private
+	 */
+	_createDeviceType(item, mode, modeIndex) {
+		return new DeviceType({
+			id: this.getDeviceTypeId(item.id, modeIndex),
+			name: item.modes.length > 1 ? `${item.name} (${mode.name})` : item.name,
+			channels: mode.channels,
+			defaultValues: [...mode.defaultValues],
+			controls: mode.controls
+				.filter(control => CONTROL_TYPES[control.type])
+				.map(control => ({
+					id: control.id,
+					type: control.slots && CONTROL_TYPES[control.type].withSlots
+						? CONTROL_TYPES[control.type].withSlots(control.slots)
+						: CONTROL_TYPES[control.type],
+					startChannel: control.startChannel
+				}))
+		});
+	}
+
+	/**
+	 * Remove the device types of a fixture definition
+	 * @private
+	 */
+	_unregister(id) {
+		const prefix = `custom-${id}-`;
+		for (const typeId of Object.keys(DEVICE_TYPES)) {
+			if (typeId.startsWith(prefix)) {
+				unregisterDeviceType(typeId);
+			}
+		}
+	}
+}
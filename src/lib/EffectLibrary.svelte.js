@@ -0,0 +1,140 @@
+/**
+ * EffectLibrary - Reactive Svelte 5 library for managing effects
+ *
+ * Extends Library base class with effect-specific functionality.
+ * An effect runs an animation on a selection of devices with a phase offset
+ * per device, for chases, waves, rainbows and fans. Effects are generated as
+ * CSS, so they stay editable instead of being written by hand in custom CSS.
+ *
+ * Structure:
+ * {
+ *   id: string,
+ *   name: string,
+ *   cssIdentifier: string,
+ *   enabled: boolean,
+ *   deviceIds: string[],        // selection, in phase order
+ *   animation: { id, duration, easing, iterations },
+ *   spread: number,             // phase spread over the devices, percent of a cycle (0-100)
+ *   direction: 'forward' | 'backward' | 'center-out' | 'edges-in',
+ *   bounce: boolean,            // run the phase back and forth across the devices, for looping effects
+ *   alternate: boolean,         // play the animation forward, then backward
+ *   fan: number,                // pan spread over the devices, percent of the pan range (0-100)
+ *   random: boolean,            // shuffle the phase order
+ *   seed: number,               // seed of the shuffled order
+ *   order: number
+ * }
+ */
+
+import { Library } from './Library.svelte.js';
+import { toCSSIdentifier, toUniqueCSSIdentifier } from './css/utils.js';
+import { generateEffectCSS } from './effects/css.js';
+
+export class EffectLibrary extends Library {
+	constructor() {
+		super('dmx-effects');
+	}
+
+	/**
+	 * Create and add a new effect
+	 * @param {Object} config - Effect configuration
+	 * @returns {Object} Created effect object
+	 */
+	create(config = {}) {
+		const name = config.name || 'New Effect';
+		const existingIdentifiers = this.items.map(e => e.cssIdentifier);
+
+		return this.add({
+			...this._normalize(config),
+			name,
+			cssIdentifier: toUniqueCSSIdentifier(name, existingIdentifiers)
+		});
+	}
+
+	/**
+	 * Update effect properties
+	 * @param {string} effectId - Effect ID
+	 * @param {Object} updates - Properties to update
+	 * @returns {boolean} Success status
+	 */
+	update(effectId, updates) {
+		// Update CSS ID if name changed
+		if (updates.name) {
+			const existingIdentifiers = this.items.map(e => e.cssIdentifier);
+			const getIdentifierForId = (id) => this.get(id)?.cssIdentifier;
+			updates.cssIdentifier = toUniqueCSSIdentifier(updates.name, existingIdentifiers, effectId, getIdentifierForId);
+		}
+
+		if (updates.deviceIds) {
+			updates.deviceIds = [...updates.deviceIds];
+		}
+
+		if (updates.animation) {
+			updates.animation = { ...updates.animation };
+		}
+
+		return super.update(effectId, updates);
+	}
+
+	/**
+	 * Remove a device from every effect, e.g. after the device is deleted
+	 * @param {string} deviceId - Device ID
+	 */
+	removeDevice(deviceId) {
+		for (const effect of this.items) {
+			effect.deviceIds = effect.deviceIds.filter(id => id !== deviceId);
+		}
+		this.save();
+	}
+
+	/**
+	 * Generate CSS for all effects
+	 * @param {Array} devices - Array of device objects from DeviceLibrary
+	 * @param {Object} animationLibrary - AnimationLibrary instance
+	 * @returns {string} Combined CSS
+	 */
+	toCSS(devices = [], animationLibrary = null) {
+		return this.items
+			.map(effect => generateEffectCSS(effect, devices, animationLibrary))
+			.filter(css => css)
+			.join('\n\n');
+	}
+
+	/**
+	 * Deserialize effect data from storage
+	 * @param {Object} data - Serialized effect data
+	 * @param {number} index - Array index for order
+	 */
+	deserializeItem(data, index) {
+		return {
+			...this._normalize(data),
+			id: data.id,
+			name: data.name,
+			cssIdentifier: data.cssIdentifier || toCSSIdentifier(data.name),
+			order: data.order !== undefined ? data.order : index
+		};
+	}
+
+	/**
+	 * Effect settings with defaults for missing values
+	 * @private
+	 */
+	_normalize(data) {
+		return {
+			enabled: data.enabled ?? true,
+			deviceIds: [...(data.deviceIds || [])],
+			animation: {
+				id: data.animation?.id || null,
+				duration: data.animation?.duration || 1000,
+				easing: data.animation?.easing || 'linear',
+				iterations: data.animation?.iterations || 'infinite'
+			},
+			spread: data.spread ?? 100,
+			direction: data.direction || 'forward',
+			bounce: data.bounce ?? false,
+			alternate: data.alternate ?? false,
+			fan: data.fan ?? 0,
+			random: data.random ?? false,
+			seed: data.seed ?? 1
+		};
+	}
+}
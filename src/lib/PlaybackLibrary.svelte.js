@@ -0,0 +1,86 @@
+/**
+ * PlaybackLibrary - Reactive Svelte 5 library for managing playback faders
+ *
+ * Extends Library base class with playback-specific functionality.
+ * A playback puts a scene from the SceneLibrary on a fader. Raised playbacks
+ * are stacked on top of the output and merged per control, see scenes/merge.js.
+ *
+ * Structure:
+ * {
+ *   id: string,
+ *   sceneId: string,     // scene from the SceneLibrary
+ *   level: number,       // master level of the playback (0-1), 0 for off
+ *   order: number
+ * }
+ */
+
+import { Library } from './Library.svelte.js';
+
+export class PlaybackLibrary extends Library {
+	constructor() {
+		super('dmx-playbacks');
+	}
+
+	/**
+	 * Create and add a new playback
+	 * @param {Object} config - Playback configuration
+	 * @returns {Object} Created playback object
+	 */
+	create(config = {}) {
+		return this.add({
+			sceneId: config.sceneId || 'default',
+			level: _clampLevel(config.level)
+		});
+	}
+
+	/**
+	 * Set the level of a playback
+	 * @param {string} playbackId - Playback ID
+	 * @param {number} level - Level (0-1)
+	 * @returns {boolean} Success status
+	 */
+	setLevel(playbackId, level) {
+		return this.update(playbackId, { level: _clampLevel(level) });
+	}
+
+	/**
+	 * Pull the faders of all playbacks down
+	 */
+	releaseAll() {
+		for (const playback of this.items.filter(p => p.level > 0)) {
+			this.setLevel(playback.id, 0);
+		}
+	}
+
+	/**
+	 * Remove the playbacks of a scene, e.g. after it is deleted
+	 * @param {string} sceneId - Scene ID
+	 */
+	removeScene(sceneId) {
+		for (const playback of this.items.filter(p => p.sceneId === sceneId)) {
+			this.remove(playback.id);
+		}
+	}
+
+	/**
+	 * Deserialize playback data from storage
+	 * @param {Object} data - Serialized playback data
+	 * @param {number} index - Array index for order
+	 */
+	deserializeItem(data, index) {
+		return {
+			id: data.id,
+			sceneId: data.sceneId || 'default',
+			level: _clampLevel(data.level),
+			order: data.order !== undefined ? data.order : index
+		};
+	}
+}
+
+/**
+ * Level between 0 and 1, 0 when missing
+ * @private
+ */
+function _clampLevel(level) {
+	return Math.max(0, Math.min(1, level || 0));
+}
@@ -9,9 +9,10 @@
  *   id: string,
  *   name: string,
  *   cssIdentifier: string,
+ *   fade: number,                  // crossfade time in ms when the scene becomes active, 0 for a cut
  *   devices: [
  *     {
- *       deviceId: string,
+ *       deviceId: string,          // device id, or group id from DeviceGroupLibrary
  *       type: 'values' | 'animation',
  *       values: { ... },           // when type='values'
  *       animation: {               // when type='animation'
@@ -28,8 +29,9 @@
 
 import { Library } from './Library.svelte.js';
 import { toCSSIdentifier, toUniqueCSSIdentifier } from './css/utils.js';
-import { DEVICE_TYPES } from './outputs/devices.js';
 import { getProperties } from './outputs/css.js';
+import { resolveTarget } from './outputs/groups.js';
+import { formatAnimationEntry } from './scenes/css.js';
 
 const DEFAULT_SCENE_ID = 'default';
 const DEFAULT_SCENE_NAME = 'Default';
@@ -51,6 +53,7 @@ export class SceneLibrary extends Library {
 				id: DEFAULT_SCENE_ID,
 				name: DEFAULT_SCENE_NAME,
 				cssIdentifier: 'default',
+				fade: 0,
 				devices: [],
 				order: -1 // Always first
 			});
@@ -88,6 +91,7 @@ export class SceneLibrary extends Library {
 		return this.add({
 			name,
 			cssIdentifier: toUniqueCSSIdentifier(name, existingIdentifiers),
+			fade: config.fade || 0,
 			devices: [],
 			order: this.items.length
 		});
@@ -237,6 +241,51 @@ export class SceneLibrary extends Library {
 		return true;
 	}
 
+	/**
+	 * Remove the entries that target a device or group from all scenes, e.g. after it is deleted
+	 * @param {string} targetId - Device or group ID
+	 */
+	removeTarget(targetId) {
+		for (const scene of this.items) {
+			scene.devices = scene.devices.filter(d => d.deviceId !== targetId);
+		}
+		this.save();
+	}
+
+	/**
+	 * Record values into a scene
+	 * All entries of a recorded device are replaced by one values entry, devices without an entry are added
+	 * @param {string} sceneId - Scene ID
+	 * @param {Map} valuesByDevice - Values to record, deviceId -> control values, see scenes/record.js
+	 * @returns {boolean} Success status
+	 */
+	recordDevices(sceneId, valuesByDevice) {
+		const scene = this.get(sceneId);
+		if (!scene) return false;
+
+		for (const [deviceId, values] of valuesByDevice) {
+			const deviceEntry = scene.devices.find(d => d.deviceId === deviceId);
+			if (deviceEntry) {
+				// Other values and animation entries of the device would still override the recording
+				scene.devices = scene.devices.filter(d => d.deviceId !== deviceId || d === deviceEntry);
+				deviceEntry.type = 'values';
+				deviceEntry.values = values;
+				deviceEntry.animation = null;
+			} else {
+				scene.devices.push({
+					entryId: crypto.randomUUID(),
+					deviceId,
+					type: 'values',
+					values,
+					animation: null
+				});
+			}
+		}
+
+		this.save();
+		return true;
+	}
+
 	/**
 	 * Reorder device entries within a scene
 	 * @param {string} sceneId - Scene ID
@@ -284,15 +333,17 @@ export class SceneLibrary extends Library {
 	 * Generate CSS for all scenes
 	 * @param {Array} devices - Array of device objects from DeviceLibrary
 	 * @param {Object} animationLibrary - AnimationLibrary instance
+	 * @param {Object} drawingLibrary - DrawingLibrary instance
+	 * @param {Array} groups - Array of device groups, for entries that target a group
 	 * @returns {string} Combined CSS
 	 */
-	toCSS(devices = [], animationLibrary = null, drawingLibrary = null) {
+	toCSS(devices = [], animationLibrary = null, drawingLibrary = null, groups = []) {
 		const cssRules = [];
 
 		const scenes = this.getAll();
 
 		for (const scene of scenes) {
-			const sceneRules = this._generateSceneCSS(scene, devices, animationLibrary, drawingLibrary);
+			const sceneRules = this._generateSceneCSS(scene, devices, animationLibrary, drawingLibrary, groups);
 			if (sceneRules) {
 				cssRules.push(sceneRules);
 			}
@@ -305,7 +356,7 @@ export class SceneLibrary extends Library {
 	 * Generate CSS for a single scene
 	 * @private
 	 */
-	_generateSceneCSS(scene, devices, animationLibrary, drawingLibrary) {
+	_generateSceneCSS(scene, devices, animationLibrary, drawingLibrary, groups) {
 		const rules = [];
 
 		// Drawing selection for this scene
@@ -317,7 +368,7 @@ export class SceneLibrary extends Library {
 			}
 		}
 
-		// Group device entries by deviceId to combine animations
+		// Group device entries by deviceId (or group id) to combine animations
 		const deviceEntryGroups = new Map();
 		for (const deviceEntry of scene.devices) {
 			const key = deviceEntry.deviceId;
@@ -328,13 +379,10 @@ export class SceneLibrary extends Library {
 		}
 
 		for (const [deviceId, entries] of deviceEntryGroups) {
-			const device = devices.find(d => d.id === deviceId);
-			if (!device) continue;
-
-			const deviceType = DEVICE_TYPES[device.type];
-			if (!deviceType) continue;
+			const target = resolveTarget(deviceId, devices, groups);
+			if (!target) continue;
 
-			const selector = `[scene="${scene.cssIdentifier}"] #${device.cssIdentifier}`;
+			const selector = `[scene="${scene.cssIdentifier}"] ${target.selector}`;
 
 			// Separate values entries and animation entries
 			const valueEntries = entries.filter(e => e.type === 'values' && e.values);
@@ -348,7 +396,7 @@ export class SceneLibrary extends Library {
 
 			// Generate CSS properties from merged values
 			if (Object.keys(mergedValues).length > 0) {
-				const filteredControls = deviceType.controls.filter(control =>
+				const filteredControls = target.controls.filter(control =>
 					Object.hasOwn(mergedValues, control.id)
 				);
 
@@ -365,15 +413,7 @@ export class SceneLibrary extends Library {
 
 			// Combine all animations into a single rule
 			if (animationEntries.length > 0) {
-				const animationParts = animationEntries.map(entry => {
-					const anim = entry.animation;
-					const animation = animationLibrary?.get(anim.id);
-					const animName = animation?.cssIdentifier || anim.id;
-					const iterVal = anim.iterations === 'infinite' ? 'infinite' : anim.iterations;
-					const durSec = (anim.duration / 1000).toFixed(3);
-
-					return `${animName} ${durSec}s ${anim.easing} ${iterVal}`;
-				});
+				const animationParts = animationEntries.map(entry => formatAnimationEntry(entry, animationLibrary));
 
 				rules.push(`${selector} {\n  animation: ${animationParts.join(', ')};\n}`);
 			}
@@ -425,6 +465,7 @@ export class SceneLibrary extends Library {
 			id: data.id,
 			name: data.name,
 			cssIdentifier: data.cssIdentifier || toCSSIdentifier(data.name),
+			fade: data.fade || 0,
 			devices,
 			order: data.order !== undefined ? data.order : index
 		};
@@ -0,0 +1,117 @@
+/**
+ * ScheduleLibrary - Reactive Svelte 5 library for managing scheduled events
+ *
+ * Extends Library base class with schedule-specific functionality.
+ * An event changes the scene, starts a show or turns blackout on or off at a
+ * time of day, or at sunrise or sunset, on some days of the week. When
+ * events happen is computed in schedule/times.js, see ScheduleController.
+ *
+ * Structure:
+ * {
+ *   id: string,
+ *   name: string,
+ *   enabled: boolean,
+ *   time: {
+ *     type: 'clock' | 'sunrise' | 'sunset',
+ *     hour: number,                // for type='clock' (0-23)
+ *     minute: number,              // for type='clock' (0-59)
+ *     offset: number               // for type='sunrise' | 'sunset', minutes before (negative) or after
+ *   },
+ *   days: number[],                // days of the week, 0 = Sunday
+ *   action: {
+ *     type: 'scene' | 'show' | 'blackout',
+ *     sceneId: string,             // for type='scene'
+ *     fade: number|null,           // for type='scene', fade in ms or null for the fade time of the scene
+ *     showId: string,              // for type='show', plays the show from the start
+ *     blackout: boolean            // for type='blackout', on or off
+ *   },
+ *   order: number
+ * }
+ */
+
+import { Library } from './Library.svelte.js';
+
+export const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+export class ScheduleLibrary extends Library {
+	constructor() {
+		super('dmx-schedule');
+	}
+
+	/**
+	 * Create and add a new event
+	 * @param {Object} config - Event configuration
+	 * @returns {Object} Created event object
+	 */
+	create(config = {}) {
+		return this.add({
+			name: config.name || 'New Event',
+			enabled: config.enabled ?? true,
+			..._normalizeEvent(config)
+		});
+	}
+
+	/**
+	 * Update event properties
+	 * @param {string} eventId - Event ID
+	 * @param {Object} updates - Properties to update
+	 * @returns {boolean} Success status
+	 */
+	update(eventId, updates) {
+		const event = this.get(eventId);
+		if (!event) return false;
+
+		return super.update(eventId, { ...updates, ..._normalizeEvent({ ...event, ...updates }) });
+	}
+
+	/**
+	 * Remove the events of a scene or show, e.g. after it is deleted
+	 * @param {string} id - Scene ID or show ID
+	 */
+	removeTarget(id) {
+		for (const event of this.items.filter(e => e.action.sceneId === id || e.action.showId === id)) {
+			this.remove(event.id);
+		}
+	}
+
+	/**
+	 * Deserialize event data from storage
+	 * @param {Object} data - Serialized event data
+	 * @param {number} index - Array index for order
+	 */
+	deserializeItem(data, index) {
+		return {
+			id: data.id,
+			name: data.name,
+			enabled: data.enabled !== undefined ? data.enabled : true,
+			..._normalizeEvent(data),
+			order: data.order !== undefined ? data.order : index
+		};
+	}
+}
+
+/**
+ * Time, days and action with defaults for missing values, and copies of nested objects
+ * @private
+ */
+function _normalizeEvent(data) {
+	const timeType = ['sunrise', 'sunset'].includes(data.time?.type) ? data.time.type : 'clock';
+	const actionType = ['show', 'blackout'].includes(data.action?.type) ? data.action.type : 'scene';
+
+	return {
+		time: {
+			type: timeType,
+			hour: Math.max(0, Math.min(23, data.time?.hour ?? 0)),
+			minute: Math.max(0, Math.min(59, data.time?.minute ?? 0)),
+			offset: data.time?.offset || 0
+		},
+		days: EVERY_DAY.filter(day => (data.days ?? EVERY_DAY).includes(day)),
+		action: {
+			type: actionType,
+			sceneId: actionType === 'scene' ? data.action?.sceneId || 'default' : null,
+			fade: actionType === 'scene' ? data.action?.fade ?? null : null,
+			showId: actionType === 'show' ? data.action?.showId || null : null,
+			blackout: actionType === 'blackout' ? data.action?.blackout ?? true : null
+		}
+	};
+}
@@ -0,0 +1,264 @@
+/**
+ * ShowLibrary - Reactive Svelte 5 library for managing shows
+ *
+ * Extends Library base class with show-specific functionality.
+ * A show is a timeline with one track per device or group. Clips on a track
+ * run an animation or hold static values from a start time for a duration.
+ * Shows compile to CSS animations with delays, see shows/css.js.
+ *
+ * Structure:
+ * {
+ *   id: string,
+ *   name: string,
+ *   cssIdentifier: string,
+ *   duration: number,              // ms
+ *   loop: { enabled, start, end }, // loop region in ms
+ *   tracks: [
+ *     {
+ *       id: string,
+ *       targetId: string,          // device id, or group id from DeviceGroupLibrary
+ *       clips: [
+ *         {
+ *           id: string,
+ *           start: number,         // ms
+ *           duration: number,      // ms
+ *           type: 'animation' | 'values',
+ *           animation: { id, easing, iterations },  // when type='animation'
+ *           values: { ... }        // when type='values'
+ *         }
+ *       ]
+ *     }
+ *   ],
+ *   order: number
+ * }
+ */
+
+import { Library } from './Library.svelte.js';
+import { toCSSIdentifier, toUniqueCSSIdentifier } from './css/utils.js';
+import { generateShowCSS } from './shows/css.js';
+
+const DEFAULT_DURATION = 60000;
+
+export class ShowLibrary extends Library {
+	constructor() {
+		super('dmx-shows');
+	}
+
+	/**
+	 * Create and add a new show
+	 * @param {Object} config - Show configuration
+	 * @param {string} [config.name] - Show name
+	 * @param {number} [config.duration] - Length in ms
+	 * @returns {Object} Created show object
+	 */
+	create(config = {}) {
+		const name = config.name || 'New Show';
+		const duration = config.duration || DEFAULT_DURATION;
+		const existingIdentifiers = this.items.map(s => s.cssIdentifier);
+
+		return this.add({
+			name,
+			cssIdentifier: toUniqueCSSIdentifier(name, existingIdentifiers),
+			duration,
+			loop: { enabled: false, start: 0, end: duration },
+			tracks: []
+		});
+	}
+
+	/**
+	 * Update show properties
+	 * @param {string} showId - Show ID
+	 * @param {Object} updates - Properties to update
+	 * @returns {boolean} Success status
+	 */
+	update(showId, updates) {
+		// Update CSS ID if name changed
+		if (updates.name) {
+			const existingIdentifiers = this.items.map(s => s.cssIdentifier);
+			const getIdentifierForId = (id) => this.get(id)?.cssIdentifier;
+			updates.cssIdentifier = toUniqueCSSIdentifier(updates.name, existingIdentifiers, showId, getIdentifierForId);
+		}
+
+		if (updates.loop) {
+			updates.loop = { ...updates.loop };
+		}
+
+		return super.update(showId, updates);
+	}
+
+	/**
+	 * Add a track for a device or group
+	 * @param {string} showId - Show ID
+	 * @param {string} targetId - Device ID or group ID
+	 * @returns {string|null} Track ID, null when the show doesn't exist
+	 */
+	addTrack(showId, targetId) {
+		const show = this.get(showId);
+		if (!show) return null;
+
+		const track = { id: crypto.randomUUID(), targetId, clips: [] };
+		show.tracks.push(track);
+		this.save();
+		return track.id;
+	}
+
+	/**
+	 * Remove a track and its clips
+	 * @param {string} showId - Show ID
+	 * @param {string} trackId - Track ID
+	 * @returns {boolean} Success status
+	 */
+	removeTrack(showId, trackId) {
+		const show = this.get(showId);
+		if (!show) return false;
+
+		const index = show.tracks.findIndex(t => t.id === trackId);
+		if (index === -1) return false;
+
+		show.tracks.splice(index, 1);
+		this.save();
+		return true;
+	}
+
+	/**
+	 * Add a clip to a track
+	 * @param {string} showId - Show ID
+	 * @param {string} trackId - Track ID
+	 * @param {Object} clip - Clip without id
+	 * @returns {string|null} Clip ID, null when the track doesn't exist
+	 */
+	addClip(showId, trackId, clip) {
+		const track = this.getTrack(showId, trackId);
+		if (!track) return null;
+
+		const newClip = { ..._normalizeClip(clip), id: crypto.randomUUID() };
+		track.clips.push(newClip);
+		this.save();
+		return newClip.id;
+	}
+
+	/**
+	 * Update a clip
+	 * @param {string} showId - Show ID
+	 * @param {string} trackId - Track ID
+	 * @param {string} clipId - Clip ID
+	 * @param {Object} updates - Properties to update
+	 * @returns {boolean} Success status
+	 */
+	updateClip(showId, trackId, clipId, updates) {
+		const clip = this.getTrack(showId, trackId)?.clips.find(c => c.id === clipId);
+		if (!clip) return false;
+
+		Object.assign(clip, _normalizeClip({ ...clip, ...updates }));
+		this.save();
+		return true;
+	}
+
+	/**
+	 * Remove a clip
+	 * @param {string} showId - Show ID
+	 * @param {string} trackId - Track ID
+	 * @param {string} clipId - Clip ID
+	 * @returns {boolean} Success status
+	 */
+	removeClip(showId, trackId, clipId) {
+		const track = this.getTrack(showId, trackId);
+		if (!track) return false;
+
+		const index = track.clips.findIndex(c => c.id === clipId);
+		if (index === -1) return false;
+
+		track.clips.splice(index, 1);
+		this.save();
+		return true;
+	}
+
+	/**
+	 * Get a track of a show
+	 * @param {string} showId - Show ID
+	 * @param {string} trackId - Track ID
+	 * @returns {Object|null} Track or null
+	 */
+	getTrack(showId, trackId) {
+		return this.get(showId)?.tracks.find(t => t.id === trackId) || null;
+	}
+
+	/**
+	 * Remove the tracks of a device or group from every show, e.g. after it is deleted
+	 * @param {string} targetId - Device ID or group ID
+	 */
+	removeTarget(targetId) {
+		for (const show of this.items) {
+			show.tracks = show.tracks.filter(t => t.targetId !== targetId);
+		}
+		this.save();
+	}
+
+	/**
+	 * Generate CSS for all shows
+	 * @param {Array} devices - Array of device objects from DeviceLibrary
+	 * @param {Object} animationLibrary - AnimationLibrary instance
+	 * @param {Array} groups - Array of device groups, for tracks that target a group
+	 * @param {Array} scenes - Array of scenes, for the animations that run outside of the clips
+	 * @param {Array} effects - Array of effects, for the animations that run outside of the clips
+	 * @returns {string} Combined CSS
+	 */
+	toCSS(devices = [], animationLibrary = null, groups = [], scenes = [], effects = []) {
+		return this.items
+			.map(show => generateShowCSS(show, devices, animationLibrary, groups, scenes, effects))
+			.filter(css => css)
+			.join('\n\n');
+	}
+
+	/**
+	 * Deserialize show data from storage
+	 * @param {Object} data - Serialized show data
+	 * @param {number} index - Array index for order
+	 */
+	deserializeItem(data, index) {
+		const duration = data.duration || DEFAULT_DURATION;
+
+		return {
+			id: data.id,
+			name: data.name,
+			cssIdentifier: data.cssIdentifier || toCSSIdentifier(data.name),
+			duration,
+			loop: {
+				enabled: data.loop?.enabled ?? false,
+				start: data.loop?.start ?? 0,
+				end: data.loop?.end ?? duration
+			},
+			tracks: (data.tracks || []).map(track => ({
+				id: track.id || crypto.randomUUID(),
+				targetId: track.targetId,
+				clips: (track.clips || []).map(clip => ({
+					..._normalizeClip(clip),
+					id: clip.id || crypto.randomUUID()
+				}))
+			})),
+			order: data.order !== undefined ? data.order : index
+		};
+	}
+}
+
+/**
+ * Clip with defaults for missing values, and copies of nested objects
+ * @private
+ */
+function _normalizeClip(data) {
+	const type = data.type === 'values' ? 'values' : 'animation';
+
+	return {
+		start: Math.max(0, data.start || 0),
+		duration: Math.max(1, data.duration || 1000),
+		type,
+		animation: type === 'animation'
+			? {
+				id: data.animation?.id || null,
+				easing: data.animation?.easing || 'linear',
+				iterations: data.animation?.iterations || 1
+			}
+			: null,
+		values: type === 'values' ? $state.snapshot(data.values || {}) : null
+	};
+}
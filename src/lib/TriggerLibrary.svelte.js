@@ -18,22 +18,26 @@
  *     value                         // for value: input value key (e.g., 'value', 'pressure')
  *   },
  *   output: {
- *     id                           // output device id from DeviceLibrary (null for scene actions)
+ *     id                           // output device id from DeviceLibrary, or group id from DeviceGroupLibrary
+ *                                  // (null for scene actions, 'masters' for value triggers that control a master)
  *   },
  *   action: {
- *     type: 'animation' | 'values' | 'copy' | 'scene',
+ *     type: 'animation' | 'values' | 'copy' | 'scene' | 'master' | 'cue',
  *     animation: { id, duration, easing, iterations },  // for type='animation'
  *     values: { ... },              // for type='values'
  *     copy: { control, component, invert },             // for type='copy' (value triggers)
- *     scene: { id }                 // for type='scene' (change scene)
+ *     scene: { id, fade },          // for type='scene' (change scene), fade in ms or null for the fade time of the scene
+ *     master: { id, level },        // for type='master' (set a master level 0-1, or blackout)
+ *     cue: { command }              // for type='cue' ('go' or 'back' on the cue stack)
  *   },
  *   order: number
  * }
  */
 
 import { Library } from './Library.svelte.js';
-import { generateCSSTriggers, generateValueTriggersCSS } from './triggers/css.js';
+import { generateCSSTriggers, generateValueTriggersCSS, generateMasterTriggersCSS } from './triggers/css.js';
 import { getCSSClassName } from './triggers/utils.js';
+import { resolveTarget } from './outputs/groups.js';
 
 export class TriggerLibrary extends Library {
 	constructor() {
@@ -90,7 +94,8 @@ export class TriggerLibrary extends Library {
 				action: {
 					type: 'scene',
 					scene: {
-						id: config.action?.scene?.id || null
+						id: config.action?.scene?.id || null,
+						fade: config.action?.scene?.fade ?? null
 					}
 				},
 				order: this.items.length
@@ -119,6 +124,51 @@ export class TriggerLibrary extends Library {
 			});
 		}
 
+		// Master action triggers (no device target)
+		if (actionType === 'master') {
+			return this.add({
+				type: 'action',
+				enabled: config.enabled ?? true,
+				input: {
+					id: config.input?.id || null,
+					state: config.input?.state || 'down'
+				},
+				output: {
+					id: null
+				},
+				action: {
+					type: 'master',
+					master: {
+						id: config.action?.master?.id || 'blackout',
+						level: config.action?.master?.level ?? 0
+					}
+				},
+				order: this.items.length
+			});
+		}
+
+		// Cue action triggers (no device target)
+		if (actionType === 'cue') {
+			return this.add({
+				type: 'action',
+				enabled: config.enabled ?? true,
+				input: {
+					id: config.input?.id || null,
+					state: config.input?.state || 'down'
+				},
+				output: {
+					id: null
+				},
+				action: {
+					type: 'cue',
+					cue: {
+						command: config.action?.cue?.command === 'back' ? 'back' : 'go'
+					}
+				},
+				order: this.items.length
+			});
+		}
+
 		return this.add({
 			type: 'action',
 			enabled: config.enabled ?? true,
@@ -144,14 +194,26 @@ export class TriggerLibrary extends Library {
 	}
 
 
+	/**
+	 * Remove the triggers that target a device or group, e.g. after it is deleted
+	 * @param {string} outputId - Device or group ID
+	 */
+	removeOutput(outputId) {
+		for (const trigger of this.items.filter(t => t.output?.id === outputId)) {
+			this.remove(trigger.id);
+		}
+	}
+
 	/**
 	 * Generate CSS for all triggers
 	 * @param {Array} devices - Array of device objects
 	 * @param {Object} animationLibrary - AnimationLibrary instance to resolve animation cssIdentifiers
 	 * @param {Object} inputLibrary - InputLibrary instance to resolve input names
+	 * @param {Object} drawingLibrary - DrawingLibrary instance to resolve drawings
+	 * @param {Array} groups - Array of device groups, for triggers that target a group
 	 * @returns {string} Combined CSS
 	 */
-	toCSS(devices = [], animationLibrary = null, inputLibrary = null, drawingLibrary = null) {
+	toCSS(devices = [], animationLibrary = null, inputLibrary = null, drawingLibrary = null, groups = []) {
 		const allTriggers = this.getAll().filter(trigger => trigger.enabled !== false);
 
 		// Separate value triggers from other triggers
@@ -165,30 +227,34 @@ export class TriggerLibrary extends Library {
 			(statePriority[a.input?.state] ?? 2) - (statePriority[b.input?.state] ?? 2)
 		);
 
-		// Get unique device IDs that are used in non-value triggers
+		// Get unique device and group IDs that are used in non-value triggers
 		const deviceIds = new Set(otherTriggers.map(t => t.output?.id).filter(id => id));
 
-		// Generate CSS for each device (traditional triggers)
+		// Generate CSS for each device or group (traditional triggers)
 		const cssRules = [];
 		for (const deviceId of deviceIds) {
-			const device = devices.find(d => d.id === deviceId);
-			if (!device) continue;
+			const target = resolveTarget(deviceId, devices, groups);
+			if (!target) continue;
 
-			const css = generateCSSTriggers(device, otherTriggers, animationLibrary, inputLibrary);
+			const css = generateCSSTriggers(target, otherTriggers, animationLibrary, inputLibrary);
 			if (css) cssRules.push(css);
 		}
 
-		// Generate CSS for value-based triggers (grouped by device)
+		// Generate CSS for value-based triggers (grouped by device or group)
 		const valueDeviceIds = new Set(valueTriggers.map(t => t.output?.id).filter(id => id));
 		for (const deviceId of valueDeviceIds) {
-			const device = devices.find(d => d.id === deviceId);
-			if (!device) continue;
+			const target = resolveTarget(deviceId, devices, groups);
+			if (!target) continue;
 
 			const deviceValueTriggers = valueTriggers.filter(t => t.output?.id === deviceId);
-			const css = generateValueTriggersCSS(deviceValueTriggers, device, inputLibrary);
+			const css = generateValueTriggersCSS(deviceValueTriggers, target, inputLibrary);
 			if (css) cssRules.push(css);
 		}
 
+		// Generate CSS for master triggers
+		const mastersCSS = generateMasterTriggersCSS([...otherTriggers, ...valueTriggers], inputLibrary);
+		if (mastersCSS) cssRules.push(mastersCSS);
+
 		// Generate CSS for drawing triggers
 		if (drawingLibrary) {
 			const drawingTriggers = otherTriggers.filter(t => t.action?.type === 'drawing');
@@ -264,7 +330,8 @@ export class TriggerLibrary extends Library {
 				action: {
 					type: 'scene',
 					scene: {
-						id: data.action?.scene?.id || null
+						id: data.action?.scene?.id || null,
+						fade: data.action?.scene?.fade ?? null
 					}
 				},
 				order: data.order !== undefined ? data.order : index
@@ -294,6 +361,53 @@ export class TriggerLibrary extends Library {
 			};
 		}
 
+		// Handle master action triggers
+		if (actionType === 'master') {
+			return {
+				id: data.id,
+				type: 'action',
+				enabled: data.enabled !== undefined ? data.enabled : true,
+				input: {
+					id: data.input?.id || null,
+					state: data.input?.state || 'down'
+				},
+				output: {
+					id: null
+				},
+				action: {
+					type: 'master',
+					master: {
+						id: data.action?.master?.id || 'blackout',
+						level: data.action?.master?.level ?? 0
+					}
+				},
+				order: data.order !== undefined ? data.order : index
+			};
+		}
+
+		// Handle cue action triggers
+		if (actionType === 'cue') {
+			return {
+				id: data.id,
+				type: 'action',
+				enabled: data.enabled !== undefined ? data.enabled : true,
+				input: {
+					id: data.input?.id || null,
+					state: data.input?.state || 'down'
+				},
+				output: {
+					id: null
+				},
+				action: {
+					type: 'cue',
+					cue: {
+						command: data.action?.cue?.command === 'back' ? 'back' : 'go'
+					}
+				},
+				order: data.order !== undefined ? data.order : index
+			};
+		}
+
 		// Handle values deserialization with deep copy
 		let values = null;
 		if (actionType === 'values' && data.action?.values) {
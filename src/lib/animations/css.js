@@ -5,7 +5,7 @@
  */
 
 import { getProperties } from '../outputs/css.js';
-import { getControlsForRendering } from './utils.js';
+import { getControlsForRendering, formatKeyframeTime } from './utils.js';
 
 /**
  * Convert animation to CSS @keyframes rule
@@ -18,9 +18,13 @@ export function generateCSSAnimation(animation) {
 	}
 
 	// Generate CSS based on controls being animated
+	// The easing of a keyframe applies to the segment up to the next keyframe
 	const keyframeRules = animation.keyframes.map(kf => {
-		const percent = Math.round(kf.time * 100);
+		const percent = formatKeyframeTime(kf.time);
 		const properties = getKeyframeProperties(animation, kf);
+		if (kf.easing) {
+			properties['animation-timing-function'] = kf.easing;
+		}
 		const props = Object.entries(properties)
 			.map(([prop, value]) => `${prop}: ${value}`)
 			.join('; ');
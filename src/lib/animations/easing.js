@@ -0,0 +1,115 @@
+/**
+ * Keyframe Easing
+ *
+ * Every keyframe can have its own easing, for the segment up to the next
+ * keyframe. It is emitted as `animation-timing-function` inside the keyframe.
+ * Keyframes without an easing use the easing of the trigger or scene that
+ * runs the animation.
+ *
+ * Easings are CSS timing functions: a keyword or `cubic-bezier(x1, y1, x2, y2)`.
+ */
+
+/**
+ * Timing function keywords with their cubic-bezier control points
+ */
+export const EASING_PRESETS = {
+	'linear': [0, 0, 1, 1],
+	'ease': [0.25, 0.1, 0.25, 1],
+	'ease-in': [0.42, 0, 1, 1],
+	'ease-out': [0, 0, 0.58, 1],
+	'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+/**
+ * Parse a CSS timing function into cubic-bezier control points
+ *
+ * @param {string} easing - Keyword or cubic-bezier() function
+ * @returns {Array<number>|null} Control points [x1, y1, x2, y2], null when the easing isn't supported
+ *
+ * @example
+ * parseEasing('cubic-bezier(0.4, 0, 0.2, 1)');
+ * // Returns: [0.4, 0, 0.2, 1]
+ */
+export function parseEasing(easing) {
+	if (!easing) return null;
+
+	const keyword = easing.trim();
+	if (EASING_PRESETS[keyword]) return [...EASING_PRESETS[keyword]];
+
+	const match = keyword.match(/^cubic-bezier\(([^)]*)\)$/);
+	if (!match) return null;
+
+	const points = match[1].split(',').map(value => parseFloat(value));
+	if (points.length !== 4 || points.some(value => !Number.isFinite(value))) return null;
+	if (points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1) return null;
+
+	return points;
+}
+
+/**
+ * Format cubic-bezier control points as a CSS timing function
+ * Control points of a keyword are formatted as the keyword
+ *
+ * @param {Array<number>} points - Control points [x1, y1, x2, y2]
+ * @returns {string} CSS timing function
+ */
+export function formatEasing(points) {
+	const rounded = points.map(value => Math.round(value * 100) / 100);
+
+	for (const [keyword, preset] of Object.entries(EASING_PRESETS)) {
+		if (preset.every((value, index) => value === rounded[index])) {
+			return keyword;
+		}
+	}
+
+	return `cubic-bezier(${rounded.join(', ')})`;
+}
+
+/**
+ * Get the eased progress of a segment
+ *
+ * @param {string|null} easing - CSS timing function, null for linear
+ * @param {number} t - Linear progress (0-1)
+ * @returns {number} Eased progress, can overshoot 0-1 for curves that do
+ */
+export function applyEasing(easing, t) {
+	const points = parseEasing(easing);
+	if (!points) return t;
+
+	const [x1, y1, x2, y2] = points;
+	return _bezier(y1, y2, _solveBezierX(x1, x2, t));
+}
+
+/**
+ * One coordinate of a cubic bezier from (0, 0) to (1, 1)
+ * @private
+ */
+function _bezier(p1, p2, s) {
+	const inverse = 1 - s;
+	return 3 * inverse * inverse * s * p1 + 3 * inverse * s * s * p2 + s * s * s;
+}
+
+/**
+ * Find the curve parameter for an x coordinate
+ * x is monotonic because x1 and x2 are between 0 and 1, so bisection always converges
+ * @private
+ */
+function _solveBezierX(x1, x2, x) {
+	let low = 0;
+	let high = 1;
+	let s = x;
+
+	for (let i = 0; i < 30; i++) {
+		const value = _bezier(x1, x2, s);
+		if (Math.abs(value - x) < 1e-6) break;
+
+		if (value < x) {
+			low = s;
+		} else {
+			high = s;
+		}
+		s = (low + high) / 2;
+	}
+
+	return s;
+}
@@ -0,0 +1,160 @@
+/**
+ * Movement Shapes
+ *
+ * Generates pan/tilt keyframes for movements that are hard to draw by hand:
+ * circles, ellipses, figure-eights, sweeps and random walks. The keyframes
+ * are regular animation keyframes, so a generated movement can be edited in
+ * the timeline like any other animation.
+ *
+ * Positions use the units of the CSS properties: pan from -50% to 50%, tilt
+ * from 0% to 100%. Keyframe values are 16-bit, like all pan/tilt values in
+ * animations.
+ */
+
+import { createSeededRandom } from './utils.js';
+
+const PAN_TILT_MAX = 65535;
+
+// Every point becomes a keyframe in the timeline and in the CSS, this keeps generated movements editable
+const MAX_KEYFRAMES = 400;
+
+/**
+ * Movement shapes
+ */
+export const SHAPES = [
+	{ id: 'circle', label: 'Circle' },
+	{ id: 'ellipse', label: 'Ellipse' },
+	{ id: 'figure-eight', label: 'Figure-eight' },
+	{ id: 'sweep', label: 'Line sweep' },
+	{ id: 'random-walk', label: 'Random walk' }
+];
+
+/**
+ * Create shape settings with defaults
+ * @returns {Object} Shape settings
+ */
+export function createDefaultShape() {
+	return {
+		shape: 'circle',
+		width: 40,         // percent of the pan range
+		height: 40,        // percent of the tilt range, circles use the width
+		centerPan: 0,      // -50% to 50%
+		centerTilt: 50,    // 0% to 100%
+		cycles: 1,         // loops of the shape per animation cycle
+		phase: 0,          // start angle in degrees
+		reverse: false,    // run the shape the other way around
+		steps: 24,         // keyframes per loop
+		seed: 1            // path of the random walk
+	};
+}
+
+/**
+ * Get the points of a shape
+ *
+ * @param {Object} settings - Shape settings from createDefaultShape()
+ * @returns {Array<{time: number, pan: number, tilt: number}>} Points, with pan (-50 to 50) and tilt (0 to 100) in percent
+ *
+ * @example
+ * getShapePoints({ ...createDefaultShape(), steps: 4 });
+ * // Returns: [{ time: 0, pan: 20, tilt: 50 }, { time: 0.25, pan: 0, tilt: 70 }, ...]
+ */
+export function getShapePoints(settings) {
+	const cycles = Math.max(1, Math.round(settings.cycles || 1));
+	const count = Math.min(MAX_KEYFRAMES - 1, Math.max(2, Math.round(settings.steps || 2)) * cycles);
+	const halfWidth = settings.width / 2;
+	const halfHeight = (settings.shape === 'circle' ? settings.width : settings.height) / 2;
+	const phase = settings.phase * Math.PI / 180;
+	const sign = settings.reverse ? -1 : 1;
+
+	const offsets = settings.shape === 'random-walk'
+		? _getRandomWalk(count, settings.seed)
+		: null;
+
+	const points = [];
+	for (let i = 0; i <= count; i++) {
+		const time = i / count;
+		const angle = phase + sign * 2 * Math.PI * cycles * time;
+
+		let x, y;
+		switch (settings.shape) {
+			case 'figure-eight':
+				x = Math.sin(angle);
+				y = Math.sin(2 * angle);
+				break;
+			case 'sweep':
+				x = -Math.cos(angle);
+				y = -Math.cos(angle);
+				break;
+			case 'random-walk':
+				[x, y] = offsets[i];
+				break;
+			default:
+				x = Math.cos(angle);
+				y = Math.sin(angle);
+		}
+
+		points.push({
+			time,
+			pan: _clamp(settings.centerPan + x * halfWidth, -50, 50),
+			tilt: _clamp(settings.centerTilt + y * halfHeight, 0, 100)
+		});
+	}
+
+	// Shapes end where they start, without rounding differences
+	points[count] = { ...points[0], time: 1 };
+
+	return points;
+}
+
+/**
+ * Generate the keyframes of a shape
+ *
+ * @param {Object} settings - Shape settings from createDefaultShape()
+ * @param {string} [controlId] - Id of the pan/tilt control
+ * @returns {Array<{time: number, values: Object}>} Animation keyframes
+ */
+export function generateShapeKeyframes(settings, controlId = 'pantilt') {
+	return getShapePoints(settings).map(point => ({
+		time: point.time,
+		values: {
+			[controlId]: {
+				pan: Math.round((point.pan + 50) / 100 * PAN_TILT_MAX),
+				tilt: Math.round(point.tilt / 100 * PAN_TILT_MAX)
+			}
+		}
+	}));
+}
+
+/**
+ * Offsets of a random walk from -1 to 1, ending where it started so it loops
+ * @private
+ */
+function _getRandomWalk(count, seed = 1) {
+	const random = createSeededRandom(seed);
+
+	const offsets = [[0, 0]];
+	for (let i = 1; i < count; i++) {
+		const [x, y] = offsets[i - 1];
+		offsets.push([
+			_clamp(x + (random() - 0.5), -1, 1),
+			_clamp(y + (random() - 0.5), -1, 1)
+		]);
+	}
+
+	// Walk back towards the start over the last steps, so the loop has no jump
+	const back = Math.max(1, Math.round(count / 4));
+	for (let i = count - back; i < count; i++) {
+		const weight = (i - (count - back)) / back;
+		offsets[i] = offsets[i].map(value => value * (1 - weight));
+	}
+	offsets.push([0, 0]);
+
+	return offsets;
+}
+
+/**
+ * @private
+ */
+function _clamp(value, min, max) {
+	return Math.max(min, Math.min(max, value));
+}
@@ -8,6 +8,7 @@
 
 import { DEVICE_TYPES } from '../outputs/devices.js';
 import { CONTROL_TYPES } from '../outputs/controls/index.js';
+import { applyEasing } from './easing.js';
 
 /**
  * Get controls array for rendering
@@ -30,9 +31,10 @@ export function getControlsForRendering(animation) {
 		);
 		if (hasAllControls) {
 			// Filter to only the controls we want
-			const filteredControls = deviceDef.controls.filter(c =>
-				animation.controls.includes(c.id)
-			);
+			// Animations keep pan/tilt at 16-bit, so they stay smooth on fixtures with fine channels
+			const filteredControls = deviceDef.controls
+				.filter(c => animation.controls.includes(c.id))
+				.map(c => c.type.type === 'xypad' ? { ...c, type: CONTROL_TYPES.PanTilt16 } : c);
 			return filteredControls;
 		}
 	}
@@ -122,8 +124,8 @@ export function getValuesAtTime(animation, time) {
 		const kf2 = sortedKeyframes[i + 1];
 
 		if (time >= kf1.time && time <= kf2.time) {
-			// Interpolate between kf1 and kf2
-			const t = (time - kf1.time) / (kf2.time - kf1.time);
+			// Interpolate between kf1 and kf2, with the easing of kf1
+			const t = applyEasing(kf1.easing, (time - kf1.time) / (kf2.time - kf1.time));
 			const interpolatedValues = {};
 
 			// Get all control ids from both keyframes
@@ -162,3 +164,39 @@ export function getValuesAtTime(animation, time) {
 	// Fallback - shouldn't reach here
 	return { ...sortedKeyframes[0].values };
 }
+
+/**
+ * Format the time of a keyframe as a percentage
+ * Keeps up to three decimals, so short accents in long animations stay where they were put
+ *
+ * @param {number} time - Time (0-1)
+ * @returns {number} Percentage
+ *
+ * @example
+ * formatKeyframeTime(0.12345); // Returns: 12.345
+ */
+export function formatKeyframeTime(time) {
+	return Math.round(time * 100000) / 1000;
+}
+
+/**
+ * Create a seeded random number generator (xorshift32)
+ * The same seed gives the same numbers, so generated orders and movements can be repeated
+ *
+ * @param {number} seed - Seed, 0 is replaced by 1
+ * @returns {function(): number} Function that returns the next number (0-1)
+ *
+ * @example
+ * const random = createSeededRandom(42);
+ * random(); // Returns: the same number for every generator with seed 42
+ */
+export function createSeededRandom(seed = 1) {
+	let state = seed >>> 0 || 1;
+
+	return () => {
+		state ^= state << 13;
+		state ^= state >>> 17;
+		state ^= state << 5;
+		return (state >>> 0) / 4294967296;
+	};
+}
@@ -2,16 +2,23 @@
  * CSS Generator
  *
  * Generates a complete CSS stylesheet from animations, inputs, triggers, devices, and scenes
+ * Triggers and scenes can target device groups, they are resolved with the device group library
+ * Effects come before scenes and triggers, so animations of scenes and triggers override them
+ * Shows come after scenes, so a playing show overrides the scene and triggers override the show
+ * Shows put the animations of scenes and effects in front of their clips, so these keep running between clips
  */
 
 export class CSSGenerator {
-	constructor(animationLibrary, inputLibrary, triggerLibrary, deviceLibrary, sceneLibrary, drawingLibrary = null) {
+	constructor(animationLibrary, inputLibrary, triggerLibrary, deviceLibrary, sceneLibrary, drawingLibrary = null, deviceGroupLibrary = null, effectLibrary = null, showLibrary = null) {
 		this.animationLibrary = animationLibrary;
 		this.inputLibrary = inputLibrary;
 		this.triggerLibrary = triggerLibrary;
 		this.deviceLibrary = deviceLibrary;
 		this.sceneLibrary = sceneLibrary;
 		this.drawingLibrary = drawingLibrary;
+		this.deviceGroupLibrary = deviceGroupLibrary;
+		this.effectLibrary = effectLibrary;
+		this.showLibrary = showLibrary;
 	}
 
 	/**
@@ -19,6 +26,7 @@ export class CSSGenerator {
 	 */
 	generate(devices = []) {
 		const parts = [];
+		const groups = this.deviceGroupLibrary?.getAll() ?? [];
 
 		// Default device values
 		const deviceDefaultsCSS = this.deviceLibrary.toCSS();
@@ -49,9 +57,20 @@ export class CSSGenerator {
 			}
 		}
 
+		// Effects (before scenes and triggers so they can override)
+		if (this.effectLibrary) {
+			const effectsCSS = this.effectLibrary.toCSS(devices, this.animationLibrary);
+			if (effectsCSS) {
+				parts.push('/* Effects ================== */');
+				parts.push('');
+				parts.push(effectsCSS);
+				parts.push('');
+			}
+		}
+
 		// Scenes (before triggers so triggers can override scene values)
 		if (this.sceneLibrary) {
-			const scenesCSS = this.sceneLibrary.toCSS(devices, this.animationLibrary, this.drawingLibrary);
+			const scenesCSS = this.sceneLibrary.toCSS(devices, this.animationLibrary, this.drawingLibrary, groups);
 			if (scenesCSS) {
 				parts.push('/* Scenes ================== */');
 				parts.push('');
@@ -60,8 +79,21 @@ export class CSSGenerator {
 			}
 		}
 
+		// Shows (after scenes so a playing show overrides scene values)
+		if (this.showLibrary) {
+			const scenes = this.sceneLibrary?.getAll() ?? [];
+			const effects = this.effectLibrary?.getAll() ?? [];
+			const showsCSS = this.showLibrary.toCSS(devices, this.animationLibrary, groups, scenes, effects);
+			if (showsCSS) {
+				parts.push('/* Shows ================== */');
+				parts.push('');
+				parts.push(showsCSS);
+				parts.push('');
+			}
+		}
+
 		// Triggers (after scenes so they can override scene values)
-		const triggersCSS = this.triggerLibrary.toCSS(devices, this.animationLibrary, this.inputLibrary, this.drawingLibrary);
+		const triggersCSS = this.triggerLibrary.toCSS(devices, this.animationLibrary, this.inputLibrary, this.drawingLibrary, groups);
 		if (triggersCSS) {
 			parts.push('/* Triggers ================== */');
 			parts.push('');
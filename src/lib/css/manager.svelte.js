@@ -6,12 +6,24 @@
  * - Generates and applies CSS to DOM
  * - Samples CSS computed styles in a continuous loop
  * - Publishes sampled values to subscribers
+ * - Merges the scenes of raised playbacks on top of the sampled values
+ *
+ * The sampling loop runs on the output timer instead of requestAnimationFrame,
+ * so DMX frames keep coming when the tab is in the background.
  */
 
 import './properties.css';
 import { CSSGenerator } from './generator.js';
 import { CSSSampler } from './sampler.js';
 import { resolveEnv } from '../env.js';
+import { SHOW_POSITION_PROPERTY } from '../shows/css.js';
+import { blendSampledValues } from '../scenes/fade.js';
+import { getSceneControls, mergePlaybacks } from '../scenes/merge.js';
+import { outputTimer } from '../outputs/timer.js';
+import { FrameWatchdog } from '../outputs/watchdog.js';
+
+// Sampling rate, matches the fastest DMX controller
+const SAMPLE_INTERVAL = 1000 / 60;
 
 export class CSSManager {
 	// Reactive devices array
@@ -20,7 +32,7 @@ export class CSSManager {
 	// Reactive generated CSS string for EditorView tracking
 	generatedCSSReactive = $state('');
 
-	constructor(deviceLibrary, animationLibrary, inputLibrary, triggerLibrary, triggerManager, sceneLibrary, drawingLibrary = null) {
+	constructor(deviceLibrary, animationLibrary, inputLibrary, triggerLibrary, triggerManager, sceneLibrary, drawingLibrary = null, deviceGroupLibrary = null, effectLibrary = null, showLibrary = null) {
 		this.deviceLibrary = deviceLibrary;
 		this.animationLibrary = animationLibrary;
 		this.inputLibrary = inputLibrary;
@@ -28,8 +40,11 @@ export class CSSManager {
 		this.triggerManager = triggerManager;
 		this.sceneLibrary = sceneLibrary;
 		this.drawingLibrary = drawingLibrary;
+		this.deviceGroupLibrary = deviceGroupLibrary;
+		this.effectLibrary = effectLibrary;
+		this.showLibrary = showLibrary;
 
-		this.cssGenerator = new CSSGenerator(animationLibrary, inputLibrary, triggerLibrary, deviceLibrary, sceneLibrary, drawingLibrary);
+		this.cssGenerator = new CSSGenerator(animationLibrary, inputLibrary, triggerLibrary, deviceLibrary, sceneLibrary, drawingLibrary, deviceGroupLibrary, effectLibrary, showLibrary);
 		this.cssSampler = new CSSSampler();
 
 		// DOM elements
@@ -42,8 +57,30 @@ export class CSSManager {
 		this._customCSS = this.loadCustomCSS();
 
 		// Sampling loop
-		this.animationFrameId = null;
+		this.samplingTimer = null;
 		this.subscribers = new Set();
+		this.lastSampledValues = null;
+
+		// Crossfade between the outgoing and the incoming scene, and the values of the scenes
+		// before playbacks are merged, where an interrupted fade continues from
+		this.sceneFade = null;
+		this.sceneSampledValues = null;
+
+		// Raised playbacks, in the order they were raised, and the playbacks they were set from
+		this.playbacks = []; // { id, sceneId, level, controls, container, elements }
+		this.playbackConfig = [];
+
+		// Reports frames the sampling loop could not produce in time
+		this.watchdog = new FrameWatchdog(SAMPLE_INTERVAL);
+		this.lastDroppedWarning = 0;
+		this.watchdog.on('dropped', ({ count, gap }) => {
+			// Don't flood the console when the main thread is busy for a while
+			const now = performance.now();
+			if (now - this.lastDroppedWarning < 5000) return;
+			this.lastDroppedWarning = now;
+
+			console.warn(`CSSManager: Dropped ${count} frame(s), ${Math.round(gap)} ms between frames`);
+		});
 
 		// Bind methods
 		this.sampleLoop = this.sampleLoop.bind(this);
@@ -87,9 +124,10 @@ export class CSSManager {
 		// Set default scene attribute on trigger classes container
 		this.triggerClassesContainer.setAttribute('scene', 'default');
 
-		// Watch device library changes
+		// Watch device and group library changes
 		$effect(() => {
 			const devices = this.deviceLibrary.getAll();
+			this.deviceGroupLibrary?.getAll(); // Track reactivity
 			this.updateDevices(devices);
 		});
 
@@ -132,6 +170,24 @@ export class CSSManager {
 			}
 		});
 
+		// Watch effect library changes
+		$effect(() => {
+			if (this.effectLibrary) {
+				this.effectLibrary.getAll(); // Track reactivity
+				this.regenerateCSS();
+				this.updateStyleElement();
+			}
+		});
+
+		// Watch show library changes
+		$effect(() => {
+			if (this.showLibrary) {
+				this.showLibrary.getAll(); // Track reactivity
+				this.regenerateCSS();
+				this.updateStyleElement();
+			}
+		});
+
 		// Start sampling loop
 		this.startSampling();
 	}
@@ -141,9 +197,15 @@ export class CSSManager {
 	 */
 	updateDevices(devices) {
 		this.devices = devices;
-		this.cssSampler.updateDevices(devices);
+		this.cssSampler.updateDevices(devices, this.deviceGroupLibrary?.getAll() ?? []);
 		this.regenerateCSS();
 		this.updateStyleElement();
+
+		// Copies of the container for playbacks have the old device elements
+		if (this.playbacks.length > 0) {
+			this._removePlaybacks();
+			this.setPlaybacks(this.playbackConfig);
+		}
 	}
 
 	/**
@@ -158,11 +220,89 @@ export class CSSManager {
 	/**
 	 * Set the active scene
 	 * Updates the scene attribute on the trigger classes container
+	 * With a fade time, the outgoing scene keeps running in a copy of the container and the
+	 * sampled values are blended from the outgoing to the incoming scene
 	 * @param {string} sceneCssIdentifier - CSS identifier of the scene to activate
+	 * @param {number} [fadeTime] - Crossfade time in ms, 0 for a cut
 	 */
-	setScene(sceneCssIdentifier) {
-		if (this.triggerClassesContainer) {
-			this.triggerClassesContainer.setAttribute('scene', sceneCssIdentifier || 'default');
+	setScene(sceneCssIdentifier, fadeTime = 0) {
+		const container = this.triggerClassesContainer;
+		if (!container) return;
+
+		const scene = sceneCssIdentifier || 'default';
+		if (container.getAttribute('scene') === scene) return;
+
+		// A fade that is interrupted continues from the values it has reached
+		const fadeValues = this.sceneFade ? this.sceneSampledValues : null;
+		this._endSceneFade();
+
+		if (fadeTime > 0) {
+			this.sceneFade = {
+				...(fadeValues ? { container: null, elements: null } : this.cssSampler.cloneContainer()),
+				values: fadeValues,
+				start: performance.now(),
+				duration: fadeTime
+			};
+		}
+
+		container.setAttribute('scene', scene);
+	}
+
+	/**
+	 * Set the playing show
+	 * Restarts the animations of the show, with their delays moved back by the position
+	 * @param {string|null} showCssIdentifier - CSS identifier of the show, null to stop
+	 * @param {number} position - Play position in ms
+	 * @param {boolean} paused - Hold the animations at the position
+	 */
+	setShow(showCssIdentifier, position = 0, paused = false) {
+		const container = this.triggerClassesContainer;
+		if (!container) return;
+
+		// Remove the show and apply the styles, so the animations start over when it is set again
+		container.removeAttribute('show');
+		void container.offsetWidth;
+
+		container.style.setProperty(SHOW_POSITION_PROPERTY, `${(position / 1000).toFixed(3)}s`);
+		container.toggleAttribute('show-paused', paused);
+		if (showCssIdentifier) {
+			container.setAttribute('show', showCssIdentifier);
+		}
+	}
+
+	/**
+	 * Set the playbacks stacked on the output
+	 * A playback that is raised samples its scene in a copy of the container, without triggers and
+	 * shows, and is merged on top of the playbacks that were raised before it
+	 * @param {Array} playbacks - Playbacks from the PlaybackLibrary, { id, sceneId, level }
+	 */
+	setPlaybacks(playbacks) {
+		this.playbackConfig = playbacks;
+		if (!this.triggerClassesContainer) return;
+
+		const groups = this.deviceGroupLibrary?.getAll() ?? [];
+
+		// Playbacks that are pulled down or play another scene now
+		for (const playback of this.playbacks) {
+			const config = playbacks.find(p => p.id === playback.id);
+			if (!config || config.level <= 0 || config.sceneId !== playback.sceneId || !this.sceneLibrary.get(config.sceneId)) {
+				this._removePlayback(playback);
+			}
+		}
+
+		for (const config of playbacks) {
+			const scene = this.sceneLibrary.get(config.sceneId);
+			if (!scene || config.level <= 0) continue;
+
+			let playback = this.playbacks.find(p => p.id === config.id);
+			if (!playback) {
+				playback = { id: config.id, sceneId: config.sceneId, ...this._createPlaybackContainer() };
+				this.playbacks.push(playback);
+			}
+
+			playback.container.setAttribute('scene', scene.cssIdentifier);
+			playback.level = config.level;
+			playback.controls = getSceneControls(scene, this.devices, groups, this.animationLibrary);
 		}
 	}
 
@@ -203,7 +343,7 @@ export class CSSManager {
 
 	/**
 	 * Subscribe to sampled CSS values
-	 * @param {Function} callback - Called with sampledValues Map on each frame
+	 * @param {Function} callback - Called with sampledValues Map and master levels on each frame
 	 * @returns {Function} Unsubscribe function
 	 */
 	subscribe(callback) {
@@ -213,6 +353,14 @@ export class CSSManager {
 		};
 	}
 
+	/**
+	 * Get the values of the last sampling frame, what is being output before masters
+	 * @returns {Map|null} deviceId -> control values, null before the first frame
+	 */
+	getSampledValues() {
+		return this.lastSampledValues;
+	}
+
 	/**
 	 * Load custom CSS from localStorage
 	 */
@@ -243,7 +391,9 @@ export class CSSManager {
 	 * Start the CSS sampling loop
 	 */
 	startSampling() {
-		if (!this.animationFrameId) {
+		if (!this.samplingTimer) {
+			this.watchdog.pause();
+			this.samplingTimer = outputTimer.setInterval(this.sampleLoop, SAMPLE_INTERVAL);
 			this.sampleLoop();
 		}
 	}
@@ -252,26 +402,42 @@ export class CSSManager {
 	 * Stop the CSS sampling loop
 	 */
 	stopSampling() {
-		if (this.animationFrameId) {
-			cancelAnimationFrame(this.animationFrameId);
-			this.animationFrameId = null;
+		if (this.samplingTimer) {
+			outputTimer.clearInterval(this.samplingTimer);
+			this.samplingTimer = null;
 		}
 	}
 
 	/**
-	 * Sampling loop - runs continuously and publishes to subscribers
+	 * Get statistics of the sampling loop
+	 * @returns {{frames: number, dropped: number, lastGap: number, maxGap: number, timer: string}}
+	 */
+	getFrameStats() {
+		return { ...this.watchdog.stats, timer: outputTimer.mode };
+	}
+
+	/**
+	 * Sampling loop - called by the output timer and publishes to subscribers
 	 */
 	sampleLoop() {
-		// Sample all devices
-		const sampledValues = this.cssSampler.sampleAll(this.devices);
+		this.watchdog.tick();
+
+		// Sample all devices, blended with the outgoing scene during a crossfade
+		let sampledValues = this.cssSampler.sampleAll(this.devices);
+		if (this.sceneFade) {
+			sampledValues = this._blendSceneFade(sampledValues);
+		}
+		this.sceneSampledValues = sampledValues;
+		if (this.playbacks.length > 0) {
+			sampledValues = this._mergePlaybacks(sampledValues);
+		}
+		this.lastSampledValues = sampledValues;
+		const masterLevels = this.cssSampler.sampleMasters();
 
 		// Publish to all subscribers
 		for (const callback of this.subscribers) {
-			callback(sampledValues);
+			callback(sampledValues, masterLevels);
 		}
-
-		// Continue loop
-		this.animationFrameId = requestAnimationFrame(this.sampleLoop);
 	}
 
 	/**
@@ -280,6 +446,8 @@ export class CSSManager {
 	destroy() {
 		// Stop sampling
 		this.stopSampling();
+		this._endSceneFade();
+		this._removePlaybacks();
 
 		// Remove DOM elements
 		if (this.animationTargetsContainer && this.animationTargetsContainer.parentNode) {
@@ -293,4 +461,76 @@ export class CSSManager {
 		// Clear subscribers
 		this.subscribers.clear();
 	}
+
+	/**
+	 * Blend sampled values of the incoming scene with the outgoing scene
+	 * @private
+	 */
+	_blendSceneFade(sampledValues) {
+		const fade = this.sceneFade;
+		const progress = (performance.now() - fade.start) / fade.duration;
+		if (progress >= 1) {
+			this._endSceneFade();
+			return sampledValues;
+		}
+
+		const outgoing = fade.values ?? this.cssSampler.sampleAll(this.devices, fade.elements);
+		return blendSampledValues(this.devices, outgoing, sampledValues, progress);
+	}
+
+	/**
+	 * Remove the copy of the outgoing scene
+	 * @private
+	 */
+	_endSceneFade() {
+		this.sceneFade?.container?.remove();
+		this.sceneFade = null;
+	}
+
+	/**
+	 * Copy the container for a playback, with only the scene of the playback applied
+	 * @private
+	 */
+	_createPlaybackContainer() {
+		const { container, elements } = this.cssSampler.cloneContainer();
+		container.className = 'trigger-classes';
+		container.removeAttribute('show');
+		container.removeAttribute('show-paused');
+		return { container, elements };
+	}
+
+	/**
+	 * Merge the sampled values of the raised playbacks on top of the sampled values
+	 * Only the devices a playback sets are sampled in its copy of the container
+	 * @private
+	 */
+	_mergePlaybacks(sampledValues) {
+		const playbacks = this.playbacks.map(playback => ({
+			level: playback.level,
+			controls: playback.controls,
+			values: this.cssSampler.sampleAll(this.devices.filter(d => playback.controls.has(d.id)), playback.elements)
+		}));
+
+		return mergePlaybacks(this.devices, sampledValues, playbacks);
+	}
+
+	/**
+	 * Remove the copy of the container of a playback
+	 * @private
+	 */
+	_removePlayback(playback) {
+		playback.container.remove();
+		this.playbacks = this.playbacks.filter(p => p !== playback);
+	}
+
+	/**
+	 * Remove the copies of the containers of all playbacks
+	 * @private
+	 */
+	_removePlaybacks() {
+		for (const playback of this.playbacks) {
+			playback.container.remove();
+		}
+		this.playbacks = [];
+	}
 }
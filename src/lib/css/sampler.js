@@ -6,11 +6,13 @@
  */
 
 import { DEVICE_TYPES } from '../outputs/devices.js';
+import { MASTERS_CLASS, parseMasterLevels } from '../outputs/masters.js';
 
 export class CSSSampler {
 	constructor() {
 		this.deviceElements = new Map(); // deviceId -> HTMLElement
 		this.container = null;
+		this.mastersElement = null; // Carries the grand master, blackout and submaster properties
 		this.previousValues = new Map(); // deviceId -> previous channel values (for change detection)
 	}
 
@@ -19,12 +21,19 @@ export class CSSSampler {
 	 */
 	initialize(container) {
 		this.container = container;
+
+		this.mastersElement = document.createElement('div');
+		this.mastersElement.className = MASTERS_CLASS;
+		this.container.appendChild(this.mastersElement);
 	}
 
 	/**
 	 * Create or update device elements
+	 * Members of a group get the CSS identifier of the group as a class
+	 * @param {Array} devices - All devices
+	 * @param {Array} [groups] - All device groups
 	 */
-	updateDevices(devices) {
+	updateDevices(devices, groups = []) {
 		if (!this.container) return;
 
 		// Remove elements for deleted devices
@@ -54,17 +63,71 @@ export class CSSSampler {
 				}
 			}
 
+			// Update group classes
+			const groupClasses = groups
+				.filter(group => group.deviceIds.includes(device.id))
+				.map(group => group.cssIdentifier);
+			const className = ['dmx-device', ...groupClasses].join(' ');
+			if (element.className !== className) {
+				element.className = className;
+			}
+
 			// Update data attributes
 			element.dataset.deviceName = device.name;
 			element.dataset.deviceType = device.type;
+
+			// Cells of pixel devices, addressable as `#device .pixel:nth-child(n)`
+			this.updatePixels(element, DEVICE_TYPES[device.type]?.pixels?.count ?? 0);
+		}
+	}
+
+	/**
+	 * Create or remove the cell elements of a pixel device
+	 * @param {HTMLElement} element - Device element
+	 * @param {number} count - Number of cells, 0 for devices without cells
+	 */
+	updatePixels(element, count) {
+		const pixels = element.querySelectorAll(':scope > .pixel');
+
+		for (let i = pixels.length; i < count; i++) {
+			const pixel = document.createElement('div');
+			pixel.className = 'pixel';
+			pixel.dataset.pixel = String(i + 1);
+			element.appendChild(pixel);
+		}
+
+		for (let i = count; i < pixels.length; i++) {
+			pixels[i].remove();
+		}
+	}
+
+	/**
+	 * Copy the sampler container, e.g. to keep sampling the outgoing scene of a crossfade
+	 * The copy is inserted after the container, its animations continue where the animations of the container are
+	 * @returns {{container: HTMLElement, elements: Map}} Copied container and its device elements by device ID
+	 */
+	cloneContainer() {
+		const container = this.container.cloneNode(true);
+		this.container.after(container);
+
+		const elements = new Map();
+		const children = Array.from(this.container.children);
+		for (const [deviceId, element] of this.deviceElements) {
+			elements.set(deviceId, container.children[children.indexOf(element)]);
 		}
+
+		_syncAnimations(this.container, container);
+
+		return { container, elements };
 	}
 
 	/**
 	 * Sample CSS values for a device and convert to DMX channels
+	 * @param {Object} device - Device
+	 * @param {Map} [elements] - Device elements to sample, e.g. from cloneContainer()
 	 */
-	sampleDevice(device) {
-		const element = this.deviceElements.get(device.id);
+	sampleDevice(device, elements = this.deviceElements) {
+		const element = elements.get(device.id);
 		if (!element) {
 			console.warn(`[CSSSampler] No element found for device ${device.id}`);
 			return null;
@@ -84,8 +147,18 @@ export class CSSSampler {
 		// Sample CSS properties based on device controls (NEW: no components)
 		const channels = this.sampleCSSProperties(computed, deviceType.controls);
 
+		// Sample every cell of pixel devices in the same pass
+		if (deviceType.pixels) {
+			channels.pixels = Array.from(
+				element.querySelectorAll(':scope > .pixel'),
+				pixel => this.sampleCSSProperties(window.getComputedStyle(pixel), deviceType.controls)
+			);
+		}
+
 		// Store current values for next comparison
-		this.previousValues.set(device.id, { ...channels });
+		if (elements === this.deviceElements) {
+			this.previousValues.set(device.id, { ...channels });
+		}
 
 		return channels;
 	}
@@ -149,12 +222,14 @@ export class CSSSampler {
 
 	/**
 	 * Sample all devices and return channel values
+	 * @param {Array} devices - Devices
+	 * @param {Map} [elements] - Device elements to sample, e.g. from cloneContainer()
 	 */
-	sampleAll(devices) {
+	sampleAll(devices, elements = this.deviceElements) {
 		const results = new Map(); // deviceId -> channels
 
 		for (const device of devices) {
-			const channels = this.sampleDevice(device);
+			const channels = this.sampleDevice(device, elements);
 			if (channels) {
 				results.set(device.id, channels);
 			}
@@ -163,6 +238,16 @@ export class CSSSampler {
 		return results;
 	}
 
+	/**
+	 * Sample the master levels set by triggers and custom CSS
+	 * @returns {Object|null} Master levels (0-1) and blackout state
+	 */
+	sampleMasters() {
+		if (!this.mastersElement) return null;
+
+		return parseMasterLevels(window.getComputedStyle(this.mastersElement));
+	}
+
 	/**
 	 * Get device element
 	 */
@@ -180,3 +265,32 @@ export class CSSSampler {
 		this.deviceElements.clear();
 	}
 }
+
+/**
+ * Move the CSS animations of a copied element tree to the current time of the original animations
+ * Copies start their animations from the beginning, matching them by element and name keeps them in step
+ * @private
+ */
+function _syncAnimations(source, copy) {
+	const sourceElements = [source, ...source.querySelectorAll('*')];
+	const copyElements = [copy, ...copy.querySelectorAll('*')];
+	const indexes = new Map(sourceElements.map((element, index) => [element, index]));
+	const synced = new Set();
+
+	for (const animation of source.getAnimations({ subtree: true })) {
+		const index = indexes.get(animation.effect?.target);
+		if (index === undefined || !animation.animationName) continue;
+
+		// An element can run the same animation more than once, e.g. in two clips of a show
+		const copyAnimation = copyElements[index]
+			?.getAnimations()
+			.find(a => a.animationName === animation.animationName && !synced.has(a));
+		if (!copyAnimation) continue;
+
+		synced.add(copyAnimation);
+		copyAnimation.currentTime = animation.currentTime;
+		if (animation.playState === 'paused') {
+			copyAnimation.pause();
+		}
+	}
+}
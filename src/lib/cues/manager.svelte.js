@@ -0,0 +1,169 @@
+/**
+ * CueController
+ *
+ * Playback of the cue list with GO and BACK. GO runs the next cue: after its
+ * delay the scene of the cue fades in on the cue level of the SceneController,
+ * so momentary and toggle scenes still play over the cue stack. A cue that
+ * follows GOes the next cue by itself, its wait time after the fade-in.
+ *
+ * BACK returns to the previous cue right away, without delay and follow.
+ * Before the first cue, BACK releases the cue stack and the scenes below
+ * take over again.
+ *
+ * Delays and follows run on the output timer, so a cue list keeps running
+ * while the tab is in the background.
+ */
+
+import { outputTimer } from '../outputs/timer.js';
+
+export class CueController {
+	// Reactive playback state
+	currentCueId = $state(null);
+	running = $state(false); // a delay or follow of the current cue is pending
+
+	constructor(cueLibrary, sceneLibrary, sceneController) {
+		this.cueLibrary = cueLibrary;
+		this.sceneLibrary = sceneLibrary;
+		this.sceneController = sceneController;
+
+		this._timer = null;
+	}
+
+	/**
+	 * Get the current cue object
+	 * @returns {Object|null} Current cue or null
+	 */
+	getCurrentCue() {
+		return this.cueLibrary.get(this.currentCueId) || null;
+	}
+
+	/**
+	 * Get the cue that GO runs next
+	 * @returns {Object|null} Next cue, null at the end of the list
+	 */
+	getNextCue() {
+		const cues = this.cueLibrary.getOrdered();
+		const index = cues.findIndex(c => c.id === this.currentCueId);
+		return cues[index + 1] || null;
+	}
+
+	/**
+	 * GO: run the next cue
+	 */
+	go() {
+		const cue = this.getNextCue();
+		if (!cue) return;
+
+		this._runCue(cue, true);
+	}
+
+	/**
+	 * Jump to a cue, it runs as if GO reached it
+	 * @param {string} cueId - Cue ID
+	 */
+	goTo(cueId) {
+		const cue = this.cueLibrary.get(cueId);
+		if (!cue) return;
+
+		this._runCue(cue, true);
+	}
+
+	/**
+	 * BACK: return to the previous cue, or release the cue stack before the first cue
+	 */
+	back() {
+		const cues = this.cueLibrary.getOrdered();
+		const index = cues.findIndex(c => c.id === this.currentCueId);
+
+		if (index > 0) {
+			this._runCue(cues[index - 1], false);
+		} else {
+			this.release();
+		}
+	}
+
+	/**
+	 * Release the cue stack, the scenes below fade back in
+	 */
+	release() {
+		this._cancelTimer();
+		this.currentCueId = null;
+		this.sceneController.releaseCueScene();
+	}
+
+	/**
+	 * Handle a release of the cue level by the SceneController, e.g. when a scene is activated in the Scenes panel
+	 */
+	handleReleased() {
+		this._cancelTimer();
+		this.currentCueId = null;
+	}
+
+	/**
+	 * Handle cue deletion
+	 * @param {string} cueId - Deleted cue ID
+	 */
+	handleCueDeleted(cueId) {
+		if (this.currentCueId === cueId) {
+			this.release();
+		}
+	}
+
+	/**
+	 * Make a cue current and fade in its scene
+	 * @param {Object} cue - Cue from the CueLibrary
+	 * @param {boolean} timed - Wait for the delay and follow on, false to fade in right away
+	 * @private
+	 */
+	_runCue(cue, timed) {
+		this._cancelTimer();
+		this.currentCueId = cue.id;
+
+		if (!timed) {
+			this.sceneController.setCueScene(cue.sceneId, cue.fade);
+			return;
+		}
+
+		const fadeIn = () => {
+			this._timer = null;
+			this.sceneController.setCueScene(cue.sceneId, cue.fade);
+			this._scheduleFollow(cue);
+		};
+
+		if (cue.delay > 0) {
+			this.running = true;
+			this._timer = outputTimer.setTimeout(fadeIn, cue.delay);
+		} else {
+			fadeIn();
+		}
+	}
+
+	/**
+	 * GO the next cue after the fade-in and wait time of a following cue
+	 * @private
+	 */
+	_scheduleFollow(cue) {
+		if (!cue.follow || !this.getNextCue()) {
+			this.running = false;
+			return;
+		}
+
+		const fade = cue.fade ?? this.sceneLibrary.get(cue.sceneId)?.fade ?? 0;
+		this.running = true;
+		this._timer = outputTimer.setTimeout(() => {
+			this._timer = null;
+			this.go();
+		}, fade + cue.wait);
+	}
+
+	/**
+	 * @private
+	 */
+	_cancelTimer() {
+		if (this._timer) {
+			outputTimer.clearTimeout(this._timer);
+			this._timer = null;
+		}
+		this.running = false;
+	}
+}
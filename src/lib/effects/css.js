@@ -0,0 +1,309 @@
+/**
+ * CSS Generation for Effects
+ *
+ * An effect runs one animation on a selection of devices, with a different
+ * phase for every device. The phases are negative `animation-delay` values,
+ * so a looping effect starts mid-cycle on every device instead of waiting for
+ * the delay. Effects that play once use positive delays, so devices start one
+ * after another.
+ *
+ * A looping effect can bounce: the phase runs out and back across the devices,
+ * 1-2-3-4-3-2-1, in one cycle. The devices at the turns are passed once, the
+ * devices in between twice. A device has only one delay, so every device that
+ * is passed twice gets a copy of the keyframes of the animation that runs it
+ * again at the second pass.
+ *
+ * A fan spreads pan over the devices. Every device gets a copy of the
+ * keyframes of the animation with its pan shifted, the first device by -width/2
+ * and the last device by +width/2.
+ */
+
+import { DEVICE_TYPES } from '../outputs/devices.js';
+import { getPanTiltMax } from '../outputs/controls.js';
+import { getControlsForRendering, getValuesAtTime, createSeededRandom } from '../animations/utils.js';
+import { generateCSSAnimation } from '../animations/css.js';
+
+// Smallest step between keyframes, formatKeyframeTime() keeps three decimals of a percentage
+const KEYFRAME_STEP = 0.00001;
+
+/**
+ * Directions in which the phase runs across the devices of an effect
+ */
+export const EFFECT_DIRECTIONS = [
+	{ id: 'forward', label: 'Forward' },
+	{ id: 'backward', label: 'Backward' },
+	{ id: 'center-out', label: 'Center out' },
+	{ id: 'edges-in', label: 'Edges in' }
+];
+
+/**
+ * Get the devices of an effect, in the order of the selection
+ * @param {Object} effect - Effect from the EffectLibrary
+ * @param {Array} devices - All devices
+ * @returns {Array} Devices
+ */
+export function getEffectDevices(effect, devices) {
+	return effect.deviceIds
+		.map(id => devices.find(device => device.id === id))
+		.filter(device => device && DEVICE_TYPES[device.type]);
+}
+
+/**
+ * Get the phase of every device of an effect
+ *
+ * @param {Object} effect - Effect with spread (0-100), direction, random and seed
+ * @param {number} count - Number of devices
+ * @returns {Array<number>} Phase of every device, as a fraction of a cycle (0-1)
+ *
+ * @example
+ * getEffectPhases({ spread: 100, direction: 'forward', random: false }, 4);
+ * // Returns: [0, 0.25, 0.5, 0.75]
+ */
+export function getEffectPhases(effect, count) {
+	return getEffectPasses({ ...effect, bounce: false }, count).map(([phase]) => phase);
+}
+
+/**
+ * Get the passes of the phase over every device of an effect
+ * Once for every device, or out and back for an effect that bounces
+ *
+ * @param {Object} effect - Effect with spread (0-100), direction, bounce, random and seed
+ * @param {number} count - Number of devices
+ * @returns {Array<Array<number>>} Passes over every device, as a fraction of a cycle (0-1)
+ *
+ * @example
+ * getEffectPasses({ spread: 100, direction: 'forward', bounce: true, random: false }, 4);
+ * // Returns: [[0], [0.16667, 0.83333], [0.33333, 0.66667], [0.5]]
+ */
+export function getEffectPasses(effect, count) {
+	const positions = Array.from({ length: count }, (_, index) => _getPosition(effect.direction, index, count));
+
+	if (effect.random) {
+		_shuffle(positions, effect.seed);
+	}
+
+	if (!effect.bounce || count < 2) {
+		return positions.map(position => [position * effect.spread / 100]);
+	}
+
+	return positions.map(position => {
+		// Mirror the position over a cycle of 2 * (count - 1) steps, out in the first half and back in the second
+		const out = _roundTime(position * count / (count - 1) / 2 * effect.spread / 100);
+		const back = _roundTime(effect.spread / 100 - out);
+
+		return out > 0 && back - out >= 2 * KEYFRAME_STEP ? [out, back] : [out];
+	});
+}
+
+/**
+ * Get the pan offset of every device of an effect
+ *
+ * @param {Object} effect - Effect with fan (0-100, percent of the pan range) and direction
+ * @param {number} count - Number of devices
+ * @param {number} max - Maximum pan value
+ * @returns {Array<number>} Pan offset of every device
+ */
+export function getEffectFanOffsets(effect, count, max) {
+	return Array.from({ length: count }, (_, index) => {
+		if (count < 2) return 0;
+
+		const position = index / (count - 1) - 0.5;
+		const offset = position * effect.fan / 100 * max;
+		return Math.round(effect.direction === 'backward' ? -offset : offset);
+	});
+}
+
+/**
+ * Generate the CSS of an effect
+ *
+ * @param {Object} effect - Effect from the EffectLibrary
+ * @param {Array} devices - All devices
+ * @param {Object} animationLibrary - AnimationLibrary instance
+ * @returns {string} @keyframes for fans and a rule for every device
+ */
+export function generateEffectCSS(effect, devices, animationLibrary) {
+	const rules = [];
+
+	for (const { device, keyframes, animation, delay } of _getDeviceAnimations(effect, devices, animationLibrary)) {
+		if (keyframes) rules.push(keyframes);
+		rules.push(`#${device.cssIdentifier} {\n  animation: ${animation};\n  animation-delay: ${delay};\n}`);
+	}
+
+	return rules.join('\n\n');
+}
+
+/**
+ * Get the animation an effect runs on every device
+ *
+ * @param {Object} effect - Effect from the EffectLibrary
+ * @param {Array} devices - All devices
+ * @param {Object} animationLibrary - AnimationLibrary instance
+ * @returns {Map} deviceId -> { animation, delay }, entries of the CSS `animation` and `animation-delay` lists.
+ *   Empty when the effect is disabled
+ */
+export function getEffectAnimations(effect, devices, animationLibrary) {
+	return new Map(_getDeviceAnimations(effect, devices, animationLibrary)
+		.map(({ device, animation, delay }) => [device.id, { animation, delay }])
+	);
+}
+
+/**
+ * Check if the animation of an effect can be fanned
+ * @param {Object} animation - Animation from the AnimationLibrary
+ * @returns {boolean} True when the animation has a pan/tilt control
+ */
+export function canFanAnimation(animation) {
+	return !!_getPanTiltControl(animation);
+}
+
+/**
+ * Animation of every device of an effect, with the @keyframes of the devices that get their own
+ * @private
+ * @returns {Array<{device: Object, keyframes: string|null, animation: string, delay: string}>}
+ */
+function _getDeviceAnimations(effect, devices, animationLibrary) {
+	if (!effect.enabled) return [];
+
+	const animation = animationLibrary?.get(effect.animation?.id);
+	if (!animation) return [];
+
+	const effectDevices = getEffectDevices(effect, devices);
+	if (effectDevices.length === 0) return [];
+
+	const anim = effect.animation;
+	const looping = anim.iterations === 'infinite';
+	const passes = getEffectPasses({ ...effect, bounce: effect.bounce && looping }, effectDevices.length);
+	const fanKeyframes = _getFanKeyframes(effect, animation, effectDevices.length);
+
+	return effectDevices.map((device, index) => {
+		const [phase, back] = passes[index];
+		let animName = animation.cssIdentifier;
+		let keyframes = fanKeyframes?.[index] || null;
+		let css = null;
+
+		// The delay starts the device at its first pass, the keyframes run it again at the second
+		if (back !== undefined) {
+			keyframes = _getBounceKeyframes(animation, keyframes || animation.keyframes, back - phase);
+		}
+
+		if (keyframes) {
+			animName = `effect-${effect.cssIdentifier}-${index + 1}`;
+			css = generateCSSAnimation({ ...animation, cssIdentifier: animName, keyframes }) || null;
+		}
+
+		const durSec = (anim.duration / 1000).toFixed(3);
+		const delaySec = (phase * anim.duration / 1000 * (looping ? -1 : 1)).toFixed(3);
+		const direction = effect.alternate ? ' alternate' : '';
+
+		return {
+			device,
+			keyframes: css,
+			animation: `${animName} ${durSec}s ${anim.easing} ${anim.iterations}${direction}`,
+			delay: `${delaySec}s`
+		};
+	});
+}
+
+/**
+ * Position of a device in the phase order, before the spread is applied
+ * @private
+ */
+function _getPosition(direction, index, count) {
+	const center = count - 1;
+
+	switch (direction) {
+		case 'backward':
+			return (count - 1 - index) / count;
+		case 'center-out':
+			return Math.abs(2 * index - center) / count;
+		case 'edges-in':
+			return (center - Math.abs(2 * index - center)) / count;
+		default:
+			return index / count;
+	}
+}
+
+/**
+ * Round a time to the keyframe step
+ * @private
+ */
+function _roundTime(time) {
+	return Math.round(time * 100000) / 100000;
+}
+
+/**
+ * Shuffle positions in place, the same seed gives the same order
+ * @private
+ */
+function _shuffle(positions, seed = 1) {
+	const random = createSeededRandom(seed);
+
+	for (let i = positions.length - 1; i > 0; i--) {
+		const j = Math.floor(random() * (i + 1));
+		[positions[i], positions[j]] = [positions[j], positions[i]];
+	}
+}
+
+/**
+ * Pan/tilt control of an animation
+ * @private
+ */
+function _getPanTiltControl(animation) {
+	if (!animation.controls?.length) return null;
+	return getControlsForRendering(animation).find(c => c.type.type === 'xypad' || c.type.type === 'xypad16') || null;
+}
+
+/**
+ * Keyframes with shifted pan for every device of a fanned effect
+ * @private
+ * @returns {Array<Array>|null} Keyframes per device, null when the effect isn't fanned
+ */
+function _getFanKeyframes(effect, animation, count) {
+	if (!effect.fan) return null;
+
+	const control = _getPanTiltControl(animation);
+	if (!control) return null;
+
+	const max = getPanTiltMax(control.type);
+	const offsets = getEffectFanOffsets(effect, count, max);
+
+	return offsets.map(offset => animation.keyframes.map(keyframe => {
+		const value = keyframe.values[control.id];
+		if (!value) return keyframe;
+
+		const pan = Math.max(0, Math.min(max, (value.pan ?? 0) + offset));
+		return { ...keyframe, values: { ...keyframe.values, [control.id]: { ...value, pan } } };
+	}));
+}
+
+/**
+ * Keyframes that run an animation twice in one cycle, from the start and again after a gap
+ * Each run is cut off where the other one starts
+ * @private
+ */
+function _getBounceKeyframes(animation, keyframes, gap) {
+	return [
+		..._getRunKeyframes(animation, keyframes, 0, gap),
+		..._getRunKeyframes(animation, keyframes, gap, 1 - gap)
+	];
+}
+
+/**
+ * Keyframes of one run of an animation, moved to start and cut off after length
+ * @private
+ */
+function _getRunKeyframes(animation, keyframes, start, length) {
+	const source = { ...animation, keyframes };
+	const sorted = [...keyframes].sort((a, b) => a.time - b.time);
+
+	// A run that is followed by another one ends a step before it, so the values jump
+	const end = start + length < 1 ? _roundTime(length - KEYFRAME_STEP) : length;
+
+	return [
+		{ ...sorted[0], time: start, values: getValuesAtTime(source, 0) },
+		...sorted
+			.filter(keyframe => keyframe.time > 0 && keyframe.time < end)
+			.map(keyframe => ({ ...keyframe, time: start + keyframe.time })),
+		{ time: start + end, values: getValuesAtTime(source, end) }
+	];
+}
@@ -998,6 +998,25 @@ export class InputController {
 		return await this.inputDeviceManager.requestAudio(deviceId);
 	}
 
+	/**
+	 * Use a DMX controller in receive mode as an input device
+	 * @param {DMXDriver} driver - DMX driver that is receiving DMX
+	 */
+	addDMXInput(driver) {
+		return this.inputDeviceManager.addDMXInputDevice(driver);
+	}
+
+	/**
+	 * Stop using a DMX controller as an input device
+	 * @param {DMXDriver} driver
+	 */
+	removeDMXInput(driver) {
+		const device = this.inputDeviceManager.getDMXInputDevice(driver);
+		if (device) {
+			this.inputDeviceManager.removeDevice(device.id);
+		}
+	}
+
 	/**
 	 * Switch audio input device
 	 */
@@ -13,3 +13,4 @@ export { GamepadInputDevice } from './devices/GamepadInputDevice.js';
 export { HeartRateInputDevice } from './devices/HeartRateInputDevice.js';
 export { JoyConInputDevice } from './devices/JoyConInputDevice.js';
 export { AudioInputDevice } from './devices/AudioInputDevice.js';
+export { DMXInputDevice } from './devices/DMXInputDevice.js';
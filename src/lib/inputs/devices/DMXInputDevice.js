@@ -0,0 +1,55 @@
+import { InputDevice } from './InputDevice.js';
+
+/**
+ * DMX Input Device
+ *
+ * Wraps a DMX controller in receive mode, so a house console or another
+ * controller can drive inputs. Every DMX channel becomes a slider control
+ * 'channel-1' to 'channel-512', like MIDI CCs.
+ */
+export class DMXInputDevice extends InputDevice {
+	constructor(driver) {
+		// Use the serial number when available, so inputs survive reconnecting
+		// Without one the id of the connection keeps two interfaces of the same kind apart
+		const serial = driver.device?.serialNumber;
+		super(`dmx-${serial || driver.id}`, `${driver.getLabel()} input`, 'dmx');
+
+		this.driver = driver;
+		this._handleReceived = this._handleReceived.bind(this);
+		this.driver.on('dmxreceived', this._handleReceived);
+	}
+
+	/**
+	 * Override _setValue to mark DMX channels as sliders
+	 */
+	_setValue(controlId, value, min = 0, max = 1) {
+		if (!this.controls.has(controlId)) {
+			this.controls.set(controlId, { type: 'value', value: 0, min, max });
+		}
+
+		const control = this.controls.get(controlId);
+		control.value = value;
+		control.min = min;
+		control.max = max;
+
+		this._emit('change', {
+			controlId,
+			value,
+			control,
+			type: 'slider',
+			colorSupport: 'none',
+			friendlyName: null,
+			orientation: 'vertical'
+		});
+	}
+
+	_handleReceived({ changes }) {
+		for (const [channel, value] of changes) {
+			this._setValue(`channel-${channel + 1}`, value / 255, 0, 1);
+		}
+	}
+
+	disconnect() {
+		this.driver.off('dmxreceived', this._handleReceived);
+	}
+}
@@ -21,6 +21,7 @@ import {
 	HeartRateInputDevice,
 	JoyConInputDevice,
 	AudioInputDevice,
+	DMXInputDevice,
 } from './devices.js';
 
 /**
@@ -437,6 +438,38 @@ export class InputDeviceManager {
 		return null;
 	}
 
+	/**
+	 * Add a DMX controller in receive mode as an input device
+	 * @param {DMXDriver} driver - DMX driver that is receiving DMX
+	 * @returns {DMXInputDevice}
+	 */
+	addDMXInputDevice(driver) {
+		const existing = this.getDMXInputDevice(driver);
+		if (existing) return existing;
+
+		const device = new DMXInputDevice(driver);
+		this.devices.set(device.id, device);
+		this._emit('deviceadded', device);
+
+		// Remove the input device when the DMX controller goes away
+		const handleDisconnected = () => {
+			driver.off('disconnected', handleDisconnected);
+			this.removeDevice(device.id);
+		};
+		driver.on('disconnected', handleDisconnected);
+
+		return device;
+	}
+
+	/**
+	 * Get the input device for a receiving DMX controller
+	 * @param {DMXDriver} driver
+	 * @returns {DMXInputDevice|undefined}
+	 */
+	getDMXInputDevice(driver) {
+		return this.getAllDevices().find(device => device.type === 'dmx' && device.driver === driver);
+	}
+
 	/**
 	 * Enable keyboard input
 	 */
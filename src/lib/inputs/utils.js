@@ -75,6 +75,9 @@ export function formatInputName(deviceName, controlId) {
 	} else if (controlId.startsWith('control-') || controlId.startsWith('cc-')) {
 		const controlNumber = controlId.replace('control-', '').replace('cc-', '');
 		return `${deviceName} Control ${controlNumber}`;
+	} else if (controlId.startsWith('channel-')) {
+		const channelNumber = controlId.replace('channel-', '');
+		return `${deviceName} Channel ${channelNumber}`;
 	} else if (controlId.startsWith('button-')) {
 		const buttonNumber = controlId.replace('button-', '');
 		return `${deviceName} Button ${buttonNumber}`;
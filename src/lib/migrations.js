@@ -0,0 +1,121 @@
+/**
+ * Storage Migrations
+ *
+ * Upgrades data saved by earlier versions before the libraries load it.
+ * The version of the data in localStorage is kept under its own key,
+ * project files carry it as their `version`.
+ *
+ * Versions:
+ * 1: Initial format
+ * 2: 16-bit pan/tilt controls and animation keyframes store 0-65535 instead of 0-255
+ */
+
+import { DEVICE_TYPES } from './outputs/devices.js';
+import { CONTROL_TYPES } from './outputs/controls/index.js';
+import { convertPanTilt } from './outputs/controls.js';
+
+export const STORAGE_VERSION = 2;
+
+const VERSION_KEY = 'dmx-storage-version';
+
+/**
+ * Migrate the data in localStorage to the current version
+ * Must run after device types are registered, and before the other libraries load
+ */
+export function migrateStorage() {
+	const version = parseInt(localStorage.getItem(VERSION_KEY)) || 1;
+	if (version >= STORAGE_VERSION) return;
+
+	try {
+		if (version < 2) {
+			_migratePanTilt16();
+		}
+	} catch (error) {
+		console.error('Failed to migrate saved data:', error);
+	}
+
+	localStorage.setItem(VERSION_KEY, String(STORAGE_VERSION));
+}
+
+/**
+ * Set the version of the data in localStorage, e.g. after importing a project
+ * The data is migrated on the next load
+ * @param {number} version - Version of the imported data
+ */
+export function setStorageVersion(version) {
+	localStorage.setItem(VERSION_KEY, String(version || 1));
+}
+
+/**
+ * Version 2: Scale 8-bit values of 16-bit pan/tilt controls to 16-bit
+ * @private
+ */
+function _migratePanTilt16() {
+	const devices = _read('dmx-devices');
+
+	// Scale the values of the 16-bit controls of a device
+	const migrateValues = (deviceType, values) => {
+		if (!deviceType || !values) return;
+
+		for (const control of deviceType.controls) {
+			if (control.type.type === 'xypad16' && values[control.id]) {
+				values[control.id] = convertPanTilt(values[control.id], CONTROL_TYPES.PanTilt, control.type);
+			}
+		}
+	};
+
+	const deviceTypes = new Map(devices.map(device => [device.id, DEVICE_TYPES[device.type]]));
+
+	for (const device of devices) {
+		migrateValues(DEVICE_TYPES[device.type], device.defaultValues);
+	}
+	_write('dmx-devices', devices);
+
+	const scenes = _read('dmx-scenes');
+	for (const scene of scenes) {
+		for (const entry of scene.devices || []) {
+			migrateValues(deviceTypes.get(entry.deviceId), entry.values);
+		}
+	}
+	_write('dmx-scenes', scenes);
+
+	const triggers = _read('dmx-triggers');
+	for (const trigger of triggers) {
+		if (trigger.action?.type === 'values') {
+			migrateValues(deviceTypes.get(trigger.output?.id), trigger.action.values);
+		}
+	}
+	_write('dmx-triggers', triggers);
+
+	// Animations now always store pan/tilt at 16-bit
+	const animations = _read('dmx-animations');
+	for (const animation of animations) {
+		for (const keyframe of animation.keyframes || []) {
+			for (const [controlId, value] of Object.entries(keyframe.values || {})) {
+				if (value && typeof value === 'object' && 'pan' in value) {
+					keyframe.values[controlId] = convertPanTilt(value, CONTROL_TYPES.PanTilt, CONTROL_TYPES.PanTilt16);
+				}
+			}
+		}
+	}
+	_write('dmx-animations', animations);
+}
+
+/**
+ * Read a list from localStorage
+ * @private
+ */
+function _read(key) {
+	const data = localStorage.getItem(key);
+	return data ? JSON.parse(data) : [];
+}
+
+/**
+ * Write a list to localStorage, when there was one
+ * @private
+ */
+function _write(key, items) {
+	if (localStorage.getItem(key) !== null) {
+		localStorage.setItem(key, JSON.stringify(items));
+	}
+}
@@ -0,0 +1,105 @@
+/**
+ * MasterController
+ *
+ * Holds the grand master, blackout and submaster faders of the UI, and the
+ * levels set from CSS by triggers. Both are combined every frame and applied
+ * to the sampled control values before they are sent to DMX.
+ *
+ * Fader levels are saved, blackout always starts off after a reload.
+ */
+
+import { MASTERS, createDefaultLevels, combineMasterLevels } from './masters.js';
+
+const STORAGE_KEY = 'dmx-masters';
+
+export class MasterController {
+	// Fader levels from the UI (0-1) and the blackout toggle
+	levels = $state(createDefaultLevels());
+
+	// Levels sampled from the masters element, set by triggers and custom CSS
+	sampledLevels = $state(createDefaultLevels());
+
+	constructor() {
+		this._load();
+	}
+
+	/**
+	 * Set the level of a master fader
+	 * @param {string} id - Master id ('grand', 'dimmer', 'color', 'strobe' or 'smoke')
+	 * @param {number} level - Level (0-1)
+	 */
+	setLevel(id, level) {
+		if (!MASTERS.some(m => m.id === id)) return;
+
+		this.levels[id] = Math.max(0, Math.min(1, level));
+		this._save();
+	}
+
+	/**
+	 * Turn blackout on or off
+	 * @param {boolean} active
+	 */
+	setBlackout(active) {
+		this.levels.blackout = active;
+	}
+
+	/**
+	 * Toggle blackout
+	 */
+	toggleBlackout() {
+		this.setBlackout(!this.levels.blackout);
+	}
+
+	/**
+	 * Update the levels sampled from CSS
+	 * Only touches reactive state when something changed, as this is called every frame
+	 * @param {Object|null} sampled - Master levels from CSSSampler.sampleMasters()
+	 */
+	updateSampledLevels(sampled) {
+		if (!sampled) return;
+
+		const changed = sampled.blackout !== this.sampledLevels.blackout ||
+			MASTERS.some(m => sampled[m.id] !== this.sampledLevels[m.id]);
+
+		if (changed) {
+			this.sampledLevels = sampled;
+		}
+	}
+
+	/**
+	 * Get the effective master levels
+	 * @returns {Object} Fader levels combined with the sampled levels
+	 */
+	getLevels() {
+		return combineMasterLevels(this.levels, this.sampledLevels);
+	}
+
+	/**
+	 * Load fader levels from localStorage
+	 * @private
+	 */
+	_load() {
+		try {
+			const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+			for (const master of MASTERS) {
+				if (typeof data[master.id] === 'number') {
+					this.levels[master.id] = Math.max(0, Math.min(1, data[master.id]));
+				}
+			}
+		} catch (error) {
+			console.warn('Failed to load master levels:', error);
+		}
+	}
+
+	/**
+	 * Save fader levels to localStorage
+	 * @private
+	 */
+	_save() {
+		const data = {};
+		for (const master of MASTERS) {
+			data[master.id] = this.levels[master.id];
+		}
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+	}
+}
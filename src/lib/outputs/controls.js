@@ -6,6 +6,8 @@
  * control values and the DMX protocol's channel arrays.
  */
 
+import { applyPatch } from './patch.js';
+
 /**
  * Convert device control values to DMX array
  *
@@ -14,6 +16,8 @@
  *
  * @param {DeviceType} deviceType - Device type definition (class instance)
  * @param {Object} controlValues - Control values object { "color": { red, green, blue }, "dimmer": 255, ... }
+ *   Pixel devices can add the values of every cell: { ..., pixels: [{ "color": ... }, ...] }
+ * @param {Object} [patch] - Device patch (invert, swap, limits, dimmer curve), see patch.js
  * @returns {Array<number>} DMX array (0-255 values)
  *
  * @example
@@ -22,26 +26,23 @@
  * const dmx = controlValuesToDMX(deviceType, controlValues);
  * // Returns: [255, 128, 64]
  */
-export function controlValuesToDMX(deviceType, controlValues) {
+export function controlValuesToDMX(deviceType, controlValues, patch = null) {
 	// Start with device default values (all channels)
 	const dmxArray = [...deviceType.defaultValues];
 
-	// Process each control defined in the device type
-	for (const controlDef of deviceType.controls) {
-		const value = controlValues?.[controlDef.id];
-		if (value === undefined) {
-			// Control not set, use default from dmxArray
-			continue;
-		}
-
-		// Get DMX values from control type
-		// Input: plain object/number, Output: plain array
-		const controlDMX = controlDef.type.valueToDMX(value);
+	// Apply how the device is patched, e.g. inverted pan or limited tilt
+	if (patch) {
+		controlValues = applyPatch(deviceType, controlValues, patch);
+	}
 
-		// Write to correct channels
-		for (let i = 0; i < controlDMX.length; i++) {
-			dmxArray[controlDef.startChannel + i] = controlDMX[i];
+	if (deviceType.pixels) {
+		// Every cell repeats the controls, with its own values or the values of the whole device
+		for (let pixel = 0; pixel < deviceType.pixels.count; pixel++) {
+			const pixelValues = controlValues?.pixels?.[pixel] ?? controlValues;
+			_writeControls(dmxArray, deviceType.controls, pixelValues, pixel * deviceType.pixels.channels);
 		}
+	} else {
+		_writeControls(dmxArray, deviceType.controls, controlValues, 0);
 	}
 
 	return dmxArray;
@@ -76,25 +77,92 @@ export function createDefaultControlValues(deviceType) {
 	return controlValues;
 }
 
+/**
+ * Get the highest value of a Pan/Tilt control
+ * 8-bit controls store 0-255, 16-bit controls store 0-65535
+ *
+ * @param {ControlType} controlType - Pan/Tilt control type
+ * @returns {number} Highest pan and tilt value
+ */
+export function getPanTiltMax(controlType) {
+	return controlType?.getValueMetadata?.().values?.[0]?.dmxMax ?? 255;
+}
+
+/**
+ * Convert a Pan/Tilt control value between control resolutions
+ *
+ * @param {Object} controlValue - Pan/Tilt control value { pan, tilt }
+ * @param {ControlType} fromType - Control type the value belongs to
+ * @param {ControlType} toType - Control type to convert to
+ * @returns {Object} Converted control value { pan, tilt }
+ *
+ * @example
+ * convertPanTilt({ pan: 255, tilt: 128 }, CONTROL_TYPES.PanTilt, CONTROL_TYPES.PanTilt16)
+ * // Returns: { pan: 65535, tilt: 32896 }
+ */
+export function convertPanTilt(controlValue, fromType, toType) {
+	const fromMax = getPanTiltMax(fromType);
+	const toMax = getPanTiltMax(toType);
+	if (fromMax === toMax || !controlValue || typeof controlValue !== 'object') return controlValue;
+
+	return {
+		...controlValue,
+		pan: Math.round((controlValue.pan ?? 0) / fromMax * toMax),
+		tilt: Math.round((controlValue.tilt ?? 0) / fromMax * toMax)
+	};
+}
+
 /**
  * Apply mirror transformation to Pan/Tilt control
  *
- * Mirrors the X (pan) value: 255 - x
+ * Mirrors the X (pan) value: max - x
  * This is useful for linked devices facing opposite directions.
  *
  * @param {Object} controlValue - Pan/Tilt control value { pan, tilt }
- * @returns {Object} Mirrored control value { pan: 255-pan, tilt }
+ * @param {number} [max=255] - Highest pan value, 65535 for 16-bit controls
+ * @returns {Object} Mirrored control value { pan: max-pan, tilt }
  *
  * @example
  * mirrorPanTilt({ pan: 200, tilt: 100 })
  * // Returns: { pan: 55, tilt: 100 }
+ *
+ * mirrorPanTilt({ pan: 40000, tilt: 100 }, 65535)
+ * // Returns: { pan: 25535, tilt: 100 }
  */
-export function mirrorPanTilt(controlValue) {
+export function mirrorPanTilt(controlValue, max = 255) {
 	if (controlValue && typeof controlValue === 'object' && 'pan' in controlValue) {
 		return {
 			...controlValue,
-			pan: 255 - controlValue.pan
+			pan: max - controlValue.pan
 		};
 	}
 	return controlValue;
 }
+
+/**
+ * Write the DMX values of controls into a DMX array
+ * @param {Array<number>} dmxArray - DMX array of the device
+ * @param {Array<Object>} controls - Control definitions
+ * @param {Object} controlValues - Control values object
+ * @param {number} offset - Channel the control start channels are relative to
+ * @private
+ */
+function _writeControls(dmxArray, controls, controlValues, offset) {
+	// Process each control defined in the device type
+	for (const controlDef of controls) {
+		const value = controlValues?.[controlDef.id];
+		if (value === undefined) {
+			// Control not set, use default from dmxArray
+			continue;
+		}
+
+		// Get DMX values from control type
+		// Input: plain object/number, Output: plain array
+		const controlDMX = controlDef.type.valueToDMX(value);
+
+		// Write to correct channels
+		for (let i = 0; i < controlDMX.length; i++) {
+			dmxArray[offset + controlDef.startChannel + i] = controlDMX[i];
+		}
+	}
+}
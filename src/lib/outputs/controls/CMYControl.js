@@ -0,0 +1,33 @@
+import { ColorControl } from './ColorControl.js';
+
+/**
+ * CMY Control
+ * Subtractive color mixing with cyan, magenta and yellow flags
+ *
+ * The value is the resulting color { red, green, blue }, like the Color control,
+ * so CMY fixtures are set and animated with the same CSS color properties as
+ * RGB fixtures. Each flag removes its complementary color: cyan = 255 - red.
+ */
+export class CMYControl extends ColorControl {
+	constructor() {
+		super({
+			id: 'cmy',
+			name: 'CMY',
+		});
+
+		// All flags out, the open white beam
+		this.defaultValue = { red: 255, green: 255, blue: 255 };
+	}
+
+	// Input: plain object { red, green, blue }
+	// Output: plain array [cyan, magenta, yellow]
+	valueToDMX(value) {
+		return super.valueToDMX(value).map(component => 255 - component);
+	}
+
+	// Input: plain array [cyan, magenta, yellow, ...]
+	// Output: plain object { red, green, blue }
+	dmxToValue(dmxValues) {
+		return super.dmxToValue([0, 1, 2].map(index => 255 - (dmxValues[index] ?? 0)));
+	}
+}
@@ -5,10 +5,10 @@ import { RGBControlType } from './types/RGBControlType.js';
  * Single RGB control for color mixing
  */
 export class ColorControl extends RGBControlType {
-	constructor() {
+	constructor({ id = 'color', name = 'Color' } = {}) {
 		super({
-			id: 'color',
-			name: 'Color',
+			id,
+			name,
 		});
 	}
 
@@ -0,0 +1,58 @@
+import { SliderControlType } from './types/SliderControlType.js';
+
+/**
+ * Color Temperature Control
+ * Controls color temperature correction (CTO), from the native white of the
+ * fixture to warm white. In CSS the value is the resulting color temperature
+ * in Kelvin, so 0 (no correction) is 6500 and 255 (full CTO) is 2700.
+ */
+export class ColorTemperatureControl extends SliderControlType {
+	constructor() {
+		super({
+			id: 'cto',
+			name: 'Color Temp.',
+		});
+	}
+
+	getGradient() {
+		return 'linear-gradient(to right, rgb(255,249,253) 0%, rgb(255,206,166) 50%, rgb(255,167,87) 100%)';
+	}
+
+	getColor(value) {
+		// Interpolate from cool white (255,249,253) to warm white (255,167,87)
+		const t = (value ?? 0) / 255;
+		return `rgb(255, ${Math.round(249 - 82 * t)}, ${Math.round(253 - 166 * t)})`;
+	}
+
+	getValueMetadata() {
+		return {
+			values: [{
+				id: 'cto',
+				label: 'Color Temp.',
+				type: 'range',
+				cssProperty: '--color-temperature',
+				sample: true,
+				min: 6500,
+				max: 2700,
+				unit: '',
+				dmxMin: 0,
+				dmxMax: 255,
+				description: 'Color temperature in Kelvin (6500 to 2700)'
+			}]
+		};
+	}
+
+	getSamplingConfig() {
+		const meta = this.getValueMetadata().values[0];
+		return {
+			cssProperty: meta.cssProperty,
+			parse: (cssValue) => {
+				const match = cssValue.match(/(-?\d+(?:\.\d+)?)/);
+				const value = match ? parseFloat(match[1]) : meta.min;
+				const normalized = (value - meta.min) / (meta.max - meta.min);
+				const dmxValue = Math.round(normalized * (meta.dmxMax - meta.dmxMin) + meta.dmxMin);
+				return Math.max(meta.dmxMin, Math.min(meta.dmxMax, dmxValue));
+			}
+		};
+	}
+}
@@ -0,0 +1,53 @@
+import { SlotsControlType } from './types/SlotsControlType.js';
+
+/**
+ * Color Wheel Control
+ * Selects a color on the color wheel of a spot or wash
+ * The default slots fit a common 8 color wheel, imported fixtures bring their own
+ */
+export class ColorWheelControl extends SlotsControlType {
+	constructor() {
+		super({
+			id: 'colorwheel',
+			name: 'Color Wheel',
+			slots: [
+				{ name: 'Open', dmxMin: 0, dmxMax: 15, color: 'rgb(255, 255, 255)' },
+				{ name: 'Red', dmxMin: 16, dmxMax: 31, color: 'rgb(255, 0, 0)' },
+				{ name: 'Orange', dmxMin: 32, dmxMax: 47, color: 'rgb(255, 128, 0)' },
+				{ name: 'Yellow', dmxMin: 48, dmxMax: 63, color: 'rgb(255, 255, 0)' },
+				{ name: 'Green', dmxMin: 64, dmxMax: 79, color: 'rgb(0, 255, 0)' },
+				{ name: 'Cyan', dmxMin: 80, dmxMax: 95, color: 'rgb(0, 255, 255)' },
+				{ name: 'Blue', dmxMin: 96, dmxMax: 111, color: 'rgb(0, 0, 255)' },
+				{ name: 'Magenta', dmxMin: 112, dmxMax: 127, color: 'rgb(255, 0, 255)' },
+				{ name: 'Rotate', dmxMin: 128, dmxMax: 255 }
+			]
+		});
+	}
+
+	getValueMetadata() {
+		return {
+			values: [{
+				id: 'colorwheel',
+				label: 'Color Wheel',
+				type: 'range',
+				cssProperty: '--color-wheel',
+				sample: true,
+				min: 0,
+				max: 255,
+				unit: '',
+				dmxMin: 0,
+				dmxMax: 255,
+				slots: this.slots,
+				description: 'Color wheel slot (keyword like "red", or 0-255)'
+			}]
+		};
+	}
+
+	getSamplingConfig() {
+		const meta = this.getValueMetadata().values[0];
+		return {
+			cssProperty: meta.cssProperty,
+			parse: (cssValue) => this.parseCssValue(cssValue)
+		};
+	}
+}
@@ -0,0 +1,46 @@
+import { SliderControlType } from './types/SliderControlType.js';
+
+/**
+ * Focus Control
+ * Controls the focus of the projected image, from near to far
+ */
+export class FocusControl extends SliderControlType {
+	constructor() {
+		super({
+			id: 'focus',
+			name: 'Focus',
+		});
+	}
+
+	getValueMetadata() {
+		return {
+			values: [{
+				id: 'focus',
+				label: 'Focus',
+				type: 'range',
+				cssProperty: '--focus',
+				sample: true,
+				min: 0,
+				max: 100,
+				unit: '%',
+				dmxMin: 0,
+				dmxMax: 255,
+				description: 'Focus (0% near to 100% far)'
+			}]
+		};
+	}
+
+	getSamplingConfig() {
+		const meta = this.getValueMetadata().values[0];
+		return {
+			cssProperty: meta.cssProperty,
+			parse: (cssValue) => {
+				const match = cssValue.match(/(-?\d+(?:\.\d+)?)/);
+				const value = match ? parseFloat(match[1]) : 0;
+				const normalized = (value - meta.min) / (meta.max - meta.min);
+				const dmxValue = Math.round(normalized * (meta.dmxMax - meta.dmxMin) + meta.dmxMin);
+				return Math.max(meta.dmxMin, Math.min(meta.dmxMax, dmxValue));
+			}
+		};
+	}
+}
@@ -0,0 +1,53 @@
+import { SlotsControlType } from './types/SlotsControlType.js';
+
+/**
+ * Gobo Control
+ * Selects a gobo on the gobo wheel of a spot
+ * The default slots fit a common 7 gobo wheel, imported fixtures bring their own
+ */
+export class GoboControl extends SlotsControlType {
+	constructor() {
+		super({
+			id: 'gobo',
+			name: 'Gobo',
+			slots: [
+				{ name: 'Open', dmxMin: 0, dmxMax: 15 },
+				{ name: 'Gobo 1', dmxMin: 16, dmxMax: 31 },
+				{ name: 'Gobo 2', dmxMin: 32, dmxMax: 47 },
+				{ name: 'Gobo 3', dmxMin: 48, dmxMax: 63 },
+				{ name: 'Gobo 4', dmxMin: 64, dmxMax: 79 },
+				{ name: 'Gobo 5', dmxMin: 80, dmxMax: 95 },
+				{ name: 'Gobo 6', dmxMin: 96, dmxMax: 111 },
+				{ name: 'Gobo 7', dmxMin: 112, dmxMax: 127 },
+				{ name: 'Shake', dmxMin: 128, dmxMax: 255 }
+			]
+		});
+	}
+
+	getValueMetadata() {
+		return {
+			values: [{
+				id: 'gobo',
+				label: 'Gobo',
+				type: 'range',
+				cssProperty: '--gobo',
+				sample: true,
+				min: 0,
+				max: 255,
+				unit: '',
+				dmxMin: 0,
+				dmxMax: 255,
+				slots: this.slots,
+				description: 'Gobo slot (keyword like "gobo-2", or 0-255)'
+			}]
+		};
+	}
+
+	getSamplingConfig() {
+		const meta = this.getValueMetadata().values[0];
+		return {
+			cssProperty: meta.cssProperty,
+			parse: (cssValue) => this.parseCssValue(cssValue)
+		};
+	}
+}
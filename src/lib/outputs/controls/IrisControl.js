@@ -0,0 +1,50 @@
+import { SliderControlType } from './types/SliderControlType.js';
+
+/**
+ * Iris Control
+ * Controls the iris, from open to closed
+ */
+export class IrisControl extends SliderControlType {
+	constructor() {
+		super({
+			id: 'iris',
+			name: 'Iris',
+		});
+	}
+
+	getGradient() {
+		return 'linear-gradient(to right, rgb(128,128,128) 0%, rgb(0,0,0) 100%)';
+	}
+
+	getValueMetadata() {
+		return {
+			values: [{
+				id: 'iris',
+				label: 'Iris',
+				type: 'range',
+				cssProperty: '--iris',
+				sample: true,
+				min: 0,
+				max: 100,
+				unit: '%',
+				dmxMin: 0,
+				dmxMax: 255,
+				description: 'Iris (0% open to 100% closed)'
+			}]
+		};
+	}
+
+	getSamplingConfig() {
+		const meta = this.getValueMetadata().values[0];
+		return {
+			cssProperty: meta.cssProperty,
+			parse: (cssValue) => {
+				const match = cssValue.match(/(-?\d+(?:\.\d+)?)/);
+				const value = match ? parseFloat(match[1]) : 0;
+				const normalized = (value - meta.min) / (meta.max - meta.min);
+				const dmxValue = Math.round(normalized * (meta.dmxMax - meta.dmxMin) + meta.dmxMin);
+				return Math.max(meta.dmxMin, Math.min(meta.dmxMax, dmxValue));
+			}
+		};
+	}
+}
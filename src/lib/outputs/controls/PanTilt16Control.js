@@ -3,7 +3,7 @@ import { XYPad16ControlType } from './types/XYPad16ControlType.js';
 /**
  * Pan/Tilt Control (16-bit channel layout)
  * Controls position for moving head fixtures with 16-bit channel layout.
- * Uses 8-bit precision internally (same as PanTiltControl) with fine channels set to 0.
+ * Values are 16-bit (0-65535), sampled CSS is parsed without rounding to 8-bit.
  */
 export class PanTilt16Control extends XYPad16ControlType {
 	constructor() {
@@ -24,7 +24,7 @@ export class PanTilt16Control extends XYPad16ControlType {
 			max: 50,
 			unit: '%',
 			dmxMin: 0,
-			dmxMax: 255,
+			dmxMax: 65535,
 			description: 'Pan position (-50% to +50%)'
 		};
 
@@ -38,7 +38,7 @@ export class PanTilt16Control extends XYPad16ControlType {
 			max: 100,
 			unit: '%',
 			dmxMin: 0,
-			dmxMax: 255,
+			dmxMax: 65535,
 			description: 'Tilt position (0% to 100%)'
 		};
 
@@ -57,8 +57,8 @@ export class PanTilt16Control extends XYPad16ControlType {
 				{
 					cssProperty: panMeta.cssProperty,
 					parse: (cssValue) => {
-						const match = cssValue.match(/(-?\d+(?:\.\d+)?)/);
-						const value = match ? parseFloat(match[1]) : 0;
+						// Full float precision, computed values may use exponents (e.g. 1.5e-05%)
+						const value = parseFloat(cssValue) || 0;
 						const normalized = (value - panMeta.min) / (panMeta.max - panMeta.min);
 						const dmxValue = Math.round(normalized * (panMeta.dmxMax - panMeta.dmxMin) + panMeta.dmxMin);
 						return { pan: Math.max(panMeta.dmxMin, Math.min(panMeta.dmxMax, dmxValue)) };
@@ -67,8 +67,8 @@ export class PanTilt16Control extends XYPad16ControlType {
 				{
 					cssProperty: tiltMeta.cssProperty,
 					parse: (cssValue) => {
-						const match = cssValue.match(/(-?\d+(?:\.\d+)?)/);
-						const value = match ? parseFloat(match[1]) : 0;
+						// Full float precision, computed values may use exponents (e.g. 1.5e-05%)
+						const value = parseFloat(cssValue) || 0;
 						const normalized = (value - tiltMeta.min) / (tiltMeta.max - tiltMeta.min);
 						const dmxValue = Math.round(normalized * (tiltMeta.dmxMax - tiltMeta.dmxMin) + tiltMeta.dmxMin);
 						return { tilt: Math.max(tiltMeta.dmxMin, Math.min(tiltMeta.dmxMax, dmxValue)) };
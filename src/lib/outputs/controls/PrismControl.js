@@ -0,0 +1,46 @@
+import { SlotsControlType } from './types/SlotsControlType.js';
+
+/**
+ * Prism Control
+ * Switches the prism in and out, and rotates it
+ */
+export class PrismControl extends SlotsControlType {
+	constructor() {
+		super({
+			id: 'prism',
+			name: 'Prism',
+			slots: [
+				{ name: 'Off', dmxMin: 0, dmxMax: 63 },
+				{ name: 'On', dmxMin: 64, dmxMax: 127 },
+				{ name: 'Rotate', dmxMin: 128, dmxMax: 255 }
+			]
+		});
+	}
+
+	getValueMetadata() {
+		return {
+			values: [{
+				id: 'prism',
+				label: 'Prism',
+				type: 'range',
+				cssProperty: '--prism',
+				sample: true,
+				min: 0,
+				max: 255,
+				unit: '',
+				dmxMin: 0,
+				dmxMax: 255,
+				slots: this.slots,
+				description: 'Prism (off, on, rotate, or 0-255)'
+			}]
+		};
+	}
+
+	getSamplingConfig() {
+		const meta = this.getValueMetadata().values[0];
+		return {
+			cssProperty: meta.cssProperty,
+			parse: (cssValue) => this.parseCssValue(cssValue)
+		};
+	}
+}
@@ -0,0 +1,46 @@
+import { SliderControlType } from './types/SliderControlType.js';
+
+/**
+ * Zoom Control
+ * Controls the beam angle, from narrow to wide
+ */
+export class ZoomControl extends SliderControlType {
+	constructor() {
+		super({
+			id: 'zoom',
+			name: 'Zoom',
+		});
+	}
+
+	getValueMetadata() {
+		return {
+			values: [{
+				id: 'zoom',
+				label: 'Zoom',
+				type: 'range',
+				cssProperty: '--zoom',
+				sample: true,
+				min: 0,
+				max: 100,
+				unit: '%',
+				dmxMin: 0,
+				dmxMax: 255,
+				description: 'Zoom (0% narrow to 100% wide)'
+			}]
+		};
+	}
+
+	getSamplingConfig() {
+		const meta = this.getValueMetadata().values[0];
+		return {
+			cssProperty: meta.cssProperty,
+			parse: (cssValue) => {
+				const match = cssValue.match(/(-?\d+(?:\.\d+)?)/);
+				const value = match ? parseFloat(match[1]) : 0;
+				const normalized = (value - meta.min) / (meta.max - meta.min);
+				const dmxValue = Math.round(normalized * (meta.dmxMax - meta.dmxMin) + meta.dmxMin);
+				return Math.max(meta.dmxMin, Math.min(meta.dmxMax, dmxValue));
+			}
+		};
+	}
+}
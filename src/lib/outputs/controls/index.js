@@ -9,7 +9,7 @@
  * - CONTROL_TYPES registry contains singleton instances used throughout the app
  *
  * Control types provide:
- * - Reusable control patterns (RGB, Slider, XYPad, etc.)
+ * - Reusable control patterns (RGB, Slider, Slots, XYPad, etc.)
  * - Conversion between control values and DMX arrays
  * - Default values for each control type
  * - Room for future control-specific customization
@@ -17,6 +17,7 @@
 
 // Import control classes for instantiation
 import { ColorControl } from './ColorControl.js';
+import { CMYControl } from './CMYControl.js';
 import { DimmerControl } from './DimmerControl.js';
 import { StrobeControl } from './StrobeControl.js';
 import { SpeedControl } from './SpeedControl.js';
@@ -29,6 +30,13 @@ import { FlameControl } from './FlameControl.js';
 import { SafetyControl } from './SafetyControl.js';
 import { PanTiltControl } from './PanTiltControl.js';
 import { PanTilt16Control } from './PanTilt16Control.js';
+import { ZoomControl } from './ZoomControl.js';
+import { FocusControl } from './FocusControl.js';
+import { IrisControl } from './IrisControl.js';
+import { ColorTemperatureControl } from './ColorTemperatureControl.js';
+import { ColorWheelControl } from './ColorWheelControl.js';
+import { GoboControl } from './GoboControl.js';
+import { PrismControl } from './PrismControl.js';
 import { ILDAControl } from './ILDAControl.js';
 
 /**
@@ -37,8 +45,9 @@ import { ILDAControl } from './ILDAControl.js';
  * These are the ONLY instances - used for lookups throughout the app
  */
 export const CONTROL_TYPES = {
-	// Color control
+	// Color controls
 	Color: new ColorControl(),
+	CMY: new CMYControl(),
 
 	// Single-channel controls
 	Dimmer: new DimmerControl(),
@@ -50,10 +59,21 @@ export const CONTROL_TYPES = {
 	Smoke: new SmokeControl(),
 	Fan: new FanControl(),
 	Flame: new FlameControl(),
+	ColorTemperature: new ColorTemperatureControl(),
+
+	// Beam controls
+	Zoom: new ZoomControl(),
+	Focus: new FocusControl(),
+	Iris: new IrisControl(),
 
 	// Toggle controls
 	Safety: new SafetyControl(),
 
+	// Slot controls (named DMX ranges)
+	ColorWheel: new ColorWheelControl(),
+	Gobo: new GoboControl(),
+	Prism: new PrismControl(),
+
 	// Position controls
 	PanTilt: new PanTiltControl(),
 	PanTilt16: new PanTilt16Control(),
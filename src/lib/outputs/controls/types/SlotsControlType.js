@@ -0,0 +1,119 @@
+import { ControlType } from './ControlType.js';
+import { toCSSIdentifier } from '../../../css/utils.js';
+
+/**
+ * Slots Control Type (1 channel: named DMX ranges)
+ * Used for wheels and other channels that select one of several functions,
+ * like color wheels, gobo wheels and prisms
+ *
+ * The value is the DMX value (0-255), slots name the ranges of the channel:
+ *   [{ name: 'Open', dmxMin: 0, dmxMax: 15, [color] }, ...]
+ *
+ * Each Control subclass must implement getValueMetadata() and getSamplingConfig()
+ */
+export class SlotsControlType extends ControlType {
+	constructor({ id, name, slots }) {
+		super({
+			id,
+			name,
+			type: 'slots',
+			defaultValue: slots[0]?.dmxMin ?? 0
+		});
+		this.slots = slots;
+	}
+
+	getChannelCount() {
+		return 1;
+	}
+
+	// Input: plain number
+	// Output: plain array [value]
+	valueToDMX(value) {
+		return [value ?? this.defaultValue];
+	}
+
+	// Input: plain array [value, ...]
+	// Output: plain number
+	dmxToValue(dmxValues) {
+		return dmxValues[0] ?? this.defaultValue;
+	}
+
+	/**
+	 * Create a copy of this control with the slots of a specific fixture
+	 * @param {Array<{name: string, dmxMin: number, dmxMax: number}>} slots - Slots in DMX order
+	 * @returns {SlotsControlType} Control with the same id, name and CSS properties
+	 */
+	withSlots(slots) {
+		const control = Object.create(Object.getPrototypeOf(this));
+		Object.assign(control, this, { slots, defaultValue: slots[0]?.dmxMin ?? 0 });
+		return control;
+	}
+
+	/**
+	 * Get the slot that contains a DMX value
+	 * @param {number} value - DMX value
+	 * @returns {Object|null} Slot, or null when no slot contains the value
+	 */
+	getSlot(value) {
+		return this.slots.find(slot => value >= slot.dmxMin && value <= slot.dmxMax) || null;
+	}
+
+	/**
+	 * Get the CSS keyword of a slot
+	 * @param {Object} slot - Slot
+	 * @returns {string} CSS identifier (e.g., "Gobo 2" -> "gobo-2")
+	 */
+	getSlotKeyword(slot) {
+		return toCSSIdentifier(slot.name) || `slot-${this.slots.indexOf(slot) + 1}`;
+	}
+
+	/**
+	 * Convert a DMX value to a CSS value
+	 * The keyword of a slot when the value is at the start of it, otherwise the DMX value
+	 * @param {number} value - DMX value
+	 * @returns {string} CSS value
+	 */
+	toCssValue(value) {
+		const slot = this.getSlot(value);
+		return slot && slot.dmxMin === value ? this.getSlotKeyword(slot) : String(value);
+	}
+
+	/**
+	 * Parse a CSS value, either the keyword of a slot or a DMX value
+	 * @param {string} cssValue - CSS value
+	 * @returns {number} DMX value
+	 */
+	parseCssValue(cssValue) {
+		const keyword = cssValue.trim().toLowerCase();
+		const slot = this.slots.find(s => this.getSlotKeyword(s) === keyword);
+		if (slot) return slot.dmxMin;
+
+		const match = keyword.match(/(-?\d+(?:\.\d+)?)/);
+		const value = match ? Math.round(parseFloat(match[1])) : this.defaultValue;
+		return Math.max(0, Math.min(255, value));
+	}
+
+	/**
+	 * Get gradient for the slider, one block per slot
+	 * @returns {string} CSS gradient string
+	 */
+	getGradient() {
+		const stops = this.slots.flatMap((slot, index) => {
+			const color = this.getColor(slot.dmxMin) ?? (index % 2 === 0 ? '#000' : 'rgb(128, 128, 128)');
+			return [
+				`${color} ${(slot.dmxMin / 256 * 100).toFixed(2)}%`,
+				`${color} ${((slot.dmxMax + 1) / 256 * 100).toFixed(2)}%`
+			];
+		});
+		return stops.length > 0 ? `linear-gradient(to right, ${stops.join(', ')})` : super.getGradient();
+	}
+
+	/**
+	 * Get color for the slider thumb, the color of the selected slot
+	 * @param {number} value - DMX value
+	 * @returns {string|null} CSS color string, null when the slot has no color
+	 */
+	getColor(value) {
+		return this.getSlot(value)?.color ?? null;
+	}
+}
@@ -1,11 +1,11 @@
 import { ControlType } from './ControlType.js';
 
 /**
- * 16-bit XY Pad Control Type (4 channels: pan, 0, tilt, 0)
- * Used for Pan/Tilt on devices that expect 16-bit channel layout
+ * 16-bit XY Pad Control Type (4 channels: pan, pan fine, tilt, tilt fine)
+ * Used for Pan/Tilt on devices with fine channels
  *
- * Uses 8-bit values internally (0-255) for consistency with XYPadControlType.
- * The fine channels are left at 0 since CSS-based control provides sufficient precision.
+ * Uses 16-bit values internally (0-65535), split into a coarse and a fine byte
+ * on output, so slow movements don't step.
  *
  * Each Control subclass must implement getValueMetadata() and getSamplingConfig()
  */
@@ -15,31 +15,38 @@ export class XYPad16ControlType extends ControlType {
 			id,
 			name,
 			type: 'xypad16',
-			defaultValue: { pan: 128, tilt: 128 }
+			defaultValue: { pan: 32768, tilt: 32768 }
 		});
 	}
 
 	getChannelCount() {
-		return 4;  // Pan, Pan Fine (0), Tilt, Tilt Fine (0)
+		return 4;  // Pan, Pan Fine, Tilt, Tilt Fine
 	}
 
-	// Input: plain object { pan, tilt } (8-bit values 0-255)
-	// Output: plain array [pan, 0, tilt, 0]
+	// Input: plain object { pan, tilt } (16-bit values 0-65535)
+	// Output: plain array [pan, panFine, tilt, tiltFine]
 	valueToDMX(value) {
+		const pan = to16Bit(value?.pan ?? 32768);
+		const tilt = to16Bit(value?.tilt ?? 32768);
+
 		return [
-			value?.pan ?? 128,
-			0,  // Pan fine (unused)
-			value?.tilt ?? 128,
-			0   // Tilt fine (unused)
+			pan >> 8,
+			pan & 0xff,
+			tilt >> 8,
+			tilt & 0xff
 		];
 	}
 
 	// Input: plain array [pan, panFine, tilt, tiltFine, ...]
-	// Output: plain object { pan, tilt } (8-bit values 0-255)
+	// Output: plain object { pan, tilt } (16-bit values 0-65535)
 	dmxToValue(dmxValues) {
 		return {
-			pan: dmxValues[0] ?? 128,
-			tilt: dmxValues[2] ?? 128
+			pan: ((dmxValues[0] ?? 128) << 8) | (dmxValues[1] ?? 0),
+			tilt: ((dmxValues[2] ?? 128) << 8) | (dmxValues[3] ?? 0)
 		};
 	}
 }
+
+function to16Bit(value) {
+	return Math.max(0, Math.min(65535, Math.round(value)));
+}
@@ -19,9 +19,9 @@ function dmxToCssValue(dmxValue, meta) {
 	const normalized = (dmxValue - meta.dmxMin) / dmxRange;
 	const cssValue = normalized * cssRange + meta.min;
 
-	// Format based on unit
+	// Format based on unit, with enough decimals to keep 16-bit steps apart
 	if (meta.unit === '%') {
-		return `${cssValue.toFixed(1)}%`;
+		return `${cssValue.toFixed(dmxRange > 255 ? 3 : 1)}%`;
 	} else if (meta.unit === '') {
 		// Unitless - check if it should be integer or decimal
 		if (Number.isInteger(meta.min) && Number.isInteger(meta.max) && meta.max > 1) {
@@ -54,8 +54,8 @@ export function getProperties(controlValues, controls, options = {}) {
 
 		if (control.type.type === 'xypad' || control.type.type === 'xypad16') {
 			// XY Pad control (e.g., Pan/Tilt) - has multiple values
-			const panValue = controlValue.pan ?? 128;
-			const tiltValue = controlValue.tilt ?? 128;
+			const panValue = controlValue.pan ?? control.type.defaultValue.pan;
+			const tiltValue = controlValue.tilt ?? control.type.defaultValue.tilt;
 
 			if (meta.values) {
 				const panMeta = meta.values[0];
@@ -92,6 +92,12 @@ export function getProperties(controlValues, controls, options = {}) {
 			const isOn = value >= toggleMeta.dmxOn;
 			properties[toggleMeta.cssProperty] = isOn ? toggleMeta.on : toggleMeta.off;
 
+		} else if (control.type.type === 'slots') {
+			// Slots control (Color wheel, Gobo, Prism) - slot keyword or DMX value
+			const value = controlValue ?? control.type.defaultValue;
+			const slotsMeta = meta.values?.[0] || meta;
+			properties[slotsMeta.cssProperty] = control.type.toCssValue(value);
+
 		} else if (control.type.type === 'slider') {
 			// Slider control (Dimmer, Intensity, White, Amber, etc.)
 			const value = controlValue ?? 0;
@@ -109,6 +115,9 @@ export function getProperties(controlValues, controls, options = {}) {
  * Works with control-based values. For linked devices, only generates CSS
  * for controls that are NOT synced from the source device.
  *
+ * The selector has no specificity, so any rule for the device overrides its
+ * defaults, including group classes in custom CSS like `.floor-washes { ... }`
+ *
  * @param {Object} device - Device object with type, defaultValues (control values), cssIdentifier, linkedTo, syncedControls
  * @returns {string|null} CSS block string or null if no CSS should be generated
  */
@@ -149,5 +158,40 @@ export function generateCSSBlock(device) {
 		.map(([prop, value]) => `  ${prop}: ${value};`)
 		.join('\n');
 
-	return `#${device.cssIdentifier} {\n${props}\n}`;
+	return `:where(#${device.cssIdentifier}) {\n${props}\n}`;
+}
+
+/**
+ * Generate the CSS block for the cells of a pixel device
+ *
+ * Control properties don't inherit, so cells take them from the device and
+ * compute their color from them. This way cells follow everything that is set
+ * on the device (defaults, animations, scenes and triggers), unless CSS sets
+ * properties on the cells themselves, e.g. `#bar .pixel:nth-child(3) { --red: 255; }`
+ *
+ * @param {Object} device - Device object with type and cssIdentifier
+ * @returns {string|null} CSS block string or null if the device has no cells
+ */
+export function generatePixelCSSBlock(device) {
+	const deviceType = DEVICE_TYPES[device.type];
+	if (!deviceType?.pixels) return null;
+
+	const properties = {};
+	for (const control of deviceType.controls) {
+		for (const meta of control.type.getValueMetadata?.().values || []) {
+			if (meta.type === 'composite') {
+				properties[meta.cssProperty] = meta.value;
+			} else if (meta.cssProperty?.startsWith('--')) {
+				properties[meta.cssProperty] = 'inherit';
+			}
+		}
+	}
+
+	if (Object.keys(properties).length === 0) return null;
+
+	const props = Object.entries(properties)
+		.map(([prop, value]) => `  ${prop}: ${value};`)
+		.join('\n');
+
+	return `:where(#${device.cssIdentifier}) > .pixel {\n${props}\n}`;
 }
@@ -9,8 +9,9 @@
  * - Device instances (in libraries) store type as string ID
  * - Use DEVICE_TYPES[device.type] to get the device type definition
  */
-export { DEVICE_TYPES } from './devices/index.js';
+export { DEVICE_TYPES, registerDeviceType, unregisterDeviceType, isCustomDeviceType } from './devices/index.js';
 import { DEVICE_TYPES } from './devices/index.js';
+import { getPanTiltMax } from './controls.js';
 
 /**
  * Get preview data for a device based on its type and control values
@@ -48,18 +49,27 @@ export function getDevicePreviewData(deviceType, controlValues) {
             // RGB/RGBA control - pass through the color object
             controls.push('color');
             data.color = value;  // Keep as { red, green, blue } object
-        } else if (controlTypeId === 'slider' || controlTypeId === 'toggle') {
-            // Slider/Toggle control - extract value
+        } else if (controlTypeId === 'slider' || controlTypeId === 'toggle' || controlTypeId === 'slots') {
+            // Slider/Toggle/Slots control - extract value
             const controlKey = control.id;  // Use device control id
             controls.push(controlKey);
             data[controlKey] = value ?? (controlTypeId === 'toggle' ? control.type.offValue : 0);
         } else if (controlTypeId === 'xypad' || controlTypeId === 'xypad16') {
             // XY Pad control (Pan/Tilt) - keep as pantilt object
+            // Previews use the 8-bit range, also for 16-bit controls
+            const scale = 255 / getPanTiltMax(control.type);
             controls.push('pantilt');
-            data.pantilt = value;  // Keep as { pan, tilt } object
+            data.pantilt = { pan: (value?.pan ?? 0) * scale, tilt: (value?.tilt ?? 0) * scale };
         }
     }
 
+    // Colors of the cells of pixel devices, when sampled per cell
+    if (deviceTypeDef.pixels && Array.isArray(controlValues.pixels)) {
+        const colorControl = deviceTypeDef.controls.find(control => control.type.type === 'rgb');
+        controls.push('pixels');
+        data.pixels = controlValues.pixels.map(pixelValues => colorControl ? pixelValues[colorControl.id] ?? null : null);
+    }
+
     return { controls, data };
 }
 
@@ -15,6 +15,8 @@
  * - channels: Total DMX channels needed
  * - defaultValues: Default DMX values for ALL channels (plain array)
  * - controls: Array of control definitions with { name, type, startChannel, [color] }
+ * - pixels: Optional, for fixtures made of identical cells like LED bars: { count, channels }
+ *   The controls describe the first cell, every cell repeats them after the previous one
  */
 export class DeviceType {
     /**
@@ -24,6 +26,7 @@ export class DeviceType {
      * @param {number} config.channels - Total DMX channels
      * @param {Array<number>} config.defaultValues - Default values for all channels
      * @param {Array<Object>} config.controls - Control definitions
+     * @param {Object} [config.pixels] - Cells of a pixel fixture: { count, channels } with channels per cell
      */
     constructor(config) {
         this.id = config.id;
@@ -31,15 +34,30 @@ export class DeviceType {
         this.channels = config.channels;
         this.defaultValues = config.defaultValues || new Array(config.channels).fill(0);
         this.controls = config.controls || [];
+        this.pixels = config.pixels || null;
 
         // Validate that controls don't overlap
         this._validateControls();
     }
 
     /**
-     * Validate that controls don't overlap channels
+     * Validate that controls stay within the channel count and don't overlap channels
+     * For pixel fixtures, controls must also stay within the first cell
+     * @throws {Error} When a control exceeds the channel count or uses a channel of another control
      */
     _validateControls() {
+        if (this.pixels && this.pixels.count * this.pixels.channels > this.channels) {
+            throw new Error(
+                `${this.pixels.count} pixels of ${this.pixels.channels} channels ` +
+                `exceed channel count: ${this.channels} channels`
+            );
+        }
+
+        const controlChannels = this.pixels ? this.pixels.channels : this.channels;
+
+        // Control that uses each channel
+        const usedBy = new Array(this.channels).fill(null);
+
         for (const control of this.controls) {
             const channelCount = control.type.getChannelCount();
             // Skip validation for non-DMX controls (e.g. ILDA)
@@ -47,12 +65,19 @@ export class DeviceType {
 
             for (let i = 0; i < channelCount; i++) {
                 const channel = control.startChannel + i;
-                if (channel >= this.channels) {
+                if (channel >= controlChannels) {
                     throw new Error(
                         `Control "${control.type.name}" exceeds channel count: ` +
-                        `channel ${channel} >= ${this.channels} channels`
+                        `channel ${channel} >= ${controlChannels} channels`
+                    );
+                }
+                if (usedBy[channel]) {
+                    throw new Error(
+                        `Control "${control.id}" overlaps control "${usedBy[channel].id}" ` +
+                        `on channel ${channel + 1}`
                     );
                 }
+                usedBy[channel] = control;
             }
         }
     }
@@ -0,0 +1,40 @@
+import { DeviceType } from './DeviceType.js';
+import { CONTROL_TYPES } from '../controls/index.js';
+
+/**
+ * Pixel Bar Device Type
+ * LED bar or matrix with a row of RGB cells
+ *
+ * Every cell is a child element of the device element in CSS, so cells can
+ * be addressed with `#bar .pixel:nth-child(3)`. Cells inherit the color of
+ * the bar unless they set their own.
+ *
+ * Channels (per cell):
+ * 0: Red
+ * 1: Green
+ * 2: Blue
+ */
+export class PixelBarDeviceType extends DeviceType {
+    /**
+     * @param {number} pixelCount - Number of cells
+     */
+    constructor(pixelCount) {
+        super({
+            id: `pixel-bar-${pixelCount}`,
+            name: `Pixel Bar (${pixelCount} px)`,
+            channels: pixelCount * 3,
+            defaultValues: new Array(pixelCount * 3).fill(0),
+            controls: [
+                {
+                    id: 'color',
+                    type: CONTROL_TYPES.Color,
+                    startChannel: 0
+                }
+            ],
+            pixels: {
+                count: pixelCount,
+                channels: 3
+            }
+        });
+    }
+}
@@ -19,6 +19,7 @@ import { MovingHeadDeviceType } from './MovingHeadDeviceType.js';
 import { MovingHead11CHDeviceType } from './MovingHead11CHDeviceType.js';
 import { FlamethrowerDeviceType } from './FlamethrowerDeviceType.js';
 import { LaserProjectorDeviceType } from './LaserProjectorDeviceType.js';
+import { PixelBarDeviceType } from './PixelBarDeviceType.js';
 
 export const DEVICE_TYPES = {
     'rgb': new RGBDeviceType(),
@@ -29,5 +30,43 @@ export const DEVICE_TYPES = {
     'moving-head': new MovingHeadDeviceType(),
     'moving-head-11ch': new MovingHead11CHDeviceType(),
     'flamethrower': new FlamethrowerDeviceType(),
+    'pixel-bar-8': new PixelBarDeviceType(8),
+    'pixel-bar-12': new PixelBarDeviceType(12),
+    'pixel-bar-16': new PixelBarDeviceType(16),
+    'pixel-bar-24': new PixelBarDeviceType(24),
+    'pixel-bar-32': new PixelBarDeviceType(32),
     'laser-projector': new LaserProjectorDeviceType()
 };
+
+// Ids of device types registered at runtime, e.g. imported fixtures
+const customDeviceTypes = new Set();
+
+/**
+ * Register a user-defined device type
+ * @param {DeviceType} deviceType - Device type instance, registered under its id
+ */
+export function registerDeviceType(deviceType) {
+    DEVICE_TYPES[deviceType.id] = deviceType;
+    customDeviceTypes.add(deviceType.id);
+}
+
+/**
+ * Remove a user-defined device type
+ * Built-in device types can't be removed
+ * @param {string} id - Device type id
+ */
+export function unregisterDeviceType(id) {
+    if (!customDeviceTypes.has(id)) return;
+
+    delete DEVICE_TYPES[id];
+    customDeviceTypes.delete(id);
+}
+
+/**
+ * Check if a device type is user-defined
+ * @param {string} id - Device type id
+ * @returns {boolean}
+ */
+export function isCustomDeviceType(id) {
+    return customDeviceTypes.has(id);
+}
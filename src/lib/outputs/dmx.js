@@ -1,7 +1,8 @@
 /**
  * DMX Output System
  *
- * Provides abstraction for different DMX USB controllers via WebUSB.
+ * Provides abstraction for different DMX USB controllers via WebUSB,
+ * and for network protocols through the local network bridge.
  * Each controller type has its own driver that implements the DMXDriver interface.
  */
 
@@ -9,17 +10,25 @@
 import { EnttecDMXUSBProDriver } from './dmx/EnttecDMXUSBProDriver.js';
 import { FT232RDriver } from './dmx/FT232RDriver.js';
 import { uDMXDriver } from './dmx/uDMXDriver.js';
+import { ArtNetDriver } from './dmx/ArtNetDriver.js';
+import { SACNDriver } from './dmx/SACNDriver.js';
+import { VirtualDMXDriver } from './dmx/VirtualDMXDriver.js';
 import { DEVICE_TYPES } from './devices.js';
 import { controlValuesToDMX } from './controls.js';
+import { applyMasters } from './masters.js';
+import { EventEmitter } from '../EventEmitter.js';
 
 /**
  * DMX Output Manager
  * Manages DMX controller drivers and device connections
+ *
+ * Registered drivers act as templates: every connection gets its own driver
+ * instance, so several DMX controllers can be connected at the same time.
  */
 class DMXOutputManager {
 	constructor() {
-		this.drivers = new Map(); // driverName -> DMXDriver instance
-		this.activeDriver = null;
+		this.drivers = new Map(); // driverName -> DMXDriver template instance
+		this.connectedDrivers = []; // Connected DMXDriver instances
 		this.listeners = new Map();
 
 		// Register built-in drivers
@@ -29,19 +38,50 @@ class DMXOutputManager {
 		this.registerDriver(new FT232RDriver());
 		this.registerDriver(new EnttecDMXUSBProDriver());
 		this.registerDriver(new uDMXDriver());
+
+		// Network drivers (connect through the local network bridge)
+		this.registerDriver(new ArtNetDriver());
+		this.registerDriver(new SACNDriver());
+
+		// Virtual output for rehearsing without hardware
+		this.registerDriver(new VirtualDMXDriver());
 	}
 
 	/**
 	 * Register a DMX driver
+	 * The driver is used as a template; its constructor must not require arguments
 	 * @param {DMXDriver} driver - Driver instance to register
 	 */
 	registerDriver(driver) {
 		this.drivers.set(driver.name, driver);
+	}
+
+	/**
+	 * Create a new driver instance from a registered driver
+	 * @param {DMXDriver} template - Registered driver
+	 * @returns {DMXDriver} Fresh driver instance with forwarded events
+	 * @private
+	 */
+	_createDriver(template) {
+		const driver = new template.constructor();
 
-		// Forward driver events
-		driver.on('connected', (data) => this._emit('connected', data));
-		driver.on('disconnected', (data) => this._emit('disconnected', data));
+		// Track connection state and forward driver events
+		driver.on('connected', (data) => {
+			if (!this.connectedDrivers.includes(driver)) {
+				this.connectedDrivers.push(driver);
+			}
+			this._emit('connected', data);
+		});
+		driver.on('disconnected', (data) => {
+			const index = this.connectedDrivers.indexOf(driver);
+			if (index !== -1) {
+				this.connectedDrivers.splice(index, 1);
+			}
+			this._emit('disconnected', data);
+		});
 		driver.on('error', (data) => this._emit('error', data));
+
+		return driver;
 	}
 
 	/**
@@ -52,6 +92,14 @@ class DMXOutputManager {
 		return Array.from(this.drivers.values());
 	}
 
+	/**
+	 * Get registered drivers that connect over the network instead of WebUSB
+	 * @returns {DMXDriver[]}
+	 */
+	getNetworkDrivers() {
+		return this.getDrivers().filter(driver => driver.transport === 'network');
+	}
+
 	/**
 	 * Get USB filters for all registered drivers
 	 * @returns {Array} WebUSB filter array
@@ -143,14 +191,19 @@ class DMXOutputManager {
 
 		try {
 			const device = await navigator.usb.requestDevice({ filters });
-			const driver = this.findDriverForDevice(device);
 
-			if (!driver) {
+			if (this.connectedDrivers.some(d => d.device === device)) {
+				throw new Error('This DMX controller is already connected');
+			}
+
+			const template = this.findDriverForDevice(device);
+
+			if (!template) {
 				throw new Error('No compatible driver found for this device');
 			}
 
+			const driver = this._createDriver(template);
 			await driver.connect(device);
-			this.activeDriver = driver;
 
 			return driver;
 		} catch (error) {
@@ -160,20 +213,49 @@ class DMXOutputManager {
 	}
 
 	/**
-	 * Get the currently active driver
-	 * @returns {DMXDriver|null}
+	 * Connect a new instance of a registered driver with connection options
+	 * Used for drivers that don't connect to a USB device, like network drivers
+	 * @param {string} name - Registered driver name
+	 * @param {Object} [options] - Driver specific connection options
+	 * @returns {Promise<DMXDriver>}
+	 */
+	async connectDriver(name, options = {}) {
+		const template = this.drivers.get(name);
+
+		if (!template) {
+			throw new Error(`Unknown DMX driver: ${name}`);
+		}
+
+		const driver = this._createDriver(template);
+		await driver.connect(options);
+
+		return driver;
+	}
+
+	/**
+	 * Get all connected driver instances
+	 * @returns {DMXDriver[]}
 	 */
-	getActiveDriver() {
-		return this.activeDriver;
+	getConnectedDrivers() {
+		return [...this.connectedDrivers];
 	}
 
 	/**
-	 * Disconnect the active driver
+	 * Disconnect a single driver instance
+	 * @param {DMXDriver} driver
 	 */
-	disconnect() {
-		if (this.activeDriver) {
-			this.activeDriver.disconnect();
-			this.activeDriver = null;
+	disconnect(driver) {
+		if (this.connectedDrivers.includes(driver)) {
+			driver.disconnect();
+		}
+	}
+
+	/**
+	 * Disconnect all connected drivers
+	 */
+	disconnectAll() {
+		for (const driver of this.getConnectedDrivers()) {
+			driver.disconnect();
 		}
 	}
 
@@ -209,92 +291,220 @@ class DMXOutputManager {
  * DMX Controller
  * Main interface for controlling DMX output
  * Maintains backward compatibility with existing code
+ *
+ * Holds one 512-channel buffer per universe. Universes are numbered from 0
+ * and created on first use. Any number of DMX controllers can be connected,
+ * each driver outputs a single universe.
+ *
+ * Events: 'connected', 'disconnected' and 'error', each with { driver }
  */
-export class DMXController {
+export class DMXController extends EventEmitter {
 	constructor() {
-		this.universe = new Uint8Array(512).fill(0);
+		super();
+		this.universes = new Map(); // universe number -> Uint8Array(512)
 		this.manager = new DMXOutputManager();
-		this.driver = null;
-		this.connected = false;
+
+		// Universe 0 always exists
+		this.getUniverse(0);
 
 		// Forward manager events
-		this.manager.on('connected', ({ driver }) => {
-			this.driver = driver;
-			this.connected = true;
+		this.manager.on('connected', (data) => {
 			// Start continuous output for the driver
-			if (typeof driver.startOutput === 'function') {
-				driver.startOutput(this.universe);
-			}
+			this._startDriverOutput(data.driver);
+			this._emit('connected', data);
 		});
 
-		this.manager.on('disconnected', () => {
-			this.driver = null;
-			this.connected = false;
-		});
+		this.manager.on('disconnected', (data) => this._emit('disconnected', data));
+		this.manager.on('error', (data) => this._emit('error', data));
+	}
+
+	/**
+	 * Whether at least one DMX controller is connected
+	 * @returns {boolean}
+	 */
+	get connected() {
+		return this.manager.getConnectedDrivers().length > 0;
 	}
 
+	/**
+	 * Request and connect an additional DMX controller
+	 * @returns {Promise<DMXDriver>} The connected driver instance
+	 */
 	async connect() {
-		await this.manager.requestDevice();
-		return true;
+		return await this.manager.requestDevice();
 	}
 
-	disconnect() {
-		this.manager.disconnect();
+	/**
+	 * Connect an additional network output, like Art-Net
+	 * @param {string} driverName - Name of a registered network driver
+	 * @param {Object} [options] - Driver specific connection options
+	 * @returns {Promise<DMXDriver>} The connected driver instance
+	 */
+	async connectNetwork(driverName, options = {}) {
+		return await this.manager.connectDriver(driverName, options);
 	}
 
-	setChannel(channel, value) {
+	/**
+	 * Connect a virtual output that records frames instead of sending them
+	 * @param {Object} [options] - Virtual output options, see VirtualDMXDriver.connect()
+	 * @returns {Promise<DMXDriver>} The connected driver instance
+	 */
+	async connectVirtual(options = {}) {
+		return await this.manager.connectDriver('Virtual output', options);
+	}
+
+	/**
+	 * Get the registered network drivers, for offering them in the UI
+	 * @returns {DMXDriver[]}
+	 */
+	getNetworkDrivers() {
+		return this.manager.getNetworkDrivers();
+	}
+
+	/**
+	 * Disconnect a DMX controller, or all of them when no driver is given
+	 * @param {DMXDriver} [driver]
+	 */
+	disconnect(driver = null) {
+		if (driver) {
+			this.manager.disconnect(driver);
+		} else {
+			this.manager.disconnectAll();
+		}
+	}
+
+	setChannel(channel, value, universe = 0) {
 		if (channel >= 0 && channel < 512) {
-			this.universe[channel] = Math.max(0, Math.min(255, value));
+			this.getUniverse(universe)[channel] = Math.max(0, Math.min(255, value));
 		}
 	}
 
-	getChannel(channel) {
-		return this.universe[channel] || 0;
+	getChannel(channel, universe = 0) {
+		return this.getUniverse(universe)[channel] || 0;
 	}
 
-	setChannels(startChannel, values) {
+	setChannels(startChannel, values, universe = 0) {
 		values.forEach((value, index) => {
-			this.setChannel(startChannel + index, value);
+			this.setChannel(startChannel + index, value, universe);
 		});
 	}
 
-	getUniverse() {
-		return this.universe;
+	/**
+	 * Get the buffer for a universe, creating it if needed
+	 * @param {number} [universe=0] - Universe number (0-indexed)
+	 * @returns {Uint8Array} 512-byte universe buffer
+	 */
+	getUniverse(universe = 0) {
+		let buffer = this.universes.get(universe);
+		if (!buffer) {
+			buffer = new Uint8Array(512).fill(0);
+			this.universes.set(universe, buffer);
+		}
+		return buffer;
+	}
+
+	/**
+	 * Get the numbers of all universes that have a buffer
+	 * @returns {number[]} Sorted universe numbers
+	 */
+	getUniverseNumbers() {
+		return Array.from(this.universes.keys()).sort((a, b) => a - b);
 	}
 
-	clearUniverse() {
-		this.universe.fill(0);
+	clearUniverse(universe = 0) {
+		this.getUniverse(universe).fill(0);
 	}
 
 	/**
 	 * Update DMX channels from a device's control values
-	 * @param {Object} device - Device object with type, startChannel, and defaultValues
+	 * @param {Object} device - Device object with type, universe, startChannel, and defaultValues
+	 * @param {Object|null} [levels] - Master levels to scale the values by, see MasterController.getLevels()
 	 */
-	updateDevice(device) {
+	updateDevice(device, levels = null) {
 		const deviceType = DEVICE_TYPES[device.type];
 		if (!deviceType) return;
 
-		// Convert control values to DMX array
-		const dmxArray = controlValuesToDMX(deviceType, device.defaultValues);
+		// Scale by the masters and convert control values to DMX array, as the device is patched
+		const values = levels ? applyMasters(deviceType, device.defaultValues, levels) : device.defaultValues;
+		const dmxArray = controlValuesToDMX(deviceType, values, device.patch);
 
-		// Write DMX array to universe
-		this.setChannels(device.startChannel, dmxArray);
+		// Write DMX array to the device's universe
+		this.setChannels(device.startChannel, dmxArray, device.universe ?? 0);
 	}
 
 	/**
-	 * Manually send universe (for drivers that don't auto-send)
+	 * Bind a driver to a universe
+	 * Restarts continuous output so the driver picks up the new buffer
+	 * @param {DMXDriver} driver - Driver to bind
+	 * @param {number} universe - Universe number (0-indexed)
+	 */
+	setDriverUniverse(driver, universe) {
+		if (!driver) return;
+
+		driver.universe = universe;
+
+		if (driver.connected && !driver.receiving) {
+			this._startDriverOutput(driver);
+		}
+	}
+
+	/**
+	 * Start continuous output for a driver with its universe buffer
+	 * @param {DMXDriver} driver
+	 * @private
+	 */
+	_startDriverOutput(driver) {
+		// Restarting output is not a dropped frame
+		driver.watchdog?.pause();
+
+		if (typeof driver.startOutput === 'function') {
+			driver.startOutput(this.getUniverse(driver.universe));
+		}
+	}
+
+	/**
+	 * Switch a DMX controller to receiving DMX
+	 * The controller stops sending its universe while receiving
+	 * @param {DMXDriver} driver - Driver that supports receiving
+	 * @returns {Promise<void>}
+	 */
+	async startReceive(driver) {
+		if (!driver?.supportsReceive) {
+			throw new Error('This DMX controller cannot receive DMX');
+		}
+
+		await driver.startReceive();
+	}
+
+	/**
+	 * Switch a receiving DMX controller back to sending its universe
+	 * @param {DMXDriver} driver
+	 */
+	stopReceive(driver) {
+		if (!driver?.receiving) return;
+
+		driver.stopReceive();
+
+		if (driver.connected) {
+			this._startDriverOutput(driver);
+		}
+	}
+
+	/**
+	 * Manually send universes (for drivers that don't auto-send)
 	 */
 	sendUniverse() {
-		if (this.driver && this.connected) {
-			this.driver.sendUniverse(this.universe);
+		for (const driver of this.manager.getConnectedDrivers()) {
+			if (driver.receiving) continue;
+			driver.sendUniverse(this.getUniverse(driver.universe));
 		}
 	}
 
 	/**
-	 * Get the active driver
-	 * @returns {DMXDriver|null}
+	 * Get all connected drivers
+	 * @returns {DMXDriver[]}
 	 */
-	getDriver() {
-		return this.driver;
+	getDrivers() {
+		return this.manager.getConnectedDrivers();
 	}
 }
@@ -0,0 +1,191 @@
+import { DMXDriver } from './DMXDriver.js';
+import { outputTimer } from '../timer.js';
+import { NetworkBridge } from './NetworkBridge.js';
+
+/**
+ * Build an ArtDmx packet
+ * @param {Uint8Array} universeData - 512-byte DMX universe
+ * @param {Object} address - Art-Net port address
+ * @param {number} address.net - Net (0-127)
+ * @param {number} address.subnet - Sub-Net (0-15)
+ * @param {number} address.universe - Universe (0-15)
+ * @param {number} [sequence=0] - Sequence number (1-255, 0 disables sequencing)
+ * @returns {Uint8Array} ArtDmx packet
+ */
+export function buildArtDmxPacket(universeData, { net, subnet, universe }, sequence = 0) {
+	// Data length must be even and between 2 and 512
+	const length = Math.max(2, Math.min(512, universeData.length + (universeData.length % 2)));
+	const packet = new Uint8Array(18 + length);
+
+	packet.set(ArtNetDriver.ARTNET_ID, 0);
+	packet[8] = ArtNetDriver.OP_DMX & 0xff;         // OpCode, little-endian
+	packet[9] = (ArtNetDriver.OP_DMX >> 8) & 0xff;
+	packet[10] = 0;                                  // Protocol version, high byte
+	packet[11] = ArtNetDriver.PROTOCOL_VERSION;      // Protocol version, low byte
+	packet[12] = sequence & 0xff;
+	packet[13] = 0;                                  // Physical input port
+	packet[14] = ((subnet & 0x0f) << 4) | (universe & 0x0f); // SubUni
+	packet[15] = net & 0x7f;                         // Net
+	packet[16] = (length >> 8) & 0xff;               // Length, big-endian
+	packet[17] = length & 0xff;
+	packet.set(universeData.subarray(0, length), 18);
+
+	return packet;
+}
+
+/**
+ * Art-Net Driver
+ * Sends ArtDmx packets to Art-Net nodes through the local network bridge
+ *
+ * Not a WebUSB driver: connect() takes connection options instead of a USB device.
+ */
+export class ArtNetDriver extends DMXDriver {
+	// Protocol constants
+	static ARTNET_ID = Uint8Array.from([0x41, 0x72, 0x74, 0x2d, 0x4e, 0x65, 0x74, 0x00]); // "Art-Net\0"
+	static OP_DMX = 0x5000;
+	static PROTOCOL_VERSION = 14;
+	static PORT = 6454;
+
+	constructor() {
+		super('Art-Net', []);
+		this.transport = 'network';
+		this.updateRate = 1000 / 44; // Art-Net nodes accept up to 44 fps
+		this.interval = null;
+		this.universeData = null;
+		this.bridge = null;
+		this.host = '2.255.255.255';
+		this.net = 0;
+		this.subnet = 0;
+		this.artnetUniverse = 0;
+		this.sequence = 0;
+	}
+
+	/**
+	 * Get the default connection options
+	 * @returns {Object}
+	 */
+	getDefaultOptions() {
+		return {
+			bridgeUrl: NetworkBridge.DEFAULT_URL,
+			host: '2.255.255.255',
+			net: 0,
+			subnet: 0,
+			universe: 0
+		};
+	}
+
+	getLabel() {
+		return `${this.name} ${this.host} (${this.net}:${this.subnet}:${this.artnetUniverse})`;
+	}
+
+	/**
+	 * Connect to the network bridge
+	 * @param {Object} options - Connection options
+	 * @param {string} [options.bridgeUrl] - WebSocket URL of the network bridge
+	 * @param {string} [options.host] - IP address of the Art-Net node, or a broadcast address
+	 * @param {number} [options.net] - Art-Net net (0-127)
+	 * @param {number} [options.subnet] - Art-Net sub-net (0-15)
+	 * @param {number} [options.universe] - Art-Net universe (0-15)
+	 * @returns {Promise<boolean>}
+	 */
+	async connect(options = {}) {
+		const settings = { ...this.getDefaultOptions(), ...options };
+
+		try {
+			this.host = settings.host;
+			this.net = settings.net;
+			this.subnet = settings.subnet;
+			this.artnetUniverse = settings.universe;
+
+			this.bridge = new NetworkBridge(settings.bridgeUrl);
+			await this.bridge.connect();
+
+			// Treat a lost bridge connection like an unplugged USB device
+			this.bridge.onclose = () => {
+				console.error('Art-Net: Lost connection to the network bridge');
+				this.status = 'error';
+				this._emit('error', { error: new Error('Lost connection to the network bridge'), driver: this });
+				this.disconnect();
+			};
+
+			this.connected = true;
+			this.status = 'connected';
+			this._emit('connected', { driver: this });
+
+			return true;
+		} catch (error) {
+			console.error('Art-Net: Failed to connect:', error);
+			this.bridge = null;
+			this.status = 'error';
+			this._emit('error', { error, driver: this });
+			throw error;
+		}
+	}
+
+	disconnect() {
+		if (this.interval) {
+			outputTimer.clearInterval(this.interval);
+			this.interval = null;
+		}
+
+		if (this.bridge) {
+			this.bridge.onclose = null;
+			this.bridge.close();
+			this.bridge = null;
+		}
+
+		this.connected = false;
+		this.status = 'disconnected';
+		this.universeData = null;
+		this._emit('disconnected', { driver: this });
+	}
+
+	/**
+	 * Start continuous DMX output
+	 * @param {Uint8Array} universeData - Reference to the 512-byte universe array
+	 */
+	startOutput(universeData) {
+		this.universeData = universeData;
+
+		if (this.interval) {
+			outputTimer.clearInterval(this.interval);
+		}
+
+		// Start sending DMX data at regular intervals
+		this.interval = outputTimer.setInterval(() => {
+			this.sendUniverse(this.universeData);
+		}, this.updateRate);
+	}
+
+	/**
+	 * Stop continuous DMX output
+	 */
+	stopOutput() {
+		if (this.interval) {
+			outputTimer.clearInterval(this.interval);
+			this.interval = null;
+		}
+	}
+
+	async sendUniverse(universeData) {
+		if (!this.bridge || !this.connected || !universeData) return;
+
+		// Sequence runs from 1 to 255, 0 would disable reordering on the node
+		this.sequence = (this.sequence % 255) + 1;
+
+		const packet = buildArtDmxPacket(universeData, {
+			net: this.net,
+			subnet: this.subnet,
+			universe: this.artnetUniverse
+		}, this.sequence);
+
+		try {
+			this.bridge.send(this.host, ArtNetDriver.PORT, packet);
+			this._recordFrame();
+		} catch (error) {
+			this._recordError();
+			console.error('Art-Net: Failed to send DMX data:', error);
+			this._emit('error', { error, driver: this });
+		}
+	}
+}
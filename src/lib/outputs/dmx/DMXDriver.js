@@ -1,16 +1,39 @@
+import { FrameWatchdog } from '../watchdog.js';
+
 /**
  * Base class for DMX controller drivers
  * All DMX controller drivers should extend this class
+ *
+ * Each connected DMX controller gets its own driver instance, so subclass
+ * constructors must not require arguments.
  */
 export class DMXDriver {
 	constructor(name, vendorFilters = []) {
+		this.id = crypto.randomUUID();
 		this.name = name;
 		this.vendorFilters = vendorFilters; // WebUSB filter array
+		this.transport = 'usb'; // 'usb' for WebUSB drivers, 'network' for drivers that connect through the network bridge, 'virtual' for the loopback output
 		this.device = null;
 		this.connected = false;
+		this.status = 'disconnected'; // 'connected', 'error' or 'disconnected'
+		this.universe = 0; // Universe this driver outputs (0-indexed)
+		this.supportsReceive = false; // Whether the controller can receive DMX, see startReceive()
+		this.receiving = false; // Receiving DMX instead of sending
+		this.stats = { framesSent: 0, errors: 0, droppedFrames: 0, lastFrameTime: null };
+		this.watchdog = null; // Created on the first frame, once updateRate is known
 		this.listeners = new Map();
 	}
 
+	/**
+	 * Get a display label for this driver instance
+	 * Includes the USB serial number when available to tell identical controllers apart
+	 * @returns {string}
+	 */
+	getLabel() {
+		const serial = this.device?.serialNumber;
+		return serial ? `${this.name} (${serial})` : this.name;
+	}
+
 	/**
 	 * Connect to a USB device
 	 * @param {USBDevice} device - WebUSB device object
@@ -35,6 +58,23 @@ export class DMXDriver {
 		throw new Error('sendUniverse() must be implemented by driver');
 	}
 
+	/**
+	 * Start receiving DMX instead of sending it
+	 * Only for drivers that set supportsReceive. Emits 'dmxreceived' with
+	 * { driver, data, changes } where changes is an array of [channel, value].
+	 * @returns {Promise<void>}
+	 */
+	async startReceive() {
+		throw new Error('startReceive() is not supported by this driver');
+	}
+
+	/**
+	 * Stop receiving DMX
+	 */
+	stopReceive() {
+		this.receiving = false;
+	}
+
 	/**
 	 * Check if this driver supports a given USB device
 	 * @param {USBDevice} device - WebUSB device to check
@@ -48,6 +88,31 @@ export class DMXDriver {
 		});
 	}
 
+	/**
+	 * Record a successfully sent frame
+	 * @protected
+	 */
+	_recordFrame() {
+		const now = performance.now();
+
+		if (!this.watchdog) {
+			this.watchdog = new FrameWatchdog(this.updateRate);
+		}
+		this.watchdog.tick(now);
+
+		this.stats.framesSent++;
+		this.stats.droppedFrames = this.watchdog.stats.dropped;
+		this.stats.lastFrameTime = now;
+	}
+
+	/**
+	 * Record a failed frame
+	 * @protected
+	 */
+	_recordError() {
+		this.stats.errors++;
+	}
+
 	/**
 	 * Event handling
 	 */
@@ -1,4 +1,5 @@
 import { DMXDriver } from './DMXDriver.js';
+import { outputTimer } from '../timer.js';
 
 /**
  * ENTTEC DMX USB Pro Driver
@@ -10,6 +11,13 @@ export class EnttecDMXUSBProDriver extends DMXDriver {
 	static START_OF_MSG = 0x7e;
 	static END_OF_MSG = 0xe7;
 	static SEND_DMX_RQ = 0x06;
+	static RECEIVED_DMX_PACKET = 0x05;
+	static RECEIVE_DMX_ON_CHANGE = 0x08;
+	static RECEIVED_DMX_COS_TYPE = 0x09;
+
+	// FTDI chips prefix every USB packet with 2 modem status bytes
+	static USB_PACKET_SIZE = 64;
+	static FTDI_STATUS_BYTES = 2;
 
 	constructor() {
 		super('ENTTEC DMX USB Pro', [
@@ -25,6 +33,11 @@ export class EnttecDMXUSBProDriver extends DMXDriver {
 		this.errorCount = 0;
 		this.maxErrors = 10; // Stop after 10 consecutive errors
 		this.isSending = false;
+
+		// DMX input
+		this.supportsReceive = true;
+		this.receivedData = new Uint8Array(512);
+		this.receiveBuffer = [];
 	}
 
 	async connect(device) {
@@ -47,19 +60,23 @@ export class EnttecDMXUSBProDriver extends DMXDriver {
 			});
 
 			this.connected = true;
+			this.status = 'connected';
 			this._emit('connected', { driver: this });
 
 			return true;
 		} catch (error) {
 			console.error('ENTTEC: Failed to connect:', error);
+			this.status = 'error';
 			this._emit('error', { error, driver: this });
 			throw error;
 		}
 	}
 
 	disconnect() {
+		this.receiving = false;
+
 		if (this.interval) {
-			clearInterval(this.interval);
+			outputTimer.clearInterval(this.interval);
 			this.interval = null;
 		}
 
@@ -73,6 +90,7 @@ export class EnttecDMXUSBProDriver extends DMXDriver {
 		}
 
 		this.connected = false;
+		this.status = 'disconnected';
 		this.universeData = null;
 		this._emit('disconnected', { driver: this });
 	}
@@ -86,11 +104,11 @@ export class EnttecDMXUSBProDriver extends DMXDriver {
 		this.errorCount = 0; // Reset error count when starting
 
 		if (this.interval) {
-			clearInterval(this.interval);
+			outputTimer.clearInterval(this.interval);
 		}
 
 		// Start sending DMX data at regular intervals
-		this.interval = setInterval(() => {
+		this.interval = outputTimer.setInterval(() => {
 			this.sendUniverse(this.universeData);
 		}, this.updateRate);
 	}
@@ -100,11 +118,183 @@ export class EnttecDMXUSBProDriver extends DMXDriver {
 	 */
 	stopOutput() {
 		if (this.interval) {
-			clearInterval(this.interval);
+			outputTimer.clearInterval(this.interval);
 			this.interval = null;
 		}
 	}
 
+	/**
+	 * Start receiving DMX on the widget's DMX port
+	 * Stops output, and asks the widget to only send channels that changed
+	 */
+	async startReceive() {
+		if (!this.device || !this.connected || this.receiving) return;
+
+		this.stopOutput();
+
+		await this._sendMessage(EnttecDMXUSBProDriver.RECEIVE_DMX_ON_CHANGE, [0x01]);
+
+		this.receiving = true;
+		this.receivedData.fill(0);
+		this.receiveBuffer = [];
+		this._receiveLoop();
+	}
+
+	/**
+	 * Read messages from the widget while receiving
+	 * @private
+	 */
+	async _receiveLoop() {
+		const { USB_PACKET_SIZE, FTDI_STATUS_BYTES } = EnttecDMXUSBProDriver;
+
+		while (this.receiving && this.device) {
+			try {
+				const result = await this.device.transferIn(1, USB_PACKET_SIZE * 8);
+				if (!this.receiving) break;
+
+				// Strip the FTDI status bytes from every USB packet
+				const bytes = new Uint8Array(result.data.buffer, result.data.byteOffset, result.data.byteLength);
+				for (let offset = 0; offset < bytes.length; offset += USB_PACKET_SIZE) {
+					const end = Math.min(offset + USB_PACKET_SIZE, bytes.length);
+					for (let i = offset + FTDI_STATUS_BYTES; i < end; i++) {
+						this.receiveBuffer.push(bytes[i]);
+					}
+				}
+
+				this._parseReceiveBuffer();
+			} catch (error) {
+				if (!this.receiving) break;
+
+				this._recordError();
+				console.error('ENTTEC: Failed to receive DMX data:', error);
+				this.receiving = false;
+				this.status = 'error';
+				this._emit('error', { error, driver: this });
+			}
+		}
+	}
+
+	/**
+	 * Parse complete widget messages from the receive buffer
+	 * Message format: 0x7E, label, length LSB, length MSB, data, 0xE7
+	 * @private
+	 */
+	_parseReceiveBuffer() {
+		const buffer = this.receiveBuffer;
+
+		while (buffer.length >= 5) {
+			// Resynchronize on the start of a message
+			if (buffer[0] !== EnttecDMXUSBProDriver.START_OF_MSG) {
+				buffer.shift();
+				continue;
+			}
+
+			const length = buffer[2] | (buffer[3] << 8);
+			if (buffer.length < length + 5) return;
+
+			if (buffer[length + 4] !== EnttecDMXUSBProDriver.END_OF_MSG) {
+				buffer.shift();
+				continue;
+			}
+
+			const label = buffer[1];
+			const data = buffer.splice(0, length + 5).slice(4, length + 4);
+
+			if (label === EnttecDMXUSBProDriver.RECEIVED_DMX_PACKET) {
+				this._handleReceivedPacket(data);
+			} else if (label === EnttecDMXUSBProDriver.RECEIVED_DMX_COS_TYPE) {
+				this._handleChangeOfState(data);
+			}
+		}
+	}
+
+	/**
+	 * Handle a complete received DMX packet (label 5)
+	 * Data: status byte, start code, channel values
+	 * @param {number[]} data
+	 * @private
+	 */
+	_handleReceivedPacket(data) {
+		const status = data[0];
+		if (status & 0x03) {
+			// Queue overflow or overrun, the packet is incomplete
+			this._recordError();
+			return;
+		}
+
+		// Only DMX512 data, not RDM or other alternate start codes
+		if (data[1] !== EnttecDMXUSBProDriver.DMX_STARTCODE) return;
+
+		const changes = [];
+		const channels = Math.min(512, data.length - 2);
+		for (let channel = 0; channel < channels; channel++) {
+			const value = data[channel + 2];
+			if (this.receivedData[channel] !== value) {
+				this.receivedData[channel] = value;
+				changes.push([channel, value]);
+			}
+		}
+
+		this._emitReceived(changes);
+	}
+
+	/**
+	 * Handle a change of state packet (label 9)
+	 * Data: start block (of 8 channels), 5 bytes with a changed bit per channel
+	 * for the next 40 channels, then the values of the changed channels
+	 * @param {number[]} data
+	 * @private
+	 */
+	_handleChangeOfState(data) {
+		const startChannel = data[0] * 8 - 1; // Block 0 holds the start code
+		const changes = [];
+		let valueIndex = 6;
+
+		for (let bit = 0; bit < 40; bit++) {
+			if (!(data[1 + (bit >> 3)] & (1 << (bit & 7)))) continue;
+
+			const channel = startChannel + bit;
+			const value = data[valueIndex++];
+
+			if (channel >= 0 && channel < 512 && value !== undefined) {
+				this.receivedData[channel] = value;
+				changes.push([channel, value]);
+			}
+		}
+
+		this._emitReceived(changes);
+	}
+
+	/**
+	 * @param {Array<[number, number]>} changes - Changed channels (0-indexed) and values
+	 * @private
+	 */
+	_emitReceived(changes) {
+		if (changes.length === 0) return;
+
+		this.stats.lastFrameTime = performance.now();
+		this._emit('dmxreceived', { driver: this, data: this.receivedData, changes });
+	}
+
+	/**
+	 * Send a widget message
+	 * @param {number} label - Message label
+	 * @param {number[]|Uint8Array} data - Message data
+	 * @private
+	 */
+	async _sendMessage(label, data) {
+		const packet = Uint8Array.from([
+			EnttecDMXUSBProDriver.START_OF_MSG,
+			label,
+			data.length & 0xff,
+			(data.length >> 8) & 0xff,
+			...data,
+			EnttecDMXUSBProDriver.END_OF_MSG
+		]);
+
+		return await this.device.transferOut(2, packet);
+	}
+
 	async sendUniverse(universeData) {
 		if (!this.device || !this.connected || !universeData || this.isSending) return;
 
@@ -130,26 +320,31 @@ export class EnttecDMXUSBProDriver extends DMXDriver {
 			if (result.status !== 'ok') {
 				console.warn('ENTTEC: Transfer status:', result.status, 'bytesWritten:', result.bytesWritten);
 				this.errorCount++;
+				this._recordError();
 			} else {
 				// Reset error count on success
 				this.errorCount = 0;
+				this._recordFrame();
 			}
 
 			// Stop output if too many errors
 			if (this.errorCount >= this.maxErrors) {
 				console.error('ENTTEC: Too many consecutive errors, stopping output');
 				this.stopOutput();
+				this.status = 'error';
 				this._emit('error', { error: new Error('Too many transfer errors'), driver: this });
 			}
 
 		} catch (error) {
 			this.errorCount++;
+			this._recordError();
 			console.error('ENTTEC: Failed to send DMX data (error', this.errorCount, 'of', this.maxErrors + '):', error);
 			
 			// Stop output if too many errors
 			if (this.errorCount >= this.maxErrors) {
 				console.error('ENTTEC: Too many consecutive errors, stopping output');
 				this.stopOutput();
+				this.status = 'error';
 				this._emit('error', { error: new Error('Too many transfer errors: ' + error.message), driver: this });
 			}
 		} finally {
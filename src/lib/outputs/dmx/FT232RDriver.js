@@ -1,4 +1,5 @@
 import { DMXDriver } from './DMXDriver.js';
+import { outputTimer } from '../timer.js';
 
 /**
  * FT232R Driver
@@ -112,11 +113,13 @@ export class FT232RDriver extends DMXDriver {
 			});
 
 			this.connected = true;
+			this.status = 'connected';
 			this._emit('connected', { driver: this });
 
 			return true;
 		} catch (error) {
 			console.error('FT232R: Failed to connect:', error);
+			this.status = 'error';
 			this._emit('error', { error, driver: this });
 			throw error;
 		}
@@ -124,7 +127,7 @@ export class FT232RDriver extends DMXDriver {
 
 	disconnect() {
 		if (this.interval) {
-			clearInterval(this.interval);
+			outputTimer.clearInterval(this.interval);
 			this.interval = null;
 		}
 
@@ -138,6 +141,7 @@ export class FT232RDriver extends DMXDriver {
 		}
 
 		this.connected = false;
+		this.status = 'disconnected';
 		this.universeData = null;
 		this.outEndpoint = null;
 		this._emit('disconnected', { driver: this });
@@ -151,11 +155,11 @@ export class FT232RDriver extends DMXDriver {
 		this.universeData = universeData;
 
 		if (this.interval) {
-			clearInterval(this.interval);
+			outputTimer.clearInterval(this.interval);
 		}
 
 		// Start sending DMX data at regular intervals
-		this.interval = setInterval(() => {
+		this.interval = outputTimer.setInterval(() => {
 			this.sendUniverse(this.universeData);
 		}, this.updateRate);
 	}
@@ -165,7 +169,7 @@ export class FT232RDriver extends DMXDriver {
 	 */
 	stopOutput() {
 		if (this.interval) {
-			clearInterval(this.interval);
+			outputTimer.clearInterval(this.interval);
 			this.interval = null;
 		}
 	}
@@ -198,7 +202,7 @@ export class FT232RDriver extends DMXDriver {
 			await this.device.transferOut(this.outEndpoint, breakByte);
 			
 			// Small delay to ensure BREAK completes (Mark After Break)
-			await new Promise(resolve => setTimeout(resolve, 1));
+			await outputTimer.sleep(1);
 
 			// Step 3: Change back to 250,000 baud for data
 			await this.device.controlTransferOut({
@@ -219,26 +223,31 @@ export class FT232RDriver extends DMXDriver {
 			if (result.status !== 'ok') {
 				console.warn('FT232R: Transfer status:', result.status, 'bytesWritten:', result.bytesWritten);
 				this.errorCount++;
+				this._recordError();
 			} else {
 				// Reset error count on success
 				this.errorCount = 0;
+				this._recordFrame();
 			}
 
 			// Stop output if too many errors
 			if (this.errorCount >= this.maxErrors) {
 				console.error('FT232R: Too many consecutive errors, stopping output');
 				this.stopOutput();
+				this.status = 'error';
 				this._emit('error', { error: new Error('Too many transfer errors'), driver: this });
 			}
 
 		} catch (error) {
 			this.errorCount++;
+			this._recordError();
 			console.error('FT232R: Failed to send DMX data (error', this.errorCount, 'of', this.maxErrors + '):', error);
 			
 			// Stop output if too many errors
 			if (this.errorCount >= this.maxErrors) {
 				console.error('FT232R: Too many consecutive errors, stopping output');
 				this.stopOutput();
+				this.status = 'error';
 				this._emit('error', { error: new Error('Too many transfer errors: ' + error.message), driver: this });
 			}
 		} finally {
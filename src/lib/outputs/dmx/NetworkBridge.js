@@ -0,0 +1,88 @@
+/**
+ * Network Bridge Client
+ * Sends UDP datagrams through the local WebSocket-to-UDP bridge (bridge/dmx-bridge.js)
+ *
+ * Browsers cannot open UDP sockets, so network DMX drivers (Art-Net, sACN)
+ * hand their packets to the bridge, which forwards them to the network.
+ */
+export class NetworkBridge {
+	static DEFAULT_URL = 'ws://127.0.0.1:6455';
+
+	/**
+	 * @param {string} [url] - WebSocket URL of the bridge
+	 */
+	constructor(url = NetworkBridge.DEFAULT_URL) {
+		this.url = url;
+		this.socket = null;
+		this.encoder = new TextEncoder();
+		this.onclose = null; // Called when the connection closes unexpectedly
+	}
+
+	/**
+	 * Open the connection to the bridge
+	 * @returns {Promise<void>} Resolves once connected
+	 */
+	connect() {
+		return new Promise((resolve, reject) => {
+			const socket = new WebSocket(this.url);
+			socket.binaryType = 'arraybuffer';
+
+			socket.onopen = () => {
+				this.socket = socket;
+				resolve();
+			};
+
+			socket.onerror = () => {
+				if (!this.socket) {
+					reject(new Error(`Could not connect to the network bridge at ${this.url}. Is it running? Start it with "npm run bridge".`));
+				}
+			};
+
+			socket.onclose = () => {
+				const wasConnected = this.socket === socket;
+				this.socket = null;
+				if (wasConnected) {
+					this.onclose?.();
+				}
+			};
+		});
+	}
+
+	/**
+	 * Whether the bridge connection is open
+	 * @returns {boolean}
+	 */
+	get connected() {
+		return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+	}
+
+	/**
+	 * Send a UDP datagram through the bridge
+	 * @param {string} host - Destination IPv4 address or hostname
+	 * @param {number} port - Destination UDP port
+	 * @param {Uint8Array} payload - UDP payload
+	 */
+	send(host, port, payload) {
+		if (!this.connected) return;
+
+		const hostBytes = this.encoder.encode(host);
+		const message = new Uint8Array(1 + hostBytes.length + 2 + payload.length);
+
+		message[0] = hostBytes.length;
+		message.set(hostBytes, 1);
+		message[1 + hostBytes.length] = (port >> 8) & 0xff;
+		message[2 + hostBytes.length] = port & 0xff;
+		message.set(payload, 3 + hostBytes.length);
+
+		this.socket.send(message);
+	}
+
+	/**
+	 * Close the connection to the bridge
+	 */
+	close() {
+		const socket = this.socket;
+		this.socket = null;
+		socket?.close();
+	}
+}
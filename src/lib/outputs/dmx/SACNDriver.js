@@ -0,0 +1,410 @@
+import { DMXDriver } from './DMXDriver.js';
+import { outputTimer } from '../timer.js';
+import { NetworkBridge } from './NetworkBridge.js';
+
+// ACN packet identifier: "ASC-E1.17\0\0\0"
+const ACN_PACKET_IDENTIFIER = Uint8Array.from([0x41, 0x53, 0x43, 0x2d, 0x45, 0x31, 0x2e, 0x31, 0x37, 0x00, 0x00, 0x00]);
+
+const CID_STORAGE_KEY = 'dmx-sacn-cid';
+
+/**
+ * Write a flags & length field (high 4 bits are always 0x7)
+ * @param {DataView} view - Packet view
+ * @param {number} offset - Field offset
+ * @param {number} length - PDU length from this field to the end of the packet
+ */
+function writeFlagsAndLength(view, offset, length) {
+	view.setUint16(offset, 0x7000 | (length & 0x0fff));
+}
+
+/**
+ * Write the root layer shared by data and discovery packets
+ * @param {Uint8Array} packet - Packet buffer
+ * @param {DataView} view - Packet view
+ * @param {number} vector - Root layer vector
+ * @param {Uint8Array} cid - 16-byte component identifier
+ */
+function writeRootLayer(packet, view, vector, cid) {
+	view.setUint16(0, 0x0010);  // Preamble size
+	view.setUint16(2, 0x0000);  // Post-amble size
+	packet.set(ACN_PACKET_IDENTIFIER, 4);
+	writeFlagsAndLength(view, 16, packet.length - 16);
+	view.setUint32(18, vector);
+	packet.set(cid, 22);
+}
+
+/**
+ * Write a null-terminated source name (max 63 bytes of UTF-8)
+ * @param {Uint8Array} packet - Packet buffer
+ * @param {number} offset - Field offset (64 bytes)
+ * @param {string} sourceName
+ */
+function writeSourceName(packet, offset, sourceName) {
+	const name = new TextEncoder().encode(sourceName).subarray(0, 63);
+	packet.set(name, offset);
+}
+
+/**
+ * Convert a UUID string into a 16-byte CID
+ * @param {string} uuid - UUID like "6ba7b810-9dad-11d1-80b4-00c04fd430c8"
+ * @returns {Uint8Array}
+ */
+export function uuidToCID(uuid) {
+	const hex = uuid.replace(/-/g, '');
+	const cid = new Uint8Array(16);
+	for (let i = 0; i < 16; i++) {
+		cid[i] = parseInt(hex.substr(i * 2, 2), 16);
+	}
+	return cid;
+}
+
+/**
+ * Get the component identifier of this controller
+ * E1.31 sources should keep their CID, so it is stored once generated
+ * @returns {string} UUID string
+ */
+export function getSourceCID() {
+	if (typeof localStorage === 'undefined') {
+		return crypto.randomUUID();
+	}
+
+	let cid = localStorage.getItem(CID_STORAGE_KEY);
+	if (!cid) {
+		cid = crypto.randomUUID();
+		localStorage.setItem(CID_STORAGE_KEY, cid);
+	}
+	return cid;
+}
+
+/**
+ * Get the multicast address for an sACN universe
+ * @param {number} universe - sACN universe (1-63999)
+ * @returns {string} IPv4 address 239.255.{high}.{low}
+ */
+export function getMulticastAddress(universe) {
+	return `239.255.${(universe >> 8) & 0xff}.${universe & 0xff}`;
+}
+
+/**
+ * Build an E1.31 data packet
+ * @param {Uint8Array} universeData - 512-byte DMX universe
+ * @param {Object} source - Stream settings
+ * @param {Uint8Array} source.cid - 16-byte component identifier
+ * @param {string} source.sourceName - Source name shown by receivers
+ * @param {number} source.universe - sACN universe (1-63999)
+ * @param {number} source.priority - Priority (0-200)
+ * @param {number} [sequence=0] - Sequence number (0-255)
+ * @param {number} [options=0] - Options flags (SACNDriver.OPTION_*)
+ * @returns {Uint8Array} E1.31 data packet
+ */
+export function buildSACNDataPacket(universeData, { cid, sourceName, universe, priority }, sequence = 0, options = 0) {
+	const slots = Math.min(512, universeData.length);
+	const packet = new Uint8Array(126 + slots);
+	const view = new DataView(packet.buffer);
+
+	// Root layer
+	writeRootLayer(packet, view, SACNDriver.VECTOR_ROOT_E131_DATA, cid);
+
+	// Framing layer
+	writeFlagsAndLength(view, 38, packet.length - 38);
+	view.setUint32(40, SACNDriver.VECTOR_E131_DATA_PACKET);
+	writeSourceName(packet, 44, sourceName);
+	packet[108] = Math.max(0, Math.min(200, priority));
+	view.setUint16(109, 0);                 // Synchronization address (unused)
+	packet[111] = sequence & 0xff;
+	packet[112] = options;
+	view.setUint16(113, universe);
+
+	// DMP layer
+	writeFlagsAndLength(view, 115, packet.length - 115);
+	packet[117] = SACNDriver.VECTOR_DMP_SET_PROPERTY;
+	packet[118] = 0xa1;                     // Address type & data type
+	view.setUint16(119, 0x0000);            // First property address
+	view.setUint16(121, 0x0001);            // Address increment
+	view.setUint16(123, slots + 1);         // Property value count (start code + slots)
+	packet[125] = 0x00;                     // DMX512 start code
+	packet.set(universeData.subarray(0, slots), 126);
+
+	return packet;
+}
+
+/**
+ * Build an E1.31 universe discovery packet (single page)
+ * @param {Object} source - Source settings
+ * @param {Uint8Array} source.cid - 16-byte component identifier
+ * @param {string} source.sourceName - Source name shown by receivers
+ * @param {number[]} universes - sACN universes this source transmits
+ * @returns {Uint8Array} E1.31 universe discovery packet
+ */
+export function buildSACNDiscoveryPacket({ cid, sourceName }, universes) {
+	const list = [...new Set(universes)].sort((a, b) => a - b).slice(0, 512);
+	const packet = new Uint8Array(120 + list.length * 2);
+	const view = new DataView(packet.buffer);
+
+	// Root layer
+	writeRootLayer(packet, view, SACNDriver.VECTOR_ROOT_E131_EXTENDED, cid);
+
+	// Framing layer
+	writeFlagsAndLength(view, 38, packet.length - 38);
+	view.setUint32(40, SACNDriver.VECTOR_E131_EXTENDED_DISCOVERY);
+	writeSourceName(packet, 44, sourceName);
+	view.setUint32(108, 0);                 // Reserved
+
+	// Universe discovery layer
+	writeFlagsAndLength(view, 112, packet.length - 112);
+	view.setUint32(114, SACNDriver.VECTOR_UNIVERSE_DISCOVERY_UNIVERSE_LIST);
+	packet[118] = 0;                        // Page
+	packet[119] = 0;                        // Last page
+	list.forEach((universe, index) => {
+		view.setUint16(120 + index * 2, universe);
+	});
+
+	return packet;
+}
+
+/**
+ * sACN (E1.31) Driver
+ * Streams DMX universes using streaming ACN through the local network bridge
+ *
+ * Not a WebUSB driver: connect() takes connection options instead of a USB device.
+ * Data is sent to the universe's multicast address, or to a unicast address when set.
+ * All connected sACN outputs share one CID and announce their universes
+ * with universe discovery packets every 10 seconds.
+ */
+export class SACNDriver extends DMXDriver {
+	// Protocol constants
+	static PORT = 5568;
+	static VECTOR_ROOT_E131_DATA = 0x00000004;
+	static VECTOR_ROOT_E131_EXTENDED = 0x00000008;
+	static VECTOR_E131_DATA_PACKET = 0x00000002;
+	static VECTOR_E131_EXTENDED_DISCOVERY = 0x00000002;
+	static VECTOR_DMP_SET_PROPERTY = 0x02;
+	static VECTOR_UNIVERSE_DISCOVERY_UNIVERSE_LIST = 0x00000001;
+	static OPTION_STREAM_TERMINATED = 0x40;
+	static DISCOVERY_UNIVERSE = 64214;
+	static DISCOVERY_INTERVAL = 10000;
+
+	// Connected sACN outputs, for universe discovery
+	static activeDrivers = new Set();
+	static discoveryInterval = null;
+
+	constructor() {
+		super('sACN (E1.31)', []);
+		this.transport = 'network';
+		this.updateRate = 1000 / 44; // ~44 Hz, the DMX512 maximum refresh rate
+		this.interval = null;
+		this.universeData = null;
+		this.bridge = null;
+		this.host = '';  // Empty for multicast
+		this.sacnUniverse = 1;
+		this.priority = 100;
+		this.sourceName = 'Web DMX Controller';
+		this.cid = null;
+		this.sequence = 0;
+	}
+
+	/**
+	 * Get the default connection options
+	 * @returns {Object}
+	 */
+	getDefaultOptions() {
+		return {
+			bridgeUrl: NetworkBridge.DEFAULT_URL,
+			host: '',
+			universe: 1,
+			priority: 100,
+			sourceName: 'Web DMX Controller'
+		};
+	}
+
+	getLabel() {
+		return `${this.name} universe ${this.sacnUniverse} (priority ${this.priority})`;
+	}
+
+	/**
+	 * Connect to the network bridge
+	 * @param {Object} options - Connection options
+	 * @param {string} [options.bridgeUrl] - WebSocket URL of the network bridge
+	 * @param {string} [options.host] - Unicast IP address, or empty for multicast
+	 * @param {number} [options.universe] - sACN universe (1-63999)
+	 * @param {number} [options.priority] - Priority (0-200)
+	 * @param {string} [options.sourceName] - Source name shown by receivers
+	 * @param {string} [options.cid] - Component identifier (UUID), defaults to the stored CID
+	 * @returns {Promise<boolean>}
+	 */
+	async connect(options = {}) {
+		const settings = { ...this.getDefaultOptions(), ...options };
+
+		try {
+			this.host = settings.host?.trim() || '';
+			this.sacnUniverse = settings.universe;
+			this.priority = settings.priority;
+			this.sourceName = settings.sourceName;
+			this.cid = uuidToCID(settings.cid || getSourceCID());
+
+			this.bridge = new NetworkBridge(settings.bridgeUrl);
+			await this.bridge.connect();
+
+			// Treat a lost bridge connection like an unplugged USB device
+			this.bridge.onclose = () => {
+				console.error('sACN: Lost connection to the network bridge');
+				this.status = 'error';
+				this._emit('error', { error: new Error('Lost connection to the network bridge'), driver: this });
+				this.disconnect();
+			};
+
+			this.connected = true;
+			this.status = 'connected';
+			SACNDriver._addActiveDriver(this);
+			this._emit('connected', { driver: this });
+
+			return true;
+		} catch (error) {
+			console.error('sACN: Failed to connect:', error);
+			this.bridge = null;
+			this.status = 'error';
+			this._emit('error', { error, driver: this });
+			throw error;
+		}
+	}
+
+	disconnect() {
+		if (this.interval) {
+			outputTimer.clearInterval(this.interval);
+			this.interval = null;
+		}
+
+		SACNDriver._removeActiveDriver(this);
+
+		if (this.bridge) {
+			// Tell receivers the stream ends, so they don't wait for the timeout
+			if (this.connected && this.universeData) {
+				for (let i = 0; i < 3; i++) {
+					this._sendPacket(this.universeData, SACNDriver.OPTION_STREAM_TERMINATED);
+				}
+			}
+
+			this.bridge.onclose = null;
+			this.bridge.close();
+			this.bridge = null;
+		}
+
+		this.connected = false;
+		this.status = 'disconnected';
+		this.universeData = null;
+		this._emit('disconnected', { driver: this });
+	}
+
+	/**
+	 * Change the priority of this output
+	 * @param {number} priority - Priority (0-200)
+	 */
+	setPriority(priority) {
+		this.priority = Math.max(0, Math.min(200, priority));
+	}
+
+	/**
+	 * Start continuous DMX output
+	 * @param {Uint8Array} universeData - Reference to the 512-byte universe array
+	 */
+	startOutput(universeData) {
+		this.universeData = universeData;
+
+		if (this.interval) {
+			outputTimer.clearInterval(this.interval);
+		}
+
+		// Start sending DMX data at regular intervals
+		this.interval = outputTimer.setInterval(() => {
+			this.sendUniverse(this.universeData);
+		}, this.updateRate);
+	}
+
+	/**
+	 * Stop continuous DMX output
+	 */
+	stopOutput() {
+		if (this.interval) {
+			outputTimer.clearInterval(this.interval);
+			this.interval = null;
+		}
+	}
+
+	async sendUniverse(universeData) {
+		if (!this.bridge || !this.connected || !universeData) return;
+
+		try {
+			this._sendPacket(universeData);
+			this._recordFrame();
+		} catch (error) {
+			this._recordError();
+			console.error('sACN: Failed to send DMX data:', error);
+			this._emit('error', { error, driver: this });
+		}
+	}
+
+	/**
+	 * Build and send a data packet with the next sequence number
+	 * @param {Uint8Array} universeData - 512-byte DMX universe
+	 * @param {number} [options=0] - Options flags
+	 * @private
+	 */
+	_sendPacket(universeData, options = 0) {
+		this.sequence = (this.sequence + 1) & 0xff;
+
+		const packet = buildSACNDataPacket(universeData, {
+			cid: this.cid,
+			sourceName: this.sourceName,
+			universe: this.sacnUniverse,
+			priority: this.priority
+		}, this.sequence, options);
+
+		this.bridge.send(this.host || getMulticastAddress(this.sacnUniverse), SACNDriver.PORT, packet);
+	}
+
+	/**
+	 * Track a connected output and start universe discovery
+	 * @param {SACNDriver} driver
+	 * @private
+	 */
+	static _addActiveDriver(driver) {
+		SACNDriver.activeDrivers.add(driver);
+
+		if (!SACNDriver.discoveryInterval) {
+			SACNDriver.discoveryInterval = outputTimer.setInterval(() => SACNDriver._sendDiscovery(), SACNDriver.DISCOVERY_INTERVAL);
+		}
+
+		SACNDriver._sendDiscovery();
+	}
+
+	/**
+	 * Stop tracking an output, and stop universe discovery after the last one
+	 * @param {SACNDriver} driver
+	 * @private
+	 */
+	static _removeActiveDriver(driver) {
+		SACNDriver.activeDrivers.delete(driver);
+
+		if (SACNDriver.activeDrivers.size === 0 && SACNDriver.discoveryInterval) {
+			outputTimer.clearInterval(SACNDriver.discoveryInterval);
+			SACNDriver.discoveryInterval = null;
+		}
+	}
+
+	/**
+	 * Announce the universes of all connected outputs
+	 * Sent through the first connected output's bridge
+	 * @private
+	 */
+	static _sendDiscovery() {
+		const drivers = [...SACNDriver.activeDrivers].filter(driver => driver.bridge);
+		if (drivers.length === 0) return;
+
+		const packet = buildSACNDiscoveryPacket(
+			{ cid: drivers[0].cid, sourceName: drivers[0].sourceName },
+			drivers.map(driver => driver.sacnUniverse)
+		);
+
+		drivers[0].bridge.send(getMulticastAddress(SACNDriver.DISCOVERY_UNIVERSE), SACNDriver.PORT, packet);
+	}
+}
@@ -0,0 +1,186 @@
+import { DMXDriver } from './DMXDriver.js';
+import { outputTimer } from '../timer.js';
+
+/**
+ * Virtual DMX Driver
+ * Loopback output for rehearsing without hardware
+ *
+ * Runs the same output loop as the uDMX driver, but copies every frame into
+ * a ring buffer instead of sending it to a device. The recorded frames make
+ * it a deterministic target for testing the sampling to DMX pipeline.
+ *
+ * Not a WebUSB driver: connect() takes options instead of a USB device.
+ */
+export class VirtualDMXDriver extends DMXDriver {
+	static DEFAULT_BUFFER_SIZE = 256;
+
+	constructor() {
+		super('Virtual output', []);
+		this.transport = 'virtual';
+		this.updateRate = 1000 / 44; // ~44 Hz, like the uDMX driver
+		this.interval = null;
+		this.universeData = null;
+		this.manual = false;
+
+		// Ring buffer of recorded frames
+		this.frames = [];
+		this.writeIndex = 0;
+		this.frameCount = 0;
+	}
+
+	getLabel() {
+		return `${this.name} ${this.id.slice(0, 4)}`;
+	}
+
+	/**
+	 * Connect the virtual output
+	 * @param {Object} [options] - Connection options
+	 * @param {number} [options.bufferSize=256] - Number of frames to keep
+	 * @param {number} [options.updateRate] - Interval between frames in milliseconds
+	 * @param {boolean} [options.manual=false] - Don't run the output loop, frames are only recorded by step()
+	 * @returns {Promise<boolean>}
+	 */
+	async connect(options = {}) {
+		const bufferSize = Math.max(1, options.bufferSize ?? VirtualDMXDriver.DEFAULT_BUFFER_SIZE);
+
+		this.frames = Array.from({ length: bufferSize }, () => ({
+			time: 0,
+			data: new Uint8Array(512)
+		}));
+		this.writeIndex = 0;
+		this.frameCount = 0;
+		this.manual = options.manual ?? false;
+
+		if (options.updateRate) {
+			this.updateRate = options.updateRate;
+		}
+
+		this.connected = true;
+		this.status = 'connected';
+		this._emit('connected', { driver: this });
+
+		return true;
+	}
+
+	disconnect() {
+		if (this.interval) {
+			outputTimer.clearInterval(this.interval);
+			this.interval = null;
+		}
+
+		this.connected = false;
+		this.status = 'disconnected';
+		this.universeData = null;
+		this._emit('disconnected', { driver: this });
+	}
+
+	/**
+	 * Start continuous DMX output
+	 * @param {Uint8Array} universeData - Reference to the 512-byte universe array
+	 */
+	startOutput(universeData) {
+		this.universeData = universeData;
+
+		if (this.interval) {
+			outputTimer.clearInterval(this.interval);
+			this.interval = null;
+		}
+
+		if (this.manual) return;
+
+		// Record DMX data at regular intervals
+		this.interval = outputTimer.setInterval(() => {
+			this.sendUniverse(this.universeData);
+		}, this.updateRate);
+	}
+
+	/**
+	 * Stop continuous DMX output
+	 */
+	stopOutput() {
+		if (this.interval) {
+			outputTimer.clearInterval(this.interval);
+			this.interval = null;
+		}
+	}
+
+	/**
+	 * Record a single frame of the current universe
+	 * Used in manual mode to step through output deterministically
+	 */
+	step() {
+		this.sendUniverse(this.universeData);
+	}
+
+	async sendUniverse(universeData) {
+		if (!this.connected || !universeData) return;
+
+		const frame = this.frames[this.writeIndex];
+		frame.data.set(universeData.subarray(0, 512));
+		frame.time = performance.now();
+
+		this.writeIndex = (this.writeIndex + 1) % this.frames.length;
+		this.frameCount = Math.min(this.frameCount + 1, this.frames.length);
+
+		this._recordFrame();
+	}
+
+	/**
+	 * Get the recorded frames, oldest first
+	 * @returns {Array<{time: number, data: Uint8Array}>} Copies of the recorded frames
+	 */
+	getFrames() {
+		const frames = [];
+		const start = (this.writeIndex - this.frameCount + this.frames.length) % this.frames.length;
+
+		for (let i = 0; i < this.frameCount; i++) {
+			const frame = this.frames[(start + i) % this.frames.length];
+			frames.push({ time: frame.time, data: frame.data.slice() });
+		}
+
+		return frames;
+	}
+
+	/**
+	 * Get the most recently recorded frame
+	 * @returns {{time: number, data: Uint8Array}|null} Copy of the last frame
+	 */
+	getLastFrame() {
+		if (this.frameCount === 0) return null;
+
+		const frame = this.frames[(this.writeIndex - 1 + this.frames.length) % this.frames.length];
+		return { time: frame.time, data: frame.data.slice() };
+	}
+
+	/**
+	 * Get the measured frame rate over the recorded frames of the last second
+	 * @returns {number} Frames per second
+	 */
+	getFrameRate() {
+		if (this.frameCount < 2) return 0;
+
+		const now = performance.now();
+		const newest = (this.writeIndex - 1 + this.frames.length) % this.frames.length;
+		let oldestTime = this.frames[newest].time;
+		let intervals = 0;
+
+		// Walk back from the newest frame while frames are within the last second
+		for (let i = 1; i < this.frameCount; i++) {
+			const frame = this.frames[(newest - i + this.frames.length) % this.frames.length];
+			if (now - frame.time > 1000) break;
+			oldestTime = frame.time;
+			intervals++;
+		}
+
+		const duration = this.frames[newest].time - oldestTime;
+		return duration > 0 ? (intervals * 1000) / duration : 0;
+	}
+
+	/**
+	 * Forget all recorded frames
+	 */
+	clearFrames() {
+		this.writeIndex = 0;
+		this.frameCount = 0;
+	}
+}
@@ -1,4 +1,5 @@
 import { DMXDriver } from './DMXDriver.js';
+import { outputTimer } from '../timer.js';
 
 /**
  * uDMX Driver (Anyma uDMX)
@@ -37,11 +38,13 @@ export class uDMXDriver extends DMXDriver {
 			await this.device.claimInterface(0);
 
 			this.connected = true;
+			this.status = 'connected';
 			this._emit('connected', { driver: this });
 
 			return true;
 		} catch (error) {
 			console.error('uDMX: Failed to connect:', error);
+			this.status = 'error';
 			this._emit('error', { error, driver: this });
 			throw error;
 		}
@@ -49,7 +52,7 @@ export class uDMXDriver extends DMXDriver {
 
 	disconnect() {
 		if (this.interval) {
-			clearInterval(this.interval);
+			outputTimer.clearInterval(this.interval);
 			this.interval = null;
 		}
 
@@ -63,6 +66,7 @@ export class uDMXDriver extends DMXDriver {
 		}
 
 		this.connected = false;
+		this.status = 'disconnected';
 		this.universeData = null;
 		this._emit('disconnected', { driver: this });
 	}
@@ -75,11 +79,11 @@ export class uDMXDriver extends DMXDriver {
 		this.universeData = universeData;
 
 		if (this.interval) {
-			clearInterval(this.interval);
+			outputTimer.clearInterval(this.interval);
 		}
 
 		// Start sending DMX data at regular intervals
-		this.interval = setInterval(() => {
+		this.interval = outputTimer.setInterval(() => {
 			this.sendUniverse(this.universeData);
 		}, this.updateRate);
 	}
@@ -89,7 +93,7 @@ export class uDMXDriver extends DMXDriver {
 	 */
 	stopOutput() {
 		if (this.interval) {
-			clearInterval(this.interval);
+			outputTimer.clearInterval(this.interval);
 			this.interval = null;
 		}
 	}
@@ -117,7 +121,10 @@ export class uDMXDriver extends DMXDriver {
 				value: 512, // number of channels
 				index: 0    // starting at channel 0
 			}, universeData);
+			this._recordFrame();
 		} catch (error) {
+			this._recordError();
+
 			// uDMX can occasionally have overflow errors, but we don't want to spam the console
 			if (error.name !== 'NetworkError') {
 				console.error('uDMX: Failed to send DMX data:', error);
@@ -0,0 +1,257 @@
+/**
+ * GDTF Importer
+ *
+ * Reads fixture definitions in the General Device Type Format. A .gdtf file
+ * is a zip archive, the fixture is described by the description.xml inside.
+ * Only channels in the first DMX break are imported.
+ */
+
+import { mapChannelsToControls } from './mapping.js';
+
+// Attributes mapped onto channel functions
+const ATTRIBUTE_FUNCTIONS = [
+	{ pattern: /^Dimmer$/, function: 'dimmer' },
+	{ pattern: /^Pan$/, function: 'pan' },
+	{ pattern: /^Tilt$/, function: 'tilt' },
+	{ pattern: /^(ColorAdd_R|ColorRGB_Red)$/, function: 'red' },
+	{ pattern: /^(ColorAdd_G|ColorRGB_Green)$/, function: 'green' },
+	{ pattern: /^(ColorAdd_B|ColorRGB_Blue)$/, function: 'blue' },
+	{ pattern: /^ColorAdd_W$/, function: 'white' },
+	{ pattern: /^ColorAdd_A$/, function: 'amber' },
+	{ pattern: /^ColorSub_C$/, function: 'cyan' },
+	{ pattern: /^ColorSub_M$/, function: 'magenta' },
+	{ pattern: /^ColorSub_Y$/, function: 'yellow' },
+	{ pattern: /^(CTO|CTC|CTB)$/, function: 'cto' },
+	{ pattern: /^Color\d+$/, function: 'colorWheel' },
+	{ pattern: /^Gobo\d+$/, function: 'gobo' },
+	{ pattern: /^Prism\d+$/, function: 'prism' },
+	{ pattern: /^Zoom$/, function: 'zoom' },
+	{ pattern: /^Focus\d*$/, function: 'focus' },
+	{ pattern: /^Iris$/, function: 'iris' },
+	{ pattern: /^(Shutter\d*|Shutter\d*Strobe|StrobeFrequency)$/, function: 'strobe' },
+	{ pattern: /^PanTiltSpeed$/, function: 'speed' },
+	{ pattern: /^(Fog|Haze)\d*$/, function: 'smoke' }
+];
+
+// Zip signatures and compression methods
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+/**
+ * Parse a .gdtf archive
+ * @param {ArrayBuffer} buffer - Contents of the .gdtf file
+ * @returns {Promise<Object>} Fixture definition
+ */
+export async function parseGDTFArchive(buffer) {
+	const xml = await _readZipEntry(buffer, 'description.xml');
+	if (xml === null) {
+		throw new Error('No description.xml found in the GDTF file');
+	}
+
+	return parseGDTFDescription(xml);
+}
+
+/**
+ * Parse a GDTF description.xml
+ * @param {string} xml - Contents of description.xml
+ * @returns {{name: string, manufacturer: string, source: string, modes: Array<Object>}} Fixture definition
+ * @throws {Error} When the file is not a GDTF description, or has no usable modes
+ */
+export function parseGDTFDescription(xml) {
+	const doc = new DOMParser().parseFromString(xml, 'application/xml');
+	const fixtureType = doc.querySelector('FixtureType');
+
+	if (doc.querySelector('parsererror') || !fixtureType) {
+		throw new Error('Not a GDTF fixture description');
+	}
+
+	const name = fixtureType.getAttribute('LongName') || fixtureType.getAttribute('Name') || 'Imported fixture';
+	const modes = [];
+
+	for (const dmxMode of fixtureType.querySelectorAll('DMXModes > DMXMode')) {
+		const modeChannels = _collectModeChannels(dmxMode);
+		if (modeChannels.length === 0) continue;
+
+		modes.push({
+			name: dmxMode.getAttribute('Name') || `${modeChannels.length} channels`,
+			...mapChannelsToControls(modeChannels)
+		});
+	}
+
+	if (modes.length === 0) {
+		throw new Error(`"${name}" has no DMX modes that can be imported`);
+	}
+
+	return {
+		name,
+		manufacturer: fixtureType.getAttribute('Manufacturer') || '',
+		source: 'gdtf',
+		modes
+	};
+}
+
+/**
+ * Describe the channels of a DMX mode in DMX order
+ * @param {Element} dmxMode - DMXMode element
+ * @returns {Array<{name: string, function: string|null, defaultValue: number, [slots]: Array<Object>}>}
+ * @private
+ */
+function _collectModeChannels(dmxMode) {
+	const channels = [];
+
+	for (const dmxChannel of dmxMode.querySelectorAll('DMXChannels > DMXChannel')) {
+		const dmxBreak = parseInt(dmxChannel.getAttribute('DMXBreak') || '1');
+		const offsets = (dmxChannel.getAttribute('Offset') || '')
+			.split(',')
+			.map(offset => parseInt(offset) - 1)
+			.filter(offset => offset >= 0);
+
+		// Virtual channels have no offset
+		if (dmxBreak !== 1 || offsets.length === 0) continue;
+
+		const logicalChannel = dmxChannel.querySelector('LogicalChannel');
+		const channelFunction = dmxChannel.querySelector('ChannelFunction');
+		const attribute = logicalChannel?.getAttribute('Attribute') || channelFunction?.getAttribute('Attribute') || '';
+		const fn = ATTRIBUTE_FUNCTIONS.find(a => a.pattern.test(attribute))?.function ?? null;
+
+		const defaultBytes = _parseDefault(
+			dmxChannel.getAttribute('Default') || channelFunction?.getAttribute('Default'),
+			offsets.length
+		);
+
+		offsets.forEach((offset, index) => {
+			// Keep the first channel when geometries share an offset
+			if (channels[offset]) return;
+
+			const fine = index > 0;
+			channels[offset] = {
+				name: fine ? `${attribute} fine` : attribute,
+				function: fine ? ((fn === 'pan' || fn === 'tilt') && index === 1 ? `${fn}Fine` : null) : fn,
+				defaultValue: defaultBytes[index]
+			};
+
+			// Wheel and prism channels name their DMX ranges
+			if (!fine && (fn === 'colorWheel' || fn === 'gobo' || fn === 'prism')) {
+				channels[offset].slots = _collectSlots(dmxChannel);
+			}
+		});
+	}
+
+	// Fill gaps with unused channels
+	return Array.from(channels, channel => channel || { name: 'No function', function: null, defaultValue: 0 });
+}
+
+/**
+ * Name the DMX ranges of a channel from its channel sets, or from its
+ * channel functions when they have no named sets
+ * @param {Element} dmxChannel - DMXChannel element
+ * @returns {Array<{name: string, dmxMin: number, dmxMax: number}>} Slots in DMX order
+ * @private
+ */
+function _collectSlots(dmxChannel) {
+	const starts = [];
+
+	for (const channelFunction of dmxChannel.querySelectorAll('ChannelFunction')) {
+		const channelSets = Array.from(channelFunction.querySelectorAll('ChannelSet'))
+			.filter(channelSet => channelSet.getAttribute('Name'));
+
+		const ranges = channelSets.length > 0 ? channelSets : [channelFunction];
+		for (const range of ranges) {
+			const dmxMin = _parseDefault(range.getAttribute('DMXFrom'), 1)[0];
+			if (!starts.some(start => start.dmxMin === dmxMin)) {
+				starts.push({ name: range.getAttribute('Name') || `Slot ${starts.length + 1}`, dmxMin });
+			}
+		}
+	}
+
+	starts.sort((a, b) => a.dmxMin - b.dmxMin);
+
+	// Each range ends where the next one starts
+	return starts.map((start, index) => ({
+		...start,
+		dmxMax: index < starts.length - 1 ? starts[index + 1].dmxMin - 1 : 255
+	}));
+}
+
+/**
+ * Parse a GDTF default value "value/bytes" into a DMX value per channel
+ * @param {string|null} value - e.g. "255/1" or "32768/2"
+ * @param {number} count - Number of channels
+ * @returns {Array<number>} DMX values, coarse first
+ * @private
+ */
+function _parseDefault(value, count) {
+	const [raw, bytes] = (value || '0/1').split('/').map(v => parseInt(v) || 0);
+
+	// Scale the value to the resolution of the channel
+	const resolution = bytes || 1;
+	const scaled = resolution >= count
+		? Math.floor(raw / 2 ** (8 * (resolution - count)))
+		: raw * 2 ** (8 * (count - resolution));
+
+	return Array.from({ length: count }, (_, index) =>
+		Math.floor(scaled / 2 ** (8 * (count - index - 1))) & 0xff
+	);
+}
+
+/**
+ * Read a file from a zip archive
+ * @param {ArrayBuffer} buffer - Zip archive
+ * @param {string} filename - Name of the file in the archive
+ * @returns {Promise<string|null>} File contents, or null when not found
+ * @private
+ */
+async function _readZipEntry(buffer, filename) {
+	const view = new DataView(buffer);
+
+	// Find the end of central directory record, which is followed by a comment of up to 64 KB
+	let end = -1;
+	for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+		if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+			end = i;
+			break;
+		}
+	}
+
+	if (end === -1) {
+		throw new Error('Not a valid GDTF file');
+	}
+
+	const entries = view.getUint16(end + 10, true);
+	let offset = view.getUint32(end + 16, true);
+	const decoder = new TextDecoder();
+
+	for (let i = 0; i < entries; i++) {
+		if (view.getUint32(offset, true) !== ZIP_CENTRAL_DIRECTORY_ENTRY) break;
+
+		const method = view.getUint16(offset + 10, true);
+		const compressedSize = view.getUint32(offset + 20, true);
+		const nameLength = view.getUint16(offset + 28, true);
+		const extraLength = view.getUint16(offset + 30, true);
+		const commentLength = view.getUint16(offset + 32, true);
+		const localHeader = view.getUint32(offset + 42, true);
+		const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+		if (name === filename) {
+			const dataStart = localHeader + 30 + view.getUint16(localHeader + 26, true) + view.getUint16(localHeader + 28, true);
+			const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+			if (method === ZIP_STORED) {
+				return decoder.decode(data);
+			}
+
+			if (method === ZIP_DEFLATED) {
+				const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+				return await new Response(stream).text();
+			}
+
+			throw new Error(`Unsupported compression in GDTF file (method ${method})`);
+		}
+
+		offset += 46 + nameLength + extraLength + commentLength;
+	}
+
+	return null;
+}
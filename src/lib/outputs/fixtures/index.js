@@ -0,0 +1,46 @@
+/**
+ * Fixture Import
+ *
+ * Reads fixture definitions from files and turns them into definitions for
+ * the DeviceTypeLibrary. Supported formats:
+ * - Open Fixture Library JSON (.json)
+ * - GDTF (.gdtf, or the description.xml inside it)
+ */
+
+import { parseOFLFixture } from './ofl.js';
+import { parseGDTFArchive, parseGDTFDescription } from './gdtf.js';
+
+export { parseOFLFixture } from './ofl.js';
+export { parseGDTFArchive, parseGDTFDescription } from './gdtf.js';
+export { mapChannelsToControls } from './mapping.js';
+
+// File types accepted by the importer, for <input type="file" accept>
+export const FIXTURE_FILE_TYPES = '.json,.gdtf,.xml';
+
+/**
+ * Import a fixture definition from a file
+ * @param {File} file - Fixture file
+ * @returns {Promise<{name: string, manufacturer: string, source: string, modes: Array<Object>}>} Fixture definition
+ */
+export async function importFixtureFile(file) {
+	const filename = file.name.toLowerCase();
+
+	if (filename.endsWith('.gdtf')) {
+		return parseGDTFArchive(await file.arrayBuffer());
+	}
+
+	const text = await file.text();
+
+	if (filename.endsWith('.xml') || text.trimStart().startsWith('<')) {
+		return parseGDTFDescription(text);
+	}
+
+	let json;
+	try {
+		json = JSON.parse(text);
+	} catch {
+		throw new Error('The file is not an Open Fixture Library or GDTF fixture');
+	}
+
+	return parseOFLFixture(json);
+}
@@ -0,0 +1,126 @@
+/**
+ * Fixture Channel Mapping
+ *
+ * Maps the channels of an imported fixture mode onto the existing control
+ * types. Importers describe each channel with a normalized function:
+ *
+ *   'dimmer', 'red', 'green', 'blue', 'cyan', 'magenta', 'yellow', 'white',
+ *   'amber', 'cto', 'strobe', 'speed', 'smoke', 'zoom', 'focus', 'iris',
+ *   'colorWheel', 'gobo', 'prism', 'pan', 'panFine', 'tilt', 'tiltFine',
+ *   or null when unknown
+ *
+ * Wheel and prism channels can name their DMX ranges with `slots`, which are
+ * kept on the control. Channels that don't map onto a control keep their
+ * default value.
+ */
+
+/**
+ * Map the channels of a fixture mode onto controls
+ *
+ * Multi-channel controls need their channels in the order the control type
+ * writes them: red, green and blue (or cyan, magenta and yellow) next to each
+ * other, and pan and tilt (optionally each followed by its fine channel).
+ *
+ * @param {Array<{name: string, function: string|null, defaultValue: number, [slots]: Array<Object>}>} channels - Channels in DMX order
+ * @returns {{channels: number, defaultValues: Array<number>, controls: Array<{id: string, type: string, startChannel: number, [slots]: Array<Object>}>, unmapped: Array<{channel: number, name: string}>}}
+ *   Mode definition, control types are referenced by their CONTROL_TYPES key
+ *
+ * @example
+ * mapChannelsToControls([
+ *   { name: 'Dimmer', function: 'dimmer', defaultValue: 0 },
+ *   { name: 'Red', function: 'red', defaultValue: 0 },
+ *   { name: 'Green', function: 'green', defaultValue: 0 },
+ *   { name: 'Blue', function: 'blue', defaultValue: 0 }
+ * ]);
+ * // Returns: {
+ * //   channels: 4,
+ * //   defaultValues: [0, 0, 0, 0],
+ * //   controls: [{ id: 'dimmer', type: 'Dimmer', startChannel: 0 }, { id: 'color', type: 'Color', startChannel: 1 }],
+ * //   unmapped: []
+ * // }
+ */
+export function mapChannelsToControls(channels) {
+	const controls = [];
+	const used = new Set();
+
+	const functionAt = (index) => channels[index]?.function ?? null;
+	const find = (fn) => channels.findIndex((channel, index) => channel.function === fn && !used.has(index));
+
+	const addControl = (type, id, startChannel, count, slots = null) => {
+		// Use unique control ids when a fixture has more than one control of a type
+		let controlId = id;
+		let counter = 2;
+		while (controls.some(c => c.id === controlId)) {
+			controlId = `${id}-${counter++}`;
+		}
+
+		controls.push(slots ? { id: controlId, type, startChannel, slots } : { id: controlId, type, startChannel });
+		for (let i = 0; i < count; i++) {
+			used.add(startChannel + i);
+		}
+	};
+
+	// Pan/tilt, 16-bit when both fine channels follow their coarse channel
+	const pan = find('pan');
+	if (pan !== -1) {
+		if (functionAt(pan + 1) === 'panFine' && functionAt(pan + 2) === 'tilt' && functionAt(pan + 3) === 'tiltFine') {
+			addControl('PanTilt16', 'pantilt', pan, 4);
+		} else if (functionAt(pan + 1) === 'tilt') {
+			addControl('PanTilt', 'pantilt', pan, 2);
+		}
+	}
+
+	// Color, only when red, green and blue (or cyan, magenta and yellow) are next to each other
+	for (let index = 0; index < channels.length; index++) {
+		if (!used.has(index) && functionAt(index) === 'red' && functionAt(index + 1) === 'green' && functionAt(index + 2) === 'blue') {
+			addControl('Color', 'color', index, 3);
+		} else if (!used.has(index) && functionAt(index) === 'cyan' && functionAt(index + 1) === 'magenta' && functionAt(index + 2) === 'yellow') {
+			addControl('CMY', 'cmy', index, 3);
+		}
+	}
+
+	// Single channel controls
+	const singleChannelTypes = {
+		dimmer: 'Dimmer',
+		white: 'White',
+		amber: 'Amber',
+		strobe: 'Strobe',
+		speed: 'Speed',
+		smoke: 'Smoke',
+		cto: 'ColorTemperature',
+		zoom: 'Zoom',
+		focus: 'Focus',
+		iris: 'Iris',
+		colorWheel: 'ColorWheel',
+		gobo: 'Gobo',
+		prism: 'Prism'
+	};
+
+	channels.forEach((channel, index) => {
+		const type = singleChannelTypes[channel.function];
+		if (type && !used.has(index)) {
+			const slots = channel.slots?.length > 0 ? channel.slots : null;
+			addControl(type, channel.function.toLowerCase(), index, 1, slots);
+		}
+	});
+
+	controls.sort((a, b) => a.startChannel - b.startChannel);
+
+	return {
+		channels: channels.length,
+		defaultValues: channels.map(channel => clampDMX(channel.defaultValue)),
+		controls,
+		unmapped: channels
+			.map((channel, index) => ({ channel: index, name: channel.name }))
+			.filter(({ channel }) => !used.has(channel))
+	};
+}
+
+/**
+ * Clamp a value to a DMX value (0-255)
+ * @param {number} value
+ * @returns {number}
+ */
+export function clampDMX(value) {
+	return Math.max(0, Math.min(255, Math.round(value || 0)));
+}
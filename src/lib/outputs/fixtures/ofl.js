@@ -0,0 +1,257 @@
+/**
+ * Open Fixture Library Importer
+ *
+ * Reads fixture definitions in the Open Fixture Library JSON format,
+ * as downloaded from https://open-fixture-library.org
+ */
+
+import { mapChannelsToControls } from './mapping.js';
+
+// Capability types mapped onto channel functions
+const CAPABILITY_FUNCTIONS = {
+	Intensity: 'dimmer',
+	ShutterStrobe: 'strobe',
+	StrobeSpeed: 'strobe',
+	Pan: 'pan',
+	Tilt: 'tilt',
+	PanTiltSpeed: 'speed',
+	EffectSpeed: 'speed',
+	Speed: 'speed',
+	Fog: 'smoke',
+	FogOutput: 'smoke',
+	ColorTemperature: 'cto',
+	Zoom: 'zoom',
+	Focus: 'focus',
+	Iris: 'iris'
+};
+
+// Colors of ColorIntensity capabilities mapped onto channel functions
+const COLOR_FUNCTIONS = {
+	Red: 'red',
+	Green: 'green',
+	Blue: 'blue',
+	White: 'white',
+	Amber: 'amber',
+	Cyan: 'cyan',
+	Magenta: 'magenta',
+	Yellow: 'yellow'
+};
+
+// Capability types of wheel and prism channels, whose DMX ranges become slots
+const WHEEL_CAPABILITIES = ['WheelSlot', 'WheelShake', 'WheelSlotRotation', 'WheelRotation'];
+const PRISM_CAPABILITIES = ['Prism', 'PrismRotation'];
+
+// Slot names for capabilities without a comment
+const SLOT_NAMES = {
+	NoFunction: 'Off',
+	WheelShake: 'Shake',
+	WheelSlotRotation: 'Rotate',
+	WheelRotation: 'Rotate',
+	Prism: 'On',
+	PrismRotation: 'Rotate'
+};
+
+/**
+ * Parse an Open Fixture Library fixture
+ * @param {Object} json - Parsed fixture JSON
+ * @returns {{name: string, manufacturer: string, source: string, modes: Array<Object>}} Fixture definition
+ * @throws {Error} When the file is not an Open Fixture Library fixture, or has no usable modes
+ */
+export function parseOFLFixture(json) {
+	if (!json?.name || !json.availableChannels || !Array.isArray(json.modes)) {
+		throw new Error('Not an Open Fixture Library fixture');
+	}
+
+	const channels = _collectChannels(json.availableChannels, json.wheels || {});
+	const modes = [];
+
+	for (const mode of json.modes) {
+		// Pixel matrices need the matrix definition to be expanded, which isn't supported
+		if (!Array.isArray(mode.channels) || mode.channels.some(key => key !== null && typeof key !== 'string')) {
+			console.warn(`OFL: Skipping mode "${mode.name}", pixel matrices are not supported`);
+			continue;
+		}
+
+		const modeChannels = mode.channels.map(key => channels.get(key) || {
+			name: key || 'No function',
+			function: null,
+			defaultValue: 0
+		});
+
+		modes.push({
+			name: mode.name || mode.shortName || `${modeChannels.length} channels`,
+			...mapChannelsToControls(modeChannels)
+		});
+	}
+
+	if (modes.length === 0) {
+		throw new Error(`"${json.name}" has no modes that can be imported`);
+	}
+
+	return {
+		name: json.name,
+		manufacturer: json.manufacturerKey || '',
+		source: 'ofl',
+		modes
+	};
+}
+
+/**
+ * Describe all channels and fine channel aliases of a fixture
+ * @param {Object} availableChannels - The availableChannels object of the fixture
+ * @param {Object} wheels - The wheels object of the fixture
+ * @returns {Map<string, {name: string, function: string|null, defaultValue: number, [slots]: Array<Object>}>}
+ * @private
+ */
+function _collectChannels(availableChannels, wheels) {
+	const channels = new Map();
+
+	for (const [key, channel] of Object.entries(availableChannels)) {
+		const fn = _getChannelFunction(key, channel, wheels);
+		const defaultValue = _parseDefaultValue(channel.defaultValue);
+
+		const entry = {
+			name: channel.name || key,
+			function: fn,
+			defaultValue: defaultValue > 255 ? defaultValue >> 8 : defaultValue
+		};
+
+		// Wheel and prism channels name their DMX ranges
+		if (fn === 'colorWheel' || fn === 'gobo' || fn === 'prism') {
+			entry.slots = _collectSlots(key, channel, wheels);
+		}
+
+		channels.set(key, entry);
+
+		// Fine channels of pan and tilt are part of 16-bit pan/tilt controls
+		for (const alias of channel.fineChannelAliases || []) {
+			channels.set(alias, {
+				name: alias,
+				function: fn === 'pan' || fn === 'tilt' ? `${fn}Fine` : null,
+				defaultValue: defaultValue > 255 ? defaultValue & 0xff : 0
+			});
+		}
+	}
+
+	return channels;
+}
+
+/**
+ * Get the function of a channel from its capabilities
+ * A channel with several capabilities only maps when they all share one type,
+ * except shutter channels that mix open, closed and strobe ranges, and wheel
+ * and prism channels that mix slots with shake and rotation ranges
+ * @private
+ */
+function _getChannelFunction(key, channel, wheels) {
+	const capabilities = _getCapabilities(channel);
+	const relevant = capabilities.filter(c => c.type !== 'NoFunction');
+	if (relevant.length === 0) return null;
+
+	if (relevant.some(c => c.type === 'ShutterStrobe')) {
+		return 'strobe';
+	}
+
+	if (relevant.some(c => WHEEL_CAPABILITIES.includes(c.type))) {
+		return _getWheelFunction(key, relevant, wheels);
+	}
+
+	if (relevant.every(c => PRISM_CAPABILITIES.includes(c.type))) {
+		return 'prism';
+	}
+
+	const types = new Set(relevant.map(c => c.type));
+	if (types.size !== 1) return null;
+
+	const capability = relevant[0];
+	if (capability.type === 'ColorIntensity') {
+		return COLOR_FUNCTIONS[capability.color] || null;
+	}
+
+	return CAPABILITY_FUNCTIONS[capability.type] || null;
+}
+
+/**
+ * Get the capabilities of a channel
+ * @private
+ */
+function _getCapabilities(channel) {
+	return channel.capabilities || (channel.capability ? [channel.capability] : []);
+}
+
+/**
+ * Get the function of a wheel channel from the type of its slots
+ * The wheel of a capability defaults to the wheel named like the channel
+ * @private
+ */
+function _getWheelFunction(key, capabilities, wheels) {
+	const slotTypes = new Set();
+	for (const capability of capabilities) {
+		const wheel = wheels[capability.wheel || key];
+		for (const slot of wheel?.slots || []) {
+			slotTypes.add(slot.type);
+		}
+	}
+
+	if (slotTypes.has('Color')) return 'colorWheel';
+	if (slotTypes.has('Gobo') || slotTypes.has('AnimationGoboStart')) return 'gobo';
+	if (slotTypes.has('Prism')) return 'prism';
+	return null;
+}
+
+/**
+ * Name the DMX ranges of a wheel or prism channel
+ * @returns {Array<{name: string, dmxMin: number, dmxMax: number, [color]: string}>} Slots in DMX order
+ * @private
+ */
+function _collectSlots(key, channel, wheels) {
+	return _getCapabilities(channel).map(capability => {
+		const [dmxMin, dmxMax] = capability.dmxRange || [0, 255];
+		const slot = { name: capability.comment || _getSlotName(key, capability, wheels), dmxMin, dmxMax };
+
+		const wheelSlot = _getWheelSlot(key, capability, wheels);
+		if (wheelSlot?.colors?.length > 0) {
+			slot.color = wheelSlot.colors[0];
+		}
+
+		return slot;
+	});
+}
+
+/**
+ * Get the wheel slot a WheelSlot capability selects
+ * @private
+ */
+function _getWheelSlot(key, capability, wheels) {
+	if (capability.type !== 'WheelSlot' || !Number.isInteger(capability.slotNumber)) return null;
+	return wheels[capability.wheel || key]?.slots?.[capability.slotNumber - 1] || null;
+}
+
+/**
+ * Name a capability without a comment
+ * @private
+ */
+function _getSlotName(key, capability, wheels) {
+	if (capability.type === 'WheelSlot') {
+		const wheelSlot = _getWheelSlot(key, capability, wheels);
+		if (wheelSlot?.name) return wheelSlot.name;
+		if (wheelSlot?.type === 'Open' || wheelSlot?.type === 'Closed') return wheelSlot.type;
+		return `Slot ${capability.slotNumber}`;
+	}
+
+	return SLOT_NAMES[capability.type] || capability.type;
+}
+
+/**
+ * Parse a default value, which is a DMX value or a percentage string
+ * @private
+ */
+function _parseDefaultValue(value) {
+	if (typeof value === 'number') return value;
+
+	if (typeof value === 'string' && value.endsWith('%')) {
+		return Math.round(parseFloat(value) / 100 * 255) || 0;
+	}
+
+	return 0;
+}
@@ -0,0 +1,102 @@
+/**
+ * Output Targets
+ *
+ * Triggers and scenes target a device or a group of devices by id. A target
+ * resolves to the selector of its elements and the controls it can set.
+ *
+ * Groups are selected by the ids of their members, `:is(#wash-1, #wash-2)`,
+ * instead of by their class. That way a rule for a group is as specific as a
+ * rule for a single device, and the order of the generated CSS decides which
+ * one wins, like it does for devices: triggers override scenes.
+ */
+
+import { DEVICE_TYPES } from './devices.js';
+
+/**
+ * Get the member devices of a group
+ * @param {Object} group - Group from the DeviceGroupLibrary
+ * @param {Array} devices - All devices
+ * @returns {Array} Member devices, in device order
+ */
+export function getGroupDevices(group, devices) {
+	return devices.filter(device => group.deviceIds.includes(device.id) && DEVICE_TYPES[device.type]);
+}
+
+/**
+ * Get the controls of a set of devices
+ * Controls with the same id are listed once, so a value or animation for
+ * 'color' applies to every member with a color control
+ *
+ * @param {Array} devices - Devices
+ * @returns {Array} Control definitions
+ */
+export function getDevicesControls(devices) {
+	const controls = new Map();
+
+	for (const device of devices) {
+		for (const control of DEVICE_TYPES[device.type]?.controls || []) {
+			if (!controls.has(control.id)) {
+				controls.set(control.id, control);
+			}
+		}
+	}
+
+	return [...controls.values()];
+}
+
+/**
+ * Resolve the id of a device or group to an output target
+ *
+ * @param {string} id - Device ID or group ID
+ * @param {Array} devices - All devices
+ * @param {Array} [groups] - All groups
+ * @returns {{id: string, name: string, selector: string, controls: Array, devices: Array, isGroup: boolean}|null}
+ *   Target, null when the id is unknown or the group has no members
+ *
+ * @example
+ * resolveTarget(group.id, devices, groups);
+ * // Returns: { id, name: 'Floor washes', selector: ':is(#wash-1, #wash-2)', controls: [...], devices: [...], isGroup: true }
+ */
+export function resolveTarget(id, devices, groups = []) {
+	if (!id) return null;
+
+	const device = devices.find(d => d.id === id);
+	if (device) {
+		const deviceType = DEVICE_TYPES[device.type];
+		if (!deviceType) return null;
+
+		return {
+			id,
+			name: device.name,
+			selector: `#${device.cssIdentifier}`,
+			controls: deviceType.controls,
+			devices: [device],
+			isGroup: false
+		};
+	}
+
+	const group = groups.find(g => g.id === id);
+	if (!group) return null;
+
+	const members = getGroupDevices(group, devices);
+	if (members.length === 0) return null;
+
+	return {
+		id,
+		name: group.name,
+		selector: `:is(${members.map(member => `#${member.cssIdentifier}`).join(', ')})`,
+		controls: getDevicesControls(members),
+		devices: members,
+		isGroup: true
+	};
+}
+
+/**
+ * Get the groups that can be the output of a trigger or scene
+ * @param {Array} groups - All groups
+ * @param {Array} devices - All devices
+ * @returns {Array} Groups with at least one member that has DMX channels
+ */
+export function getOutputGroups(groups, devices) {
+	return groups.filter(group => getGroupDevices(group, devices).some(device => DEVICE_TYPES[device.type].channels > 0));
+}
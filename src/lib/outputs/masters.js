@@ -0,0 +1,171 @@
+/**
+ * Masters
+ *
+ * The grand master, blackout and submasters scale the sampled control values
+ * after CSS sampling, right before they are converted to DMX.
+ *
+ * Every master is also a CSS custom property on the `.dmx-masters` element
+ * in the sampler container, so triggers and custom CSS can drive them:
+ *
+ *   .dmx-masters { --grand-master: 50%; }
+ *   .my-button-down .dmx-masters { --blackout: on; }
+ *
+ * The grand master and blackout scale light intensity: the dimmer when a
+ * device has one, otherwise its color channels. Flame and safety channels
+ * are never scaled, so a blackout can't arm or fire anything.
+ */
+
+// Class of the element in the sampler container that carries the master properties
+export const MASTERS_CLASS = 'dmx-masters';
+
+// Output id used by value triggers that target a master instead of a device
+export const MASTERS_OUTPUT_ID = 'masters';
+
+/**
+ * Master faders
+ * controlTypes lists the control type ids a submaster scales, the grand master scales intensity
+ */
+export const MASTERS = [
+	{ id: 'grand', label: 'Grand master', cssProperty: '--grand-master', controlTypes: null },
+	{ id: 'dimmer', label: 'Dimmer', cssProperty: '--master-dimmer', controlTypes: ['dimmer'] },
+	{ id: 'color', label: 'Color', cssProperty: '--master-color', controlTypes: ['color', 'white', 'amber'] },
+	{ id: 'strobe', label: 'Strobe', cssProperty: '--master-strobe', controlTypes: ['strobe'] },
+	{ id: 'smoke', label: 'Smoke', cssProperty: '--master-smoke', controlTypes: ['smoke'] }
+];
+
+export const BLACKOUT = { id: 'blackout', label: 'Blackout', cssProperty: '--blackout' };
+
+// Control types that carry light intensity on devices without a dimmer
+const COLOR_CONTROL_TYPES = ['color', 'white', 'amber'];
+
+// Control types that are never scaled by any master
+const EXEMPT_CONTROL_TYPES = ['flame', 'safety'];
+
+/**
+ * Create master levels with every fader at full and blackout off
+ * @returns {{grand: number, dimmer: number, color: number, strobe: number, smoke: number, blackout: boolean}}
+ */
+export function createDefaultLevels() {
+	const levels = { blackout: false };
+	for (const master of MASTERS) {
+		levels[master.id] = 1;
+	}
+	return levels;
+}
+
+/**
+ * Read master levels from the computed style of the masters element
+ * @param {CSSStyleDeclaration} computed - Computed style from getComputedStyle()
+ * @returns {Object} Master levels (0-1) and blackout state
+ */
+export function parseMasterLevels(computed) {
+	const levels = createDefaultLevels();
+
+	for (const master of MASTERS) {
+		const match = computed.getPropertyValue(master.cssProperty).match(/(-?\d+(?:\.\d+)?)/);
+		if (match) {
+			levels[master.id] = Math.max(0, Math.min(1, parseFloat(match[1]) / 100));
+		}
+	}
+
+	levels.blackout = computed.getPropertyValue(BLACKOUT.cssProperty).trim() === 'on';
+
+	return levels;
+}
+
+/**
+ * Combine two sets of master levels, e.g. the faders in the UI and the levels set by triggers
+ * Levels are multiplied, blackout is active when either one is active
+ * @param {Object} a - Master levels
+ * @param {Object} b - Master levels
+ * @returns {Object} Combined master levels
+ */
+export function combineMasterLevels(a, b) {
+	const levels = { blackout: a.blackout || b.blackout };
+	for (const master of MASTERS) {
+		levels[master.id] = a[master.id] * b[master.id];
+	}
+	return levels;
+}
+
+/**
+ * Apply master levels to the control values of a device
+ *
+ * @param {DeviceType} deviceType - Device type definition (class instance)
+ * @param {Object} controlValues - Control values object, as sampled from CSS
+ * @param {Object} levels - Master levels
+ * @returns {Object} New control values object with the masters applied
+ *
+ * @example
+ * const levels = { ...createDefaultLevels(), grand: 0.5 };
+ * applyMasters(DEVICE_TYPES.RGB, { color: { red: 255, green: 0, blue: 0 } }, levels);
+ * // Returns: { color: { red: 128, green: 0, blue: 0 } }
+ */
+export function applyMasters(deviceType, controlValues, levels) {
+	const intensity = levels.blackout ? 0 : levels.grand;
+
+	const intensityControlTypes = getIntensityControlTypes(deviceType);
+
+	const result = { ...controlValues };
+
+	for (const controlDef of deviceType.controls) {
+		const value = result[controlDef.id];
+		if (value === undefined) continue;
+
+		const typeId = controlDef.type.id;
+		if (EXEMPT_CONTROL_TYPES.includes(typeId)) continue;
+
+		const submaster = MASTERS.find(m => m.controlTypes?.includes(typeId));
+		let level = submaster ? levels[submaster.id] : 1;
+
+		if (intensityControlTypes.includes(typeId)) {
+			level *= intensity;
+		}
+
+		if (level < 1) {
+			result[controlDef.id] = scaleValue(value, level);
+		}
+	}
+
+	// Cells of pixel devices are scaled like the device itself
+	if (Array.isArray(controlValues.pixels)) {
+		result.pixels = controlValues.pixels.map(pixelValues => applyMasters(deviceType, pixelValues, levels));
+	}
+
+	return result;
+}
+
+/**
+ * Get the control types that carry the light intensity of a device type
+ * The dimmer when there is one, so intensity isn't scaled twice, otherwise the color channels
+ * @param {DeviceType} deviceType - Device type definition (class instance)
+ * @returns {Array<string>} Control type ids
+ */
+export function getIntensityControlTypes(deviceType) {
+	const hasDimmer = deviceType.controls.some(c => c.type.id === 'dimmer');
+	if (hasDimmer) return ['dimmer'];
+
+	return COLOR_CONTROL_TYPES.filter(typeId => deviceType.controls.some(c => c.type.id === typeId));
+}
+
+/**
+ * Scale a control value, or every component of a multi-value control
+ *
+ * @param {number|Object} value - Control value
+ * @param {number} level - Level (0-1)
+ * @returns {number|Object} Scaled value
+ *
+ * @example
+ * scaleValue({ r: 255, g: 128, b: 0 }, 0.5); // Returns: { r: 128, g: 64, b: 0 }
+ */
+export function scaleValue(value, level) {
+	if (typeof value === 'number') {
+		return Math.round(value * level);
+	}
+
+	const scaled = {};
+	for (const [key, component] of Object.entries(value)) {
+		scaled[key] = typeof component === 'number' ? Math.round(component * level) : component;
+	}
+	return scaled;
+}
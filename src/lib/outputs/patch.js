@@ -0,0 +1,375 @@
+/**
+ * Device Patch
+ *
+ * Per-device output options, applied when control values are converted to DMX
+ * (after the masters). They describe how a fixture is hung, so CSS, animations
+ * and scenes don't need to know about it:
+ *
+ *   1. Color calibration, so fixtures of different brands render a color the same
+ *   2. White and amber extraction from the color, for RGBW and RGBA fixtures
+ *   3. Swap pan and tilt
+ *   4. Invert pan and/or tilt
+ *   5. Dimmer response curve
+ *   6. Min/max limits per control value, e.g. so a mover never points at the audience
+ *
+ * Structure (device.patch):
+ * {
+ *   invertPan: boolean,
+ *   invertTilt: boolean,
+ *   swapPanTilt: boolean,
+ *   dimmerCurve: 'linear' | 'square' | 's-curve',
+ *   calibration: {
+ *     matrix: [[rr, rg, rb], [gr, gg, gb], [br, bg, bb]], // color correction, one row per output component
+ *     gain: { red, green, blue },                     // white balance, after the matrix
+ *     extractWhite: boolean                           // move the common part of the color to white/amber
+ *   },
+ *   limits: {                                        // 0-1 of the control range
+ *     [controlId]: { min, max },                     // single value controls
+ *     [controlId]: { pan: { min, max }, tilt: { min, max } }  // pan/tilt controls
+ *   }
+ * }
+ */
+
+import { getIntensityControlTypes } from './masters.js';
+
+/**
+ * Dimmer response curves
+ * apply maps a normalized level (0-1) to a normalized output level
+ */
+export const DIMMER_CURVES = [
+	{ id: 'linear', label: 'Linear', apply: (x) => x },
+	{ id: 'square', label: 'Square law', apply: (x) => x * x },
+	{ id: 's-curve', label: 'S-curve', apply: (x) => x * x * (3 - 2 * x) }
+];
+
+// Color of the amber emitter, as green per red
+const AMBER_GREEN_RATIO = 0.75;
+
+/**
+ * Create a calibration that doesn't change the color
+ * @returns {Object} Calibration
+ */
+export function createDefaultCalibration() {
+	return {
+		matrix: [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+		gain: { red: 1, green: 1, blue: 1 },
+		extractWhite: false
+	};
+}
+
+/**
+ * Check whether a calibration changes the color
+ * The matrix and gain are checked, white extraction is a separate option
+ * @param {Object} [calibration] - Calibration
+ * @returns {boolean} True when the color is corrected
+ */
+export function isColorCorrected(calibration) {
+	if (!calibration) return false;
+
+	const identity = createDefaultCalibration();
+	const matrixChanged = identity.matrix.some((row, i) => row.some((value, j) => calibration.matrix?.[i]?.[j] !== value));
+	const gainChanged = Object.entries(identity.gain).some(([key, value]) => calibration.gain?.[key] !== value);
+
+	return matrixChanged || gainChanged;
+}
+
+/**
+ * Create a patch that doesn't change the output
+ * @returns {Object} Patch
+ */
+export function createDefaultPatch() {
+	return {
+		invertPan: false,
+		invertTilt: false,
+		swapPanTilt: false,
+		dimmerCurve: 'linear',
+		calibration: createDefaultCalibration(),
+		limits: {}
+	};
+}
+
+/**
+ * Copy a patch, filling in defaults for missing options
+ * @param {Object} [patch] - Patch, e.g. from storage
+ * @returns {Object} Patch
+ */
+export function copyPatch(patch) {
+	const limits = {};
+	for (const [controlId, limit] of Object.entries(patch?.limits || {})) {
+		limits[controlId] = 'min' in limit
+			? { min: limit.min, max: limit.max }
+			: Object.fromEntries(Object.entries(limit).map(([key, range]) => [key, { min: range.min, max: range.max }]));
+	}
+
+	const defaults = createDefaultCalibration();
+	const calibration = {
+		matrix: defaults.matrix.map((row, i) => row.map((value, j) => patch?.calibration?.matrix?.[i]?.[j] ?? value)),
+		gain: { ...defaults.gain, ...patch?.calibration?.gain },
+		extractWhite: patch?.calibration?.extractWhite ?? defaults.extractWhite
+	};
+
+	return {
+		...createDefaultPatch(),
+		...patch,
+		calibration,
+		limits
+	};
+}
+
+/**
+ * Get the values of a device type that can be limited
+ * Single value controls have one value, pan/tilt controls have pan and tilt
+ *
+ * @param {DeviceType} deviceType - Device type definition (class instance)
+ * @returns {Array<{controlId: string, component: string|null, label: string}>}
+ */
+export function getLimitableValues(deviceType) {
+	const values = [];
+
+	for (const controlDef of deviceType.controls) {
+		const type = controlDef.type.type;
+
+		if (type === 'slider') {
+			values.push({ controlId: controlDef.id, component: null, label: controlDef.type.name });
+		} else if (type === 'xypad' || type === 'xypad16') {
+			values.push({ controlId: controlDef.id, component: 'pan', label: 'Pan' });
+			values.push({ controlId: controlDef.id, component: 'tilt', label: 'Tilt' });
+		}
+	}
+
+	return values;
+}
+
+/**
+ * Get the limit of a control value
+ * @param {Object} patch - Patch
+ * @param {string} controlId - Control id
+ * @param {string|null} component - 'pan' or 'tilt' for pan/tilt controls
+ * @returns {{min: number, max: number}} Limit (0-1), the full range when not limited
+ */
+export function getLimit(patch, controlId, component = null) {
+	const limit = component ? patch?.limits?.[controlId]?.[component] : patch?.limits?.[controlId];
+	return { min: limit?.min ?? 0, max: limit?.max ?? 1 };
+}
+
+/**
+ * Describe how a patch changes the output of a device type
+ * @param {DeviceType} deviceType - Device type definition (class instance)
+ * @param {Object} patch - Patch
+ * @returns {Array<string>} Descriptions, empty when the output isn't changed
+ *
+ * @example
+ * describePatch(DEVICE_TYPES['moving-head'], { ...createDefaultPatch(), invertPan: true });
+ * // Returns: ['Pan inverted']
+ */
+export function describePatch(deviceType, patch) {
+	if (!patch) return [];
+
+	const descriptions = [];
+
+	const hasPanTilt = deviceType.controls.some(c => c.type.type === 'xypad' || c.type.type === 'xypad16');
+	if (hasPanTilt) {
+		if (patch.swapPanTilt) descriptions.push('Pan and tilt swapped');
+		if (patch.invertPan) descriptions.push('Pan inverted');
+		if (patch.invertTilt) descriptions.push('Tilt inverted');
+	}
+
+	const hasColor = deviceType.controls.some(c => c.type.type === 'rgb');
+	if (hasColor && isColorCorrected(patch.calibration)) {
+		descriptions.push('Color calibrated');
+	}
+
+	const extractionTargets = _getExtractionTargets(deviceType);
+	if (hasColor && patch.calibration?.extractWhite && extractionTargets.length > 0) {
+		descriptions.push(extractionTargets.length > 1
+			? 'White and amber extracted from color'
+			: `${extractionTargets[0].type.name} extracted from color`);
+	}
+
+	const curve = DIMMER_CURVES.find(c => c.id === patch.dimmerCurve);
+	if (curve && curve.id !== 'linear' && getIntensityControlTypes(deviceType).length > 0) {
+		descriptions.push(`${curve.label} dimmer curve`);
+	}
+
+	for (const { controlId, component, label } of getLimitableValues(deviceType)) {
+		const { min, max } = getLimit(patch, controlId, component);
+		if (min > 0 || max < 1) {
+			descriptions.push(`${label} limited to ${Math.round(min * 100)}-${Math.round(max * 100)}%`);
+		}
+	}
+
+	return descriptions;
+}
+
+/**
+ * Apply a patch to the control values of a device
+ *
+ * @param {DeviceType} deviceType - Device type definition (class instance)
+ * @param {Object} controlValues - Control values object
+ * @param {Object} [patch] - Patch, nothing changes without one
+ * @returns {Object} New control values object with the patch applied
+ *
+ * @example
+ * const patch = { ...createDefaultPatch(), invertPan: true, limits: { pantilt: { tilt: { min: 0, max: 0.5 } } } };
+ * applyPatch(DEVICE_TYPES['moving-head'], { pantilt: { pan: 55, tilt: 255 } }, patch);
+ * // Returns: { pantilt: { pan: 200, tilt: 128 } }
+ */
+export function applyPatch(deviceType, controlValues, patch) {
+	if (!patch) return controlValues;
+
+	const curve = DIMMER_CURVES.find(c => c.id === patch.dimmerCurve) || DIMMER_CURVES[0];
+	const curveControlTypes = curve.id === 'linear' ? [] : getIntensityControlTypes(deviceType);
+
+	const result = { ...controlValues };
+
+	if (patch.calibration) {
+		_calibrate(deviceType, result, patch.calibration);
+	}
+
+	for (const controlDef of deviceType.controls) {
+		const value = result[controlDef.id];
+		if (value === undefined || value === null) continue;
+
+		const type = controlDef.type.type;
+
+		if (type === 'xypad' || type === 'xypad16') {
+			const max = _getMax(controlDef.type);
+			let pan = patch.swapPanTilt ? value.tilt : value.pan;
+			let tilt = patch.swapPanTilt ? value.pan : value.tilt;
+
+			if (patch.invertPan) pan = max - pan;
+			if (patch.invertTilt) tilt = max - tilt;
+
+			result[controlDef.id] = {
+				...value,
+				pan: _limit(pan, getLimit(patch, controlDef.id, 'pan'), max),
+				tilt: _limit(tilt, getLimit(patch, controlDef.id, 'tilt'), max)
+			};
+		} else if (type === 'slider') {
+			const max = _getMax(controlDef.type);
+			const level = curveControlTypes.includes(controlDef.type.id)
+				? curve.apply(value / max) * max
+				: value;
+
+			result[controlDef.id] = _limit(level, getLimit(patch, controlDef.id), max);
+		} else if (type === 'rgb' && curveControlTypes.includes(controlDef.type.id)) {
+			const scaled = {};
+			for (const [key, component] of Object.entries(value)) {
+				scaled[key] = typeof component === 'number' ? Math.round(curve.apply(component / 255) * 255) : component;
+			}
+			result[controlDef.id] = scaled;
+		}
+	}
+
+	// Cells of pixel devices are patched like the device itself
+	if (Array.isArray(controlValues.pixels)) {
+		result.pixels = controlValues.pixels.map(pixelValues => applyPatch(deviceType, pixelValues, patch));
+	}
+
+	return result;
+}
+
+/**
+ * Get the color of a device as it is emitted, for previews
+ * White and amber are mixed back into the color, so fixtures with and without
+ * white extraction can be compared
+ *
+ * @param {DeviceType} deviceType - Device type definition (class instance)
+ * @param {Object} controlValues - Control values object, after applyPatch()
+ * @returns {{red: number, green: number, blue: number}|null} Color, null when the device has no color control
+ */
+export function getEmittedColor(deviceType, controlValues) {
+	const colorControl = deviceType.controls.find(c => c.type.type === 'rgb');
+	if (!colorControl) return null;
+
+	const color = controlValues[colorControl.id] ?? colorControl.type.defaultValue;
+	let red = color.red ?? 0;
+	let green = color.green ?? 0;
+	let blue = color.blue ?? 0;
+
+	for (const controlDef of _getExtractionTargets(deviceType)) {
+		const level = controlValues[controlDef.id] ?? 0;
+		red += level;
+		green += controlDef.type.id === 'amber' ? level * AMBER_GREEN_RATIO : level;
+		blue += controlDef.type.id === 'amber' ? 0 : level;
+	}
+
+	return {
+		red: Math.round(Math.min(255, red)),
+		green: Math.round(Math.min(255, green)),
+		blue: Math.round(Math.min(255, blue))
+	};
+}
+
+/**
+ * Apply the color calibration to the color controls, in place
+ * The matrix and gain correct the color, then white and amber are extracted from it:
+ * white takes the part that red, green and blue have in common, amber the part red and green have left
+ * @private
+ */
+function _calibrate(deviceType, values, calibration) {
+	const colorControls = deviceType.controls.filter(c => c.type.type === 'rgb');
+	const corrected = isColorCorrected(calibration);
+	const targets = calibration.extractWhite ? _getExtractionTargets(deviceType) : [];
+
+	for (const colorControl of colorControls) {
+		const color = values[colorControl.id];
+		if (!color) continue;
+
+		let rgb = [color.red ?? 0, color.green ?? 0, color.blue ?? 0];
+
+		if (corrected) {
+			const gain = [calibration.gain.red, calibration.gain.green, calibration.gain.blue];
+			rgb = calibration.matrix.map((row, i) => _clamp((row[0] * rgb[0] + row[1] * rgb[1] + row[2] * rgb[2]) * gain[i]));
+		}
+
+		for (const target of targets) {
+			let level;
+			if (target.type.id === 'white') {
+				level = Math.min(rgb[0], rgb[1], rgb[2]);
+				rgb = rgb.map(component => component - level);
+			} else {
+				level = Math.min(rgb[0], rgb[1] / AMBER_GREEN_RATIO);
+				rgb = [rgb[0] - level, rgb[1] - level * AMBER_GREEN_RATIO, rgb[2]];
+			}
+			values[target.id] = _clamp((values[target.id] ?? 0) + level);
+		}
+
+		values[colorControl.id] = { ...color, red: _clamp(rgb[0]), green: _clamp(rgb[1]), blue: _clamp(rgb[2]) };
+	}
+}
+
+/**
+ * White and amber controls of a device type, white first
+ * @private
+ */
+function _getExtractionTargets(deviceType) {
+	return ['white', 'amber']
+		.map(typeId => deviceType.controls.find(c => c.type.id === typeId))
+		.filter(Boolean);
+}
+
+/**
+ * Round and clamp a color component to 0-255
+ * @private
+ */
+function _clamp(value) {
+	return Math.round(Math.max(0, Math.min(255, value)));
+}
+
+/**
+ * Highest DMX value of a control type, 65535 for 16-bit pan/tilt
+ * @private
+ */
+function _getMax(controlType) {
+	const meta = controlType.getValueMetadata?.();
+	return (meta?.values?.[0] || meta)?.dmxMax ?? 255;
+}
+
+/**
+ * Clamp a value to a limit (0-1 of the range)
+ * @private
+ */
+function _limit(value, limit, max) {
+	return Math.round(Math.max(limit.min * max, Math.min(limit.max * max, value)));
+}
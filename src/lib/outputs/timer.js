@@ -0,0 +1,170 @@
+/**
+ * Output Timer
+ *
+ * Drop-in replacement for setInterval() and setTimeout() for DMX output.
+ * Browsers throttle timers and stop requestAnimationFrame when a tab is in
+ * the background, which would freeze the fixtures mid-show. Timers that run
+ * in a dedicated worker keep firing, so output keeps a steady clock.
+ *
+ * Falls back to regular timers when workers are not available.
+ */
+
+export class OutputTimer {
+	constructor() {
+		this.worker = null;
+		this.mode = null; // 'worker' or 'timer', decided on first use
+		this.nextId = 1;
+		this.timers = new Map(); // id -> { callback, interval, delay, handle }
+	}
+
+	/**
+	 * Call a function repeatedly
+	 * @param {Function} callback
+	 * @param {number} interval - Interval in milliseconds
+	 * @returns {number} Timer id for clearInterval()
+	 */
+	setInterval(callback, interval) {
+		const id = this.nextId++;
+		this.timers.set(id, { callback, interval, delay: null, handle: null });
+		this._start(id);
+		return id;
+	}
+
+	/**
+	 * Stop a repeating timer
+	 * @param {number} id - Timer id returned by setInterval()
+	 */
+	clearInterval(id) {
+		this._stop(id);
+	}
+
+	/**
+	 * Call a function once after a delay
+	 * @param {Function} callback
+	 * @param {number} delay - Delay in milliseconds
+	 * @returns {number} Timer id for clearTimeout()
+	 */
+	setTimeout(callback, delay) {
+		const id = this.nextId++;
+		this.timers.set(id, { callback, interval: null, delay, handle: null });
+		this._start(id);
+		return id;
+	}
+
+	/**
+	 * Cancel a one-shot timer
+	 * @param {number} id - Timer id returned by setTimeout()
+	 */
+	clearTimeout(id) {
+		this._stop(id);
+	}
+
+	/**
+	 * Wait for a delay
+	 * @param {number} delay - Delay in milliseconds
+	 * @returns {Promise<void>}
+	 */
+	sleep(delay) {
+		return new Promise(resolve => this.setTimeout(resolve, delay));
+	}
+
+	/**
+	 * Start the worker, or fall back to regular timers
+	 * @private
+	 */
+	_initialize() {
+		if (this.mode) return;
+
+		try {
+			if (typeof Worker === 'undefined') {
+				throw new Error('Workers are not supported');
+			}
+
+			this.worker = new Worker(new URL('./timer.worker.js', import.meta.url), { type: 'module' });
+			this.worker.onmessage = (event) => this._fire(event.data.id);
+			this.worker.onerror = (event) => {
+				console.warn('Output timer worker failed, falling back to regular timers:', event.message);
+				this._fallback();
+			};
+			this.mode = 'worker';
+		} catch (error) {
+			console.warn('Output timer worker not available, using regular timers:', error.message);
+			this.mode = 'timer';
+		}
+	}
+
+	/**
+	 * Move all running timers from the worker to regular timers
+	 * @private
+	 */
+	_fallback() {
+		this.worker?.terminate();
+		this.worker = null;
+		this.mode = 'timer';
+
+		for (const id of this.timers.keys()) {
+			this._start(id);
+		}
+	}
+
+	/**
+	 * @param {number} id
+	 * @private
+	 */
+	_start(id) {
+		this._initialize();
+
+		const timer = this.timers.get(id);
+
+		if (this.mode === 'worker') {
+			if (timer.interval !== null) {
+				this.worker.postMessage({ type: 'start', id, interval: timer.interval });
+			} else {
+				this.worker.postMessage({ type: 'timeout', id, delay: timer.delay });
+			}
+			return;
+		}
+
+		if (timer.interval !== null) {
+			timer.handle = setInterval(() => this._fire(id), timer.interval);
+		} else {
+			timer.handle = setTimeout(() => this._fire(id), timer.delay);
+		}
+	}
+
+	/**
+	 * @param {number} id
+	 * @private
+	 */
+	_stop(id) {
+		const timer = this.timers.get(id);
+		if (!timer) return;
+
+		this.timers.delete(id);
+
+		if (this.mode === 'worker') {
+			this.worker.postMessage({ type: 'stop', id });
+		} else {
+			clearInterval(timer.handle);
+			clearTimeout(timer.handle);
+		}
+	}
+
+	/**
+	 * @param {number} id
+	 * @private
+	 */
+	_fire(id) {
+		const timer = this.timers.get(id);
+		if (!timer) return;
+
+		if (timer.interval === null) {
+			this.timers.delete(id);
+		}
+
+		timer.callback();
+	}
+}
+
+// Shared timer for all DMX output
+export const outputTimer = new OutputTimer();
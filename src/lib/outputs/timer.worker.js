@@ -0,0 +1,39 @@
+/**
+ * Output Timer Worker
+ *
+ * Timers in a dedicated worker are not throttled when the tab is in the
+ * background, so they keep DMX output running at a steady rate.
+ *
+ * Messages in:
+ *   { type: 'start', id, interval } - Start a repeating timer
+ *   { type: 'stop', id }            - Stop a repeating timer
+ *   { type: 'timeout', id, delay }  - Start a one-shot timer
+ *
+ * Messages out:
+ *   { id } - A timer fired
+ */
+
+const timers = new Map(); // id -> interval or timeout handle
+
+self.onmessage = (event) => {
+	const { type, id, interval, delay } = event.data;
+
+	switch (type) {
+		case 'start':
+			clearInterval(timers.get(id));
+			timers.set(id, setInterval(() => self.postMessage({ id }), interval));
+			break;
+
+		case 'stop':
+			clearInterval(timers.get(id));
+			timers.delete(id);
+			break;
+
+		case 'timeout':
+			timers.set(id, setTimeout(() => {
+				timers.delete(id);
+				self.postMessage({ id });
+			}, delay));
+			break;
+	}
+};
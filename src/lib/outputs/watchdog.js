@@ -0,0 +1,60 @@
+/**
+ * Frame Watchdog
+ *
+ * Watches a loop that should produce frames at a fixed interval, and
+ * reports frames that were dropped because the loop fired late.
+ */
+
+import { EventEmitter } from '../EventEmitter.js';
+
+export class FrameWatchdog extends EventEmitter {
+	/**
+	 * @param {number} interval - Expected interval between frames in milliseconds
+	 * @param {number} [tolerance=1.5] - A gap longer than interval × tolerance counts as dropped frames
+	 */
+	constructor(interval, tolerance = 1.5) {
+		super();
+		this.interval = interval;
+		this.tolerance = tolerance;
+		this.lastTime = null;
+		this.stats = { frames: 0, dropped: 0, lastGap: 0, maxGap: 0 };
+	}
+
+	/**
+	 * Record a produced frame
+	 * Emits 'dropped' with { count, gap } when frames were missed since the last one
+	 * @param {number} [time] - Frame time, defaults to now
+	 */
+	tick(time = performance.now()) {
+		this.stats.frames++;
+
+		if (this.lastTime !== null) {
+			const gap = time - this.lastTime;
+			this.stats.lastGap = gap;
+			this.stats.maxGap = Math.max(this.stats.maxGap, gap);
+
+			if (gap > this.interval * this.tolerance) {
+				const count = Math.round(gap / this.interval) - 1;
+				this.stats.dropped += count;
+				this._emit('dropped', { count, gap });
+			}
+		}
+
+		this.lastTime = time;
+	}
+
+	/**
+	 * Forget the last frame, so a pause isn't reported as dropped frames
+	 */
+	pause() {
+		this.lastTime = null;
+	}
+
+	/**
+	 * Reset all statistics
+	 */
+	reset() {
+		this.lastTime = null;
+		this.stats = { frames: 0, dropped: 0, lastGap: 0, maxGap: 0 };
+	}
+}
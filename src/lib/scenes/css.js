@@ -0,0 +1,60 @@
+/**
+ * CSS of Scene Animations
+ *
+ * The animation entries of a scene become one `animation` list per device or
+ * group. Device and group rules have the same specificity, so for a device
+ * that is in more than one of them the rule that comes last wins. Rules come
+ * in the order of the first entry of every device or group.
+ */
+
+import { resolveTarget } from '../outputs/groups.js';
+
+/**
+ * Format an animation entry of a scene as an entry of a CSS `animation` list
+ *
+ * @param {Object} entry - Animation entry of a scene
+ * @param {Object} animationLibrary - AnimationLibrary instance
+ * @returns {string} Animation list entry
+ *
+ * @example
+ * formatAnimationEntry({ type: 'animation', animation: { id: 'a1', duration: 2000, easing: 'linear', iterations: 'infinite' } }, animationLibrary);
+ * // Returns: 'rainbow 2.000s linear infinite'
+ */
+export function formatAnimationEntry(entry, animationLibrary) {
+	const anim = entry.animation;
+	const animation = animationLibrary?.get(anim.id);
+	const animName = animation?.cssIdentifier || anim.id;
+	const iterVal = anim.iterations === 'infinite' ? 'infinite' : anim.iterations;
+	const durSec = (anim.duration / 1000).toFixed(3);
+
+	return `${animName} ${durSec}s ${anim.easing} ${iterVal}`;
+}
+
+/**
+ * Get the animations a scene runs on a device
+ *
+ * @param {Object} scene - Scene from the SceneLibrary
+ * @param {Object} device - Device
+ * @param {Array} devices - All devices
+ * @param {Array} groups - All device groups, for entries that target a group
+ * @param {Object} animationLibrary - AnimationLibrary instance
+ * @returns {Array<string>} Animation list entries of the rule that wins for the device, empty without animations
+ */
+export function getSceneAnimations(scene, device, devices, groups, animationLibrary) {
+	const targetIds = [...new Set(scene.devices.map(entry => entry.deviceId))];
+	let result = [];
+
+	for (const targetId of targetIds) {
+		const target = resolveTarget(targetId, devices, groups);
+		if (!target?.devices.some(d => d.id === device.id)) continue;
+
+		const animationEntries = scene.devices.filter(entry =>
+			entry.deviceId === targetId && entry.type === 'animation' && entry.animation?.id
+		);
+		if (animationEntries.length > 0) {
+			result = animationEntries.map(entry => formatAnimationEntry(entry, animationLibrary));
+		}
+	}
+
+	return result;
+}
@@ -0,0 +1,113 @@
+/**
+ * Scene Crossfades
+ *
+ * During a crossfade both scenes are sampled: the outgoing scene in a copy of
+ * the sampler container, the incoming scene in the container itself. The
+ * sampled control values are blended by the progress of the fade, so scenes
+ * that run animations keep moving while they fade.
+ *
+ * Continuous controls (sliders, colors, pan/tilt) are interpolated. Slots and
+ * toggles can't be in between two values, they switch to the incoming scene
+ * at the start of the fade: a gobo or color wheel moves while the light fades,
+ * and a safety channel is never held in an intermediate state. Flame is a
+ * slider, but switches too, like it is exempt from the masters: a flame
+ * machine never burns at a height that neither scene asked for.
+ */
+
+import { DEVICE_TYPES } from '../outputs/devices.js';
+
+// Control types that switch at the start of a fade instead of being interpolated
+const SNAP_CONTROL_TYPES = ['slots', 'toggle'];
+
+// Controls that switch at the start of a fade, although their type is interpolated
+const SNAP_CONTROLS = ['flame'];
+
+/**
+ * Blend the sampled values of all devices
+ *
+ * @param {Array} devices - All devices
+ * @param {Map} from - Sampled values of the outgoing scene, deviceId -> control values
+ * @param {Map} to - Sampled values of the incoming scene, deviceId -> control values
+ * @param {number} progress - Progress of the fade (0-1)
+ * @returns {Map} Blended values, deviceId -> control values
+ */
+export function blendSampledValues(devices, from, to, progress) {
+	const results = new Map();
+
+	for (const device of devices) {
+		const toValues = to.get(device.id);
+		if (!toValues) continue;
+
+		const fromValues = from.get(device.id);
+		const deviceType = DEVICE_TYPES[device.type];
+		if (!fromValues || !deviceType) {
+			results.set(device.id, toValues);
+			continue;
+		}
+
+		const blended = blendControlValues(deviceType.controls, fromValues, toValues, progress);
+
+		// Cells of pixel devices fade like devices
+		if (toValues.pixels) {
+			blended.pixels = toValues.pixels.map((cell, index) => fromValues.pixels?.[index]
+				? blendControlValues(deviceType.controls, fromValues.pixels[index], cell, progress)
+				: cell
+			);
+		}
+
+		results.set(device.id, blended);
+	}
+
+	return results;
+}
+
+/**
+ * Blend the control values of one device
+ *
+ * @param {Array} controls - Controls of the device type
+ * @param {Object} from - Control values of the outgoing scene
+ * @param {Object} to - Control values of the incoming scene
+ * @param {number} progress - Progress of the fade (0-1)
+ * @returns {Object} Blended control values
+ *
+ * @example
+ * blendControlValues(controls, { dimmer: 0 }, { dimmer: 255 }, 0.5);
+ * // Returns: { dimmer: 128 }
+ */
+export function blendControlValues(controls, from, to, progress) {
+	const result = {};
+
+	for (const control of controls) {
+		const target = to[control.id];
+		if (target === undefined) continue;
+
+		const source = from[control.id];
+		if (source === undefined || SNAP_CONTROL_TYPES.includes(control.type.type) || SNAP_CONTROLS.includes(control.type.id)) {
+			result[control.id] = target;
+		} else {
+			result[control.id] = _blend(source, target, progress);
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Interpolate a number, or every number of a value with components
+ * @private
+ */
+function _blend(from, to, progress) {
+	if (typeof to === 'number' && typeof from === 'number') {
+		return Math.round(from + (to - from) * progress);
+	}
+
+	if (typeof to === 'object' && to !== null && typeof from === 'object' && from !== null) {
+		const result = {};
+		for (const [key, value] of Object.entries(to)) {
+			result[key] = from[key] === undefined ? value : _blend(from[key], value, progress);
+		}
+		return result;
+	}
+
+	return to;
+}
@@ -5,12 +5,16 @@
  * Priority levels (highest to lowest):
  *   1. Momentary (down/up triggers) - temporary, removed on release
  *   2. Toggle (on/off triggers) - persistent until toggled off
- *   3. Select (select buttons) - persistent until another select button pressed
- *   4. Default - always at the bottom
+ *   3. Cue (cue stack playback) - persistent until the cue stack is released
+ *   4. Select (select buttons) - persistent until another select button pressed
+ *   5. Default - always at the bottom
  *
  * Within each level, the most recently added entry wins.
  * When an entry is removed, the next entry at the same level takes over,
  * or falls to the next lower level.
+ *
+ * Scene changes crossfade with the fade time of the incoming scene. Triggers
+ * can change scenes with their own fade time instead.
  */
 
 export class SceneController {
@@ -20,22 +24,32 @@ export class SceneController {
 	// Priority stacks - arrays of { id, sceneId }, newest last
 	_momentaryStack = [];
 	_toggleStack = [];
+	_cueSceneId = null;
 	_selectSceneId = null;
 
 	constructor(sceneLibrary) {
 		this.sceneLibrary = sceneLibrary;
 		this.onSceneChange = null;
+		this.onCueRelease = null;
 	}
 
 	/**
 	 * Set callback for scene changes
-	 * @param {Function} callback - Called with (sceneCssIdentifier) when scene changes
+	 * @param {Function} callback - Called with (sceneCssIdentifier, fadeTime) when scene changes, fadeTime in ms
 	 */
 	setOnSceneChange(callback) {
 		this.onSceneChange = callback;
 		this._notifySceneChange();
 	}
 
+	/**
+	 * Set callback for releases of the cue level that the cue stack didn't ask for
+	 * @param {Function} callback - Called when the scene of the cue level is cleared
+	 */
+	setOnCueRelease(callback) {
+		this.onCueRelease = callback;
+	}
+
 	/**
 	 * Get the currently active scene ID
 	 * @returns {string} Active scene ID
@@ -56,12 +70,13 @@ export class SceneController {
 	 * Push a momentary scene override (highest priority)
 	 * @param {string} id - Unique identifier (input ID or trigger ID)
 	 * @param {string} sceneId - Scene ID to activate
+	 * @param {number|null} [fadeTime] - Fade time in ms, null for the fade time of the scene
 	 */
-	pushMomentaryScene(id, sceneId) {
+	pushMomentaryScene(id, sceneId, fadeTime = null) {
 		// Remove existing entry for this id (prevent duplicates)
 		this._momentaryStack = this._momentaryStack.filter(e => e.id !== id);
 		this._momentaryStack.push({ id, sceneId });
-		this._resolveActiveScene();
+		this._resolveActiveScene(fadeTime);
 	}
 
 	/**
@@ -77,11 +92,12 @@ export class SceneController {
 	 * Push a toggle scene override (medium priority)
 	 * @param {string} id - Unique identifier (input ID or trigger ID)
 	 * @param {string} sceneId - Scene ID to activate
+	 * @param {number|null} [fadeTime] - Fade time in ms, null for the fade time of the scene
 	 */
-	pushToggleScene(id, sceneId) {
+	pushToggleScene(id, sceneId, fadeTime = null) {
 		this._toggleStack = this._toggleStack.filter(e => e.id !== id);
 		this._toggleStack.push({ id, sceneId });
-		this._resolveActiveScene();
+		this._resolveActiveScene(fadeTime);
 	}
 
 	/**
@@ -93,13 +109,33 @@ export class SceneController {
 		this._resolveActiveScene();
 	}
 
+	/**
+	 * Set the scene of the cue stack (below toggles, above select buttons)
+	 * @param {string} sceneId - Scene ID to activate
+	 * @param {number|null} [fadeTime] - Fade time in ms, null for the fade time of the scene
+	 */
+	setCueScene(sceneId, fadeTime = null) {
+		this._cueSceneId = sceneId;
+		this._resolveActiveScene(fadeTime);
+	}
+
+	/**
+	 * Release the scene of the cue stack
+	 * @param {number|null} [fadeTime] - Fade time in ms, null for the fade time of the scene below
+	 */
+	releaseCueScene(fadeTime = null) {
+		this._cueSceneId = null;
+		this._resolveActiveScene(fadeTime);
+	}
+
 	/**
 	 * Set the select-level scene (low priority, persistent)
 	 * @param {string} sceneId - Scene ID to activate
+	 * @param {number|null} [fadeTime] - Fade time in ms, null for the fade time of the scene
 	 */
-	setSelectScene(sceneId) {
+	setSelectScene(sceneId, fadeTime = null) {
 		this._selectSceneId = sceneId;
-		this._resolveActiveScene();
+		this._resolveActiveScene(fadeTime);
 	}
 
 	/**
@@ -115,6 +151,7 @@ export class SceneController {
 		// Clear all stacks and set as select-level
 		this._momentaryStack = [];
 		this._toggleStack = [];
+		this._clearCueScene();
 		this._selectSceneId = sceneId;
 		this._resolveActiveScene();
 		return true;
@@ -126,21 +163,25 @@ export class SceneController {
 	resetToDefault() {
 		this._momentaryStack = [];
 		this._toggleStack = [];
+		this._clearCueScene();
 		this._selectSceneId = null;
 		this._resolveActiveScene();
 	}
 
 	/**
 	 * Resolve the active scene from the priority stack
+	 * @param {number|null} [fadeTime] - Fade time in ms, null for the fade time of the incoming scene
 	 * @private
 	 */
-	_resolveActiveScene() {
+	_resolveActiveScene(fadeTime = null) {
 		let sceneId;
 
 		if (this._momentaryStack.length > 0) {
 			sceneId = this._momentaryStack[this._momentaryStack.length - 1].sceneId;
 		} else if (this._toggleStack.length > 0) {
 			sceneId = this._toggleStack[this._toggleStack.length - 1].sceneId;
+		} else if (this._cueSceneId) {
+			sceneId = this._cueSceneId;
 		} else if (this._selectSceneId) {
 			sceneId = this._selectSceneId;
 		} else {
@@ -149,20 +190,21 @@ export class SceneController {
 
 		if (sceneId !== this.activeSceneId) {
 			this.activeSceneId = sceneId;
-			this._notifySceneChange();
+			this._notifySceneChange(fadeTime);
 		}
 	}
 
 	/**
 	 * Notify listener of scene change
+	 * @param {number|null} [fadeTime] - Fade time in ms, null for the fade time of the scene
 	 * @private
 	 */
-	_notifySceneChange() {
+	_notifySceneChange(fadeTime = 0) {
 		if (!this.onSceneChange) return;
 
 		const scene = this.sceneLibrary.get(this.activeSceneId);
 		const cssIdentifier = scene?.cssIdentifier || 'default';
-		this.onSceneChange(cssIdentifier);
+		this.onSceneChange(cssIdentifier, fadeTime ?? scene?.fade ?? 0);
 	}
 
 	/**
@@ -172,9 +214,23 @@ export class SceneController {
 	handleSceneDeleted(sceneId) {
 		this._momentaryStack = this._momentaryStack.filter(e => e.sceneId !== sceneId);
 		this._toggleStack = this._toggleStack.filter(e => e.sceneId !== sceneId);
+		if (this._cueSceneId === sceneId) {
+			this._clearCueScene();
+		}
 		if (this._selectSceneId === sceneId) {
 			this._selectSceneId = null;
 		}
 		this._resolveActiveScene();
 	}
+
+	/**
+	 * Clear the cue level and let the cue stack know
+	 * @private
+	 */
+	_clearCueScene() {
+		if (!this._cueSceneId) return;
+
+		this._cueSceneId = null;
+		this.onCueRelease?.();
+	}
 }
@@ -0,0 +1,150 @@
+/**
+ * Scene Playbacks
+ *
+ * Playbacks stack scenes on top of the output, each with its own master
+ * level. A playback only takes part for the devices and controls its scene
+ * sets, so a color scene on one fader and a movement scene on another can
+ * run the same fixtures.
+ *
+ * Intensity is merged highest takes precedence (HTP): the highest of the
+ * output and every playback, scaled by its level. Everything else is merged
+ * latest takes precedence (LTP): the playback raised last wins, and its level
+ * fades the control from the value below it. Slots and toggles switch as soon
+ * as the playback is raised, like they do in a crossfade.
+ */
+
+import { DEVICE_TYPES } from '../outputs/devices.js';
+import { getIntensityControlTypes, scaleValue } from '../outputs/masters.js';
+import { resolveTarget } from '../outputs/groups.js';
+import { blendControlValues } from './fade.js';
+
+/**
+ * Get the controls a scene sets on each device
+ * Values entries set the controls they have values for, animation entries the controls of the animation
+ *
+ * @param {Object} scene - Scene from the SceneLibrary
+ * @param {Array} devices - All devices
+ * @param {Array} groups - All device groups, for entries that target a group
+ * @param {Object} animationLibrary - AnimationLibrary instance
+ * @returns {Map} deviceId -> Set of control ids
+ */
+export function getSceneControls(scene, devices, groups, animationLibrary) {
+	const results = new Map();
+
+	for (const entry of scene.devices) {
+		const target = resolveTarget(entry.deviceId, devices, groups);
+		if (!target) continue;
+
+		const controlIds = entry.type === 'values'
+			? Object.keys(entry.values ?? {})
+			: animationLibrary?.get(entry.animation?.id)?.controls ?? [];
+
+		for (const device of target.devices) {
+			const deviceControls = DEVICE_TYPES[device.type]?.controls ?? [];
+			if (!results.has(device.id)) {
+				results.set(device.id, new Set());
+			}
+			for (const controlId of controlIds) {
+				if (deviceControls.some(c => c.id === controlId)) {
+					results.get(device.id).add(controlId);
+				}
+			}
+		}
+	}
+
+	return results;
+}
+
+/**
+ * Merge playbacks on top of the sampled values of all devices
+ *
+ * @param {Array} devices - All devices
+ * @param {Map} values - Sampled values of the output, deviceId -> control values
+ * @param {Array<{level: number, controls: Map, values: Map}>} playbacks - Raised playbacks, the one raised last at the end.
+ *   Level (0-1), controls from getSceneControls() and the sampled values of the scene
+ * @returns {Map} Merged values, deviceId -> control values
+ */
+export function mergePlaybacks(devices, values, playbacks) {
+	const results = new Map(values);
+
+	for (const device of devices) {
+		const deviceType = DEVICE_TYPES[device.type];
+		if (!deviceType || !values.has(device.id)) continue;
+
+		let merged = values.get(device.id);
+
+		for (const playback of playbacks) {
+			const controlIds = playback.controls.get(device.id);
+			const playbackValues = playback.values.get(device.id);
+			if (!controlIds?.size || !playbackValues) continue;
+
+			const result = mergeControlValues(deviceType, merged, playbackValues, controlIds, playback.level);
+
+			// Cells of pixel devices merge like devices
+			if (merged.pixels && playbackValues.pixels) {
+				result.pixels = merged.pixels.map((cell, index) => playbackValues.pixels[index]
+					? mergeControlValues(deviceType, cell, playbackValues.pixels[index], controlIds, playback.level)
+					: cell
+				);
+			}
+
+			merged = result;
+		}
+
+		results.set(device.id, merged);
+	}
+
+	return results;
+}
+
+/**
+ * Merge the control values of a playback on top of the control values below it
+ *
+ * @param {DeviceType} deviceType - Device type definition (class instance)
+ * @param {Object} below - Control values of the output and the playbacks raised before
+ * @param {Object} above - Control values of the playback
+ * @param {Set<string>} controlIds - Controls the scene of the playback sets
+ * @param {number} level - Level of the playback (0-1)
+ * @returns {Object} Merged control values
+ *
+ * @example
+ * mergeControlValues(DEVICE_TYPES.dimmer, { dimmer: 200 }, { dimmer: 255 }, new Set(['dimmer']), 0.5);
+ * // Returns: { dimmer: 200 }, the output is higher than the playback at half level
+ */
+export function mergeControlValues(deviceType, below, above, controlIds, level) {
+	const result = { ...below };
+	const intensityControlTypes = getIntensityControlTypes(deviceType);
+
+	for (const control of deviceType.controls) {
+		const value = above[control.id];
+		if (value === undefined || !controlIds.has(control.id)) continue;
+
+		if (intensityControlTypes.includes(control.type.id)) {
+			result[control.id] = _highest(below[control.id], scaleValue(value, level));
+		} else {
+			result[control.id] = blendControlValues([control], below, above, level)[control.id];
+		}
+	}
+
+	return result;
+}
+
+/**
+ * The highest of two numbers, or of every number of two values with components
+ * @private
+ */
+function _highest(a, b) {
+	if (typeof a === 'number' && typeof b === 'number') {
+		return Math.max(a, b);
+	}
+
+	if (typeof a === 'object' && a !== null && typeof b === 'object' && b !== null) {
+		const result = { ...a };
+		for (const [key, value] of Object.entries(b)) {
+			result[key] = a[key] === undefined ? value : _highest(a[key], value);
+		}
+		return result;
+	}
+
+	return b;
+}
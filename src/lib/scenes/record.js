@@ -0,0 +1,95 @@
+/**
+ * Recording Scenes
+ *
+ * Recording keeps a look that was busked live with faders and triggers: the
+ * values that are sampled from the CSS, what is actually being output, become
+ * the values of a scene. Masters are applied after sampling and are not
+ * recorded, neither are the cells of pixel devices.
+ */
+
+import { resolveTarget } from '../outputs/groups.js';
+
+/**
+ * Pick the sampled values to record into a scene
+ *
+ * @param {Array} devices - All devices
+ * @param {Map} sampledValues - Sampled values, deviceId -> control values, from CSSManager.getSampledValues()
+ * @param {Object} [options]
+ * @param {boolean} [options.changedOnly] - Only devices with values other than their default values
+ * @param {Array<string>} [options.deviceIds] - Only these devices
+ * @returns {Map} Values to record, deviceId -> control values
+ *
+ * @example
+ * getRecordedValues(devices, sampledValues, { changedOnly: true });
+ * // Returns: Map { 'wash-1' => { dimmer: 255, color: { r: 255, g: 0, b: 0 } } }
+ */
+export function getRecordedValues(devices, sampledValues, options = {}) {
+	const results = new Map();
+
+	for (const device of devices) {
+		if (options.deviceIds && !options.deviceIds.includes(device.id)) continue;
+
+		const sampled = sampledValues.get(device.id);
+		if (!sampled) continue;
+
+		const values = structuredClone(sampled);
+		delete values.pixels;
+		if (Object.keys(values).length === 0) continue;
+		if (options.changedOnly && _isEqual(values, device.defaultValues || {})) continue;
+
+		results.set(device.id, values);
+	}
+
+	return results;
+}
+
+/**
+ * Find the group entries of a scene that still override recorded devices
+ * Rules are generated in the order of the first entry of every device or group, so values of a group
+ * placed after the device win. Animations of a group win over the recorded values wherever they are.
+ *
+ * @param {Object} scene - Scene from the SceneLibrary, after recording
+ * @param {Array<string>} deviceIds - Recorded devices
+ * @param {Array} devices - All devices
+ * @param {Array} groups - All device groups
+ * @returns {Array<{name: string, devices: Array}>} Overriding groups, with the recorded devices they override
+ *
+ * @example
+ * getOverridingGroups(scene, ['wash-1'], devices, groups);
+ * // Returns: [{ name: 'Washes', devices: [{ id: 'wash-1', ... }] }]
+ */
+export function getOverridingGroups(scene, deviceIds, devices, groups) {
+	const results = [];
+	const order = [...new Set(scene.devices.map(entry => entry.deviceId))];
+
+	for (const [position, targetId] of order.entries()) {
+		const target = resolveTarget(targetId, devices, groups);
+		if (!target?.isGroup) continue;
+
+		const entries = scene.devices.filter(entry => entry.deviceId === targetId);
+		const animated = entries.some(entry => entry.type === 'animation' && entry.animation?.id);
+		const hasValues = entries.some(entry => entry.type === 'values' && Object.keys(entry.values ?? {}).length > 0);
+
+		const overridden = target.devices.filter(device =>
+			deviceIds.includes(device.id) && (animated || (hasValues && position > order.indexOf(device.id)))
+		);
+
+		if (overridden.length > 0) {
+			results.push({ name: target.name, devices: overridden });
+		}
+	}
+
+	return results;
+}
+
+/**
+ * Compare control values, numbers and values with components
+ * @private
+ */
+function _isEqual(a, b) {
+	if (typeof a !== 'object' || a === null || typeof b !== 'object' || b === null) {
+		return a === b;
+	}
+
+	return Object.keys(a).every(key => b[key] === undefined || _isEqual(a[key], b[key]));
+}
@@ -0,0 +1,175 @@
+/**
+ * ScheduleController
+ *
+ * Runs the events of the ScheduleLibrary when they are due. Scenes are set on
+ * the select level of the SceneController, so triggers and the cue list
+ * still play over a scheduled scene, and the next select button replaces it.
+ *
+ * When the app starts, the last scene and blackout events that were due are
+ * run once, so an installation that restarts shows what it should show now.
+ * Shows are not caught up, they start at their time.
+ *
+ * The clock is checked on the output timer, so events also happen while the
+ * tab is in the background.
+ */
+
+import { outputTimer } from '../outputs/timer.js';
+import { getNextOccurrence, getPreviousOccurrence } from './times.js';
+
+const STORAGE_KEY = 'dmx-schedule-location';
+
+// Interval of clock checks
+const TICK_INTERVAL = 1000;
+
+export class ScheduleController {
+	// Reactive state
+	location = $state(null); // { latitude, longitude } for sunrise and sunset
+	now = $state(Date.now()); // time of the last clock check in ms
+	lastRun = $state(null); // { event, time } of the last event that ran, time in ms
+
+	constructor(scheduleLibrary, sceneLibrary, sceneController, showController, masterController) {
+		this.scheduleLibrary = scheduleLibrary;
+		this.sceneLibrary = sceneLibrary;
+		this.sceneController = sceneController;
+		this.showController = showController;
+		this.masterController = masterController;
+
+		this._lastCheck = null;
+		this._timer = null;
+
+		this._tick = this._tick.bind(this);
+		this._load();
+	}
+
+	/**
+	 * Catch up with the events that were due and start checking the clock
+	 */
+	start() {
+		if (this._timer) return;
+
+		this._catchUp();
+		this._lastCheck = Date.now();
+		this._timer = outputTimer.setInterval(this._tick, TICK_INTERVAL);
+	}
+
+	/**
+	 * Stop checking the clock
+	 */
+	stop() {
+		if (this._timer) {
+			outputTimer.clearInterval(this._timer);
+			this._timer = null;
+		}
+	}
+
+	/**
+	 * Set the location for sunrise and sunset
+	 * @param {Object|null} location - { latitude, longitude } in degrees, null to clear
+	 */
+	setLocation(location) {
+		this.location = location
+			? {
+				latitude: Math.max(-90, Math.min(90, location.latitude)),
+				longitude: Math.max(-180, Math.min(180, location.longitude))
+			}
+			: null;
+		this._save();
+	}
+
+	/**
+	 * Run the action of an event
+	 * @param {Object} event - Event from the ScheduleLibrary
+	 */
+	run(event) {
+		const action = event.action;
+
+		if (action.type === 'scene') {
+			if (!this.sceneLibrary.get(action.sceneId)) return;
+			this.sceneController.setSelectScene(action.sceneId, action.fade);
+		} else if (action.type === 'show') {
+			if (!action.showId) return;
+			this.showController.select(action.showId);
+			this.showController.stop();
+			this.showController.play();
+		} else if (action.type === 'blackout') {
+			this.masterController.setBlackout(action.blackout);
+		}
+
+		this.lastRun = { event, time: Date.now() };
+	}
+
+	/**
+	 * Run the events that became due since the last check, in the order they were due
+	 * @private
+	 */
+	_tick() {
+		const now = Date.now();
+		const due = [];
+
+		for (const event of this.scheduleLibrary.getAll()) {
+			if (!event.enabled) continue;
+
+			const time = getNextOccurrence(event, this._lastCheck, this.location);
+			if (time && time <= now) {
+				due.push({ event, time });
+			}
+		}
+
+		// After a throttled timer several events can be due, the latest one has to win
+		due.sort((a, b) => a.time - b.time);
+		for (const { event } of due) {
+			this.run(event);
+		}
+
+		this._lastCheck = now;
+		this.now = now;
+	}
+
+	/**
+	 * Run the last scene event and the last blackout event that were due
+	 * @private
+	 */
+	_catchUp() {
+		const now = Date.now();
+
+		for (const type of ['scene', 'blackout']) {
+			let last = null;
+
+			for (const event of this.scheduleLibrary.getAll()) {
+				if (!event.enabled || event.action.type !== type) continue;
+
+				const time = getPreviousOccurrence(event, now, this.location);
+				if (time && (!last || time > last.time)) {
+					last = { event, time };
+				}
+			}
+
+			if (last) {
+				this.run(last.event);
+			}
+		}
+	}
+
+	/**
+	 * Load the location from localStorage
+	 * @private
+	 */
+	_load() {
+		try {
+			const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+			if (typeof data?.latitude === 'number' && typeof data?.longitude === 'number') {
+				this.location = { latitude: data.latitude, longitude: data.longitude };
+			}
+		} catch (error) {
+			console.warn('Failed to load schedule location:', error);
+		}
+	}
+
+	/**
+	 * Save the location to localStorage
+	 * @private
+	 */
+	_save() {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(this.location));
+	}
+}
@@ -0,0 +1,76 @@
+/**
+ * Sunrise and Sunset
+ *
+ * Computed offline from latitude and longitude with the sunrise equation,
+ * accurate to about a minute. Sunrise and sunset are when the upper edge of
+ * the sun crosses the horizon, with the usual correction for refraction.
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+
+// Correction for the time of solar transit
+const J0 = 0.0009;
+
+// Obliquity of the earth
+const OBLIQUITY = 23.4397 * RAD;
+
+// Altitude of the sun at sunrise and sunset, refraction and the radius of the sun
+const HORIZON = -0.833 * RAD;
+
+/**
+ * Get sunrise and sunset of a day
+ *
+ * @param {Date} date - Any time of the day
+ * @param {number} latitude - Latitude in degrees, north is positive
+ * @param {number} longitude - Longitude in degrees, east is positive
+ * @returns {{sunrise: Date|null, sunset: Date|null}} Both null when the sun doesn't rise or set that day
+ *
+ * @example
+ * getSunTimes(new Date(2024, 5, 21), 52.52, 13.40);
+ * // Returns: { sunrise: 2024-06-21T02:44Z, sunset: 2024-06-21T19:34Z }
+ */
+export function getSunTimes(date, latitude, longitude) {
+	// Solar noon of the local day
+	const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+	const days = noon.getTime() / DAY_MS - 0.5 + J1970 - J2000;
+
+	const lw = -longitude * RAD;
+	const phi = latitude * RAD;
+
+	const cycle = Math.round(days - J0 - lw / (2 * Math.PI));
+	const transit = J0 + lw / (2 * Math.PI) + cycle;
+
+	// Position of the sun at the transit
+	const anomaly = RAD * (357.5291 + 0.98560028 * transit);
+	const center = RAD * (1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly));
+	const eclipticLongitude = anomaly + center + RAD * 102.9372 + Math.PI;
+	const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(OBLIQUITY));
+
+	const solarNoon = J2000 + transit + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+
+	// Hour angle of the sun at the horizon, out of range during polar day and night
+	const cosHourAngle = (Math.sin(HORIZON) - Math.sin(phi) * Math.sin(declination)) / (Math.cos(phi) * Math.cos(declination));
+	if (cosHourAngle < -1 || cosHourAngle > 1) {
+		return { sunrise: null, sunset: null };
+	}
+
+	const hourAngle = Math.acos(cosHourAngle);
+	const set = J2000 + J0 + (hourAngle + lw) / (2 * Math.PI) + cycle
+		+ 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+	const rise = solarNoon - (set - solarNoon);
+
+	return {
+		sunrise: _fromJulian(rise),
+		sunset: _fromJulian(set)
+	};
+}
+
+/**
+ * @private
+ */
+function _fromJulian(julian) {
+	return new Date((julian + 0.5 - J1970) * DAY_MS);
+}
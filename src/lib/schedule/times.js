@@ -0,0 +1,108 @@
+/**
+ * Schedule Times
+ *
+ * When scheduled events happen. An event happens at a time of day, or at
+ * sunrise or sunset with an offset in minutes, on the days of the week it is
+ * scheduled for. Sunrise and sunset need a location, without one these
+ * events don't happen.
+ */
+
+import { getSunTimes } from './sun.js';
+
+// Days to look ahead and back for occurrences, a week covers every day of the week
+const SEARCH_DAYS = 8;
+
+/**
+ * Get the time of an event on a day
+ *
+ * @param {Object} event - Event from the ScheduleLibrary
+ * @param {Date} day - Any time of the day
+ * @param {Object|null} location - { latitude, longitude } for sunrise and sunset
+ * @returns {Date|null} Time of the event, null when it doesn't happen that day
+ */
+export function getEventTime(event, day, location) {
+	if (!event.days.includes(day.getDay())) return null;
+
+	if (event.time.type === 'clock') {
+		return new Date(day.getFullYear(), day.getMonth(), day.getDate(), event.time.hour, event.time.minute);
+	}
+
+	if (!location) return null;
+
+	const sunTimes = getSunTimes(day, location.latitude, location.longitude);
+	const sunTime = event.time.type === 'sunrise' ? sunTimes.sunrise : sunTimes.sunset;
+	if (!sunTime) return null;
+
+	return new Date(sunTime.getTime() + event.time.offset * 60000);
+}
+
+/**
+ * Get the next time an event happens
+ *
+ * @param {Object} event - Event from the ScheduleLibrary
+ * @param {Date|number} after - Only times after this one
+ * @param {Object|null} location - { latitude, longitude } for sunrise and sunset
+ * @returns {Date|null} Next time, null when the event doesn't happen in the next week
+ */
+export function getNextOccurrence(event, after, location) {
+	// Start a day early, an offset can move a sunset event past midnight
+	for (let offset = -1; offset < SEARCH_DAYS; offset++) {
+		const time = getEventTime(event, _addDays(after, offset), location);
+		if (time && time > after) return time;
+	}
+	return null;
+}
+
+/**
+ * Get the last time an event happened
+ *
+ * @param {Object} event - Event from the ScheduleLibrary
+ * @param {Date|number} before - Only times up to this one
+ * @param {Object|null} location - { latitude, longitude } for sunrise and sunset
+ * @returns {Date|null} Last time, null when the event didn't happen in the last week
+ */
+export function getPreviousOccurrence(event, before, location) {
+	for (let offset = 1; offset > -SEARCH_DAYS; offset--) {
+		const time = getEventTime(event, _addDays(before, offset), location);
+		if (time && time <= before) return time;
+	}
+	return null;
+}
+
+/**
+ * List the upcoming occurrences of enabled events
+ *
+ * @param {Array} events - Events from the ScheduleLibrary
+ * @param {Date|number} from - Only times after this one
+ * @param {Object|null} location - { latitude, longitude } for sunrise and sunset
+ * @param {number} [count] - Maximum number of occurrences
+ * @returns {Array<{event: Object, time: Date}>} Occurrences of the next week, earliest first
+ */
+export function getUpcomingEvents(events, from, location, count = 20) {
+	const upcoming = [];
+
+	for (const event of events) {
+		if (!event.enabled) continue;
+
+		for (let offset = -1; offset < SEARCH_DAYS; offset++) {
+			const time = getEventTime(event, _addDays(from, offset), location);
+			if (time && time > from) {
+				upcoming.push({ event, time });
+			}
+		}
+	}
+
+	return upcoming
+		.sort((a, b) => a.time - b.time)
+		.slice(0, count);
+}
+
+/**
+ * Same time of day, a number of days later
+ * @private
+ */
+function _addDays(date, days) {
+	const result = new Date(date);
+	result.setDate(result.getDate() + days);
+	return result;
+}
@@ -0,0 +1,169 @@
+/**
+ * CSS Generation for Shows
+ *
+ * A show is a timeline with one track per device or group. Every clip of a
+ * track becomes one entry in the `animation` list of the track's target, with
+ * an `animation-delay` of the clip start. Clips with static values get
+ * generated keyframes that hold the values for the length of the clip.
+ *
+ * The play position is the `--show-position` property on the container. It is
+ * subtracted from every delay, so seeking restarts the animations with their
+ * delays moved back by the position. Outside of its clips a target falls back
+ * to the scene and default values, because the animations don't fill.
+ *
+ * A show rule replaces the whole `animation` list of a device, so the
+ * animations of the scene or the effect that would run on the device are put
+ * in front of the clips: clips come last and win while they run. There is a
+ * rule for every scene with animations on the device. The scene selector is
+ * wrapped in `:where()`, so the rules keep the specificity of trigger rules,
+ * which come after the shows and override them.
+ */
+
+import { getProperties } from '../outputs/css.js';
+import { resolveTarget } from '../outputs/groups.js';
+import { getSceneAnimations } from '../scenes/css.js';
+import { getEffectAnimations } from '../effects/css.js';
+
+/**
+ * Custom property with the play position of the active show
+ */
+export const SHOW_POSITION_PROPERTY = '--show-position';
+
+/**
+ * Generate CSS for a single show
+ *
+ * @param {Object} show - Show from the ShowLibrary
+ * @param {Array} devices - All devices
+ * @param {Object} animationLibrary - AnimationLibrary instance
+ * @param {Array} [groups] - All device groups, for tracks that target a group
+ * @param {Array} [scenes] - All scenes, for the animations that run outside of the clips
+ * @param {Array} [effects] - All effects, for the animations that run outside of the clips
+ * @returns {string} CSS rules, empty when no track has clips
+ *
+ * @example
+ * generateShowCSS(show, devices, animationLibrary);
+ * // [show="intro"] #spot-1 {
+ * //   animation: sweep 2.000s linear 2;
+ * //   animation-delay: calc(4.000s - var(--show-position, 0s));
+ * // }
+ */
+export function generateShowCSS(show, devices, animationLibrary, groups = [], scenes = [], effects = []) {
+	const rules = [];
+	const showSelector = `[show="${show.cssIdentifier}"]`;
+
+	// Effect rules come in the order of the effects, the last effect of a device wins
+	const effectAnimations = new Map();
+	for (const effect of effects) {
+		for (const [deviceId, animation] of getEffectAnimations(effect, devices, animationLibrary)) {
+			effectAnimations.set(deviceId, animation);
+		}
+	}
+
+	// Tracks with the same target share one animation list, like scene entries
+	const targetTracks = new Map();
+	show.tracks.forEach((track, index) => {
+		if (!targetTracks.has(track.targetId)) {
+			targetTracks.set(track.targetId, []);
+		}
+		targetTracks.get(track.targetId).push({ track, index });
+	});
+
+	for (const [targetId, tracks] of targetTracks) {
+		const target = resolveTarget(targetId, devices, groups);
+		if (!target) continue;
+
+		const animations = [];
+		const delays = [];
+
+		for (const { track, index } of tracks) {
+			track.clips.forEach((clip, clipIndex) => {
+				if (!(clip.duration > 0)) return;
+
+				let animationPart = null;
+				if (clip.type === 'values') {
+					const name = `show-${show.cssIdentifier}-${index + 1}-${clipIndex + 1}`;
+					const keyframes = _generateValuesKeyframes(name, clip.values, target.controls);
+					if (keyframes) {
+						rules.push(keyframes);
+						animationPart = `${name} ${_toSeconds(clip.duration)}s linear 1`;
+					}
+				} else {
+					const animation = animationLibrary?.get(clip.animation?.id);
+					if (animation) {
+						const iterations = Math.max(1, clip.animation.iterations || 1);
+						animationPart = `${animation.cssIdentifier} ${_toSeconds(clip.duration / iterations)}s ${clip.animation.easing || 'linear'} ${iterations}`;
+					}
+				}
+
+				if (animationPart) {
+					animations.push(animationPart);
+					delays.push(`calc(${_toSeconds(clip.start)}s - var(${SHOW_POSITION_PROPERTY}, 0s))`);
+				}
+			});
+		}
+
+		if (animations.length === 0) continue;
+
+		const clips = animations.map((animation, index) => ({ animation, delay: delays[index] }));
+		rules.push(..._generateRules(showSelector, target.selector, [], clips));
+
+		// Scenes override effects, so their rules come after the rule of the effect
+		for (const device of target.devices) {
+			const selector = `#${device.cssIdentifier}`;
+
+			const effectAnimation = effectAnimations.get(device.id);
+			if (effectAnimation) {
+				rules.push(..._generateRules(showSelector, selector, [effectAnimation], clips));
+			}
+
+			for (const scene of scenes) {
+				const sceneAnimations = getSceneAnimations(scene, device, devices, groups, animationLibrary)
+					.map(animation => ({ animation, delay: '0s' }));
+				if (sceneAnimations.length === 0) continue;
+
+				rules.push(..._generateRules(`:where([scene="${scene.cssIdentifier}"])${showSelector}`, selector, sceneAnimations, clips));
+			}
+		}
+	}
+
+	return rules.join('\n\n');
+}
+
+/**
+ * Rule with the animations that run outside of the clips in front of the clips, and the rule that pauses the clips
+ * @private
+ */
+function _generateRules(containerSelector, targetSelector, below, clips) {
+	const all = [...below, ...clips];
+	const playStates = all.map((_, index) => index < below.length ? 'running' : 'paused');
+
+	return [
+		`${containerSelector} ${targetSelector} {\n  animation: ${all.map(a => a.animation).join(', ')};\n  animation-delay: ${all.map(a => a.delay).join(', ')};\n}`,
+		`${containerSelector}[show-paused] ${targetSelector} {\n  animation-play-state: ${playStates.join(', ')};\n}`
+	];
+}
+
+/**
+ * Keyframes that hold static values
+ * @private
+ */
+function _generateValuesKeyframes(name, values, controls) {
+	if (!values) return '';
+
+	const filteredControls = controls.filter(control => Object.hasOwn(values, control.id));
+	const properties = getProperties(values, filteredControls);
+	if (Object.keys(properties).length === 0) return '';
+
+	const props = Object.entries(properties)
+		.map(([prop, value]) => `${prop}: ${value}`)
+		.join('; ');
+
+	return `@keyframes ${name} {\n  0%, 100% { ${props}; }\n}`;
+}
+
+/**
+ * @private
+ */
+function _toSeconds(ms) {
+	return (ms / 1000).toFixed(3);
+}
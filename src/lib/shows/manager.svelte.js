@@ -0,0 +1,205 @@
+/**
+ * ShowController
+ *
+ * Transport of the show timeline: play, pause, stop, seek and the loop region.
+ * The CSS animations of a show run by themselves, the controller only keeps
+ * the play position. Every seek restarts the animations of the show with the
+ * new position, see CSSManager.setShow().
+ *
+ * The position is tracked on the output timer, so loops and the end of the
+ * show are handled while the tab is in the background.
+ */
+
+import { outputTimer } from '../outputs/timer.js';
+
+// Interval of position updates
+const TICK_INTERVAL = 50;
+
+export class ShowController {
+	// Reactive transport state
+	activeShowId = $state(null);
+	playing = $state(false);
+	stopped = $state(true); // targets of a stopped show return to scene values
+	position = $state(0); // ms
+
+	constructor(showLibrary) {
+		this.showLibrary = showLibrary;
+		this.onShowChange = null;
+
+		// Clock of the running show
+		this._startTime = 0;
+		this._startPosition = 0;
+		this._timer = null;
+
+		this._tick = this._tick.bind(this);
+	}
+
+	/**
+	 * Set callback for show changes
+	 * @param {Function} callback - Called with (showCssIdentifier, position, paused), showCssIdentifier is null without a show
+	 */
+	setOnShowChange(callback) {
+		this.onShowChange = callback;
+		this._notifyShowChange();
+	}
+
+	/**
+	 * Get the active show object
+	 * @returns {Object|null} Active show or null
+	 */
+	getActiveShow() {
+		return this.showLibrary.get(this.activeShowId) || null;
+	}
+
+	/**
+	 * Select the show of the transport, stops the current show
+	 * @param {string|null} showId - Show ID
+	 */
+	select(showId) {
+		if (showId === this.activeShowId) return;
+
+		this._stopTimer();
+		this.activeShowId = showId;
+		this.playing = false;
+		this.stopped = true;
+		this.position = 0;
+		this._notifyShowChange();
+	}
+
+	/**
+	 * Play the active show from the current position
+	 */
+	play() {
+		const show = this.getActiveShow();
+		if (!show || this.playing) return;
+
+		if (this.position >= show.duration) {
+			this.position = 0;
+		}
+
+		this.playing = true;
+		this.stopped = false;
+		this._startClock();
+		this._notifyShowChange();
+	}
+
+	/**
+	 * Pause at the current position
+	 */
+	pause() {
+		if (!this.playing) return;
+
+		this.position = this._getClockPosition();
+		this.playing = false;
+		this._stopTimer();
+		this._notifyShowChange();
+	}
+
+	/**
+	 * Stop and go back to the start, targets return to scene values
+	 */
+	stop() {
+		this.playing = false;
+		this.stopped = true;
+		this.position = 0;
+		this._stopTimer();
+		this._notifyShowChange();
+	}
+
+	/**
+	 * Move the play position, a stopped show is paused at the position
+	 * @param {number} position - Position in ms
+	 */
+	seek(position) {
+		const show = this.getActiveShow();
+		if (!show) return;
+
+		this.position = Math.max(0, Math.min(show.duration, position));
+		this.stopped = false;
+		if (this.playing) {
+			this._startClock();
+		}
+		this._notifyShowChange();
+	}
+
+	/**
+	 * Restart the animations at the current position, after the show was edited
+	 * Animations that were added to a running show would otherwise start out of sync
+	 */
+	resync() {
+		if (!this.getActiveShow() || this.stopped) return;
+		this.seek(this.playing ? this._getClockPosition() : this.position);
+	}
+
+	/**
+	 * Handle show deletion
+	 * @param {string} showId - Deleted show ID
+	 */
+	handleShowDeleted(showId) {
+		if (this.activeShowId === showId) {
+			this.select(null);
+		}
+	}
+
+	/**
+	 * Update the position, and jump back at the end of the loop region
+	 * @private
+	 */
+	_tick() {
+		const show = this.getActiveShow();
+		if (!show) {
+			this.stop();
+			return;
+		}
+
+		const position = this._getClockPosition();
+		const loop = show.loop;
+
+		if (loop?.enabled && loop.end > loop.start && this.position < loop.end && position >= loop.end) {
+			this.seek(loop.start);
+		} else if (position >= show.duration) {
+			this.stop();
+		} else {
+			this.position = position;
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_getClockPosition() {
+		return this._startPosition + performance.now() - this._startTime;
+	}
+
+	/**
+	 * @private
+	 */
+	_startClock() {
+		this._startTime = performance.now();
+		this._startPosition = this.position;
+		if (!this._timer) {
+			this._timer = outputTimer.setInterval(this._tick, TICK_INTERVAL);
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_stopTimer() {
+		if (this._timer) {
+			outputTimer.clearInterval(this._timer);
+			this._timer = null;
+		}
+	}
+
+	/**
+	 * Notify listener of show changes
+	 * @private
+	 */
+	_notifyShowChange() {
+		if (!this.onShowChange) return;
+
+		const show = this.stopped ? null : this.getActiveShow();
+		this.onShowChange(show?.cssIdentifier || null, this.position, !this.playing);
+	}
+}
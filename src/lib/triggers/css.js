@@ -5,27 +5,27 @@
  */
 
 import { getProperties } from '../outputs/css.js';
-import { DEVICE_TYPES } from '../outputs/devices.js';
 import { getCSSClassName } from './utils.js';
 import { getInputExportedValues } from '../inputs/valueTypes.js';
+import { MASTERS, BLACKOUT, MASTERS_CLASS, MASTERS_OUTPUT_ID } from '../outputs/masters.js';
 
 /**
- * Generate CSS for all triggers targeting a specific device
- * @param {Object} device - Device object
+ * Generate CSS for all triggers targeting a specific device or group
+ * @param {Object} target - Output target from resolveTarget()
  * @param {Array} allTriggers - All trigger objects
  * @param {Object} animationLibrary - AnimationLibrary instance
  * @param {Object} inputLibrary - InputLibrary instance
- * @returns {string} CSS rules for this device
+ * @returns {string} CSS rules for this target
  */
-export function generateCSSTriggers(device, allTriggers, animationLibrary, inputLibrary) {
+export function generateCSSTriggers(target, allTriggers, animationLibrary, inputLibrary) {
 	const cssRules = [];
 	
-	// Get all action triggers for this device (value triggers handled separately)
-	const deviceTriggers = allTriggers.filter(t => t.output?.id === device.id && t.type === 'action');
+	// Get all action triggers for this target (value triggers handled separately)
+	const deviceTriggers = allTriggers.filter(t => t.output?.id === target.id && t.type === 'action');
 	
 	// Generate CSS for each trigger
 	for (const trigger of deviceTriggers) {
-		const css = _generateTriggerCSS(device, trigger, animationLibrary, inputLibrary);
+		const css = _generateTriggerCSS(target, trigger, animationLibrary, inputLibrary);
 		if (css) cssRules.push(css);
 	}
 	
@@ -33,14 +33,14 @@ export function generateCSSTriggers(device, allTriggers, animationLibrary, input
 }
 
 /**
- * Generate CSS for a trigger on a device
+ * Generate CSS for a trigger on a device or group
  * @private
  */
-function _generateTriggerCSS(device, trigger, animationLibrary, inputLibrary) {
+function _generateTriggerCSS(target, trigger, animationLibrary, inputLibrary) {
 	if (trigger.action?.type === 'animation') {
-		return _generateAnimationCSS(device, trigger, animationLibrary, inputLibrary);
+		return _generateAnimationCSS(target, trigger, animationLibrary, inputLibrary);
 	} else if (trigger.action?.type === 'values') {
-		return _generateValuesCSS(device, trigger, inputLibrary);
+		return _generateValuesCSS(target, trigger, inputLibrary);
 	}
 	return '';
 }
@@ -49,7 +49,7 @@ function _generateTriggerCSS(device, trigger, animationLibrary, inputLibrary) {
  * Generate CSS for animation trigger
  * @private
  */
-function _generateAnimationCSS(device, trigger, animationLibrary, inputLibrary) {
+function _generateAnimationCSS(target, trigger, animationLibrary, inputLibrary) {
 	if (!trigger.action?.animation?.id) return '';
 	
 	const anim = trigger.action.animation;
@@ -66,7 +66,7 @@ function _generateAnimationCSS(device, trigger, animationLibrary, inputLibrary)
 	const animationValue = `${animName} ${durationSec}s ${anim.easing} ${iterationsValue}`;
 	
 	const cssClassName = getCSSClassName(trigger, inputLibrary);
-	const selector = `.${cssClassName} #${device.cssIdentifier}`;
+	const selector = `.${cssClassName} ${target.selector}`;
 	
 	return `${selector} {
   animation: ${animationValue};
@@ -80,16 +80,12 @@ function _generateAnimationCSS(device, trigger, animationLibrary, inputLibrary)
  *
  * @private
  */
-function _generateValuesCSS(device, trigger, inputLibrary) {
+function _generateValuesCSS(target, trigger, inputLibrary) {
 	const values = trigger.action?.values;
 	if (!values) return '';
 
-	// Get device type
-	const deviceType = DEVICE_TYPES[device.type];
-	if (!deviceType) return '';
-
 	// Filter controls to only those present in output.values (implicit enabling)
-	const filteredControls = deviceType.controls.filter(control =>
+	const filteredControls = target.controls.filter(control =>
 		Object.hasOwn(values, control.id)
 	);
 
@@ -104,7 +100,7 @@ function _generateValuesCSS(device, trigger, inputLibrary) {
 		.join('\n');
 
 	const cssClassName = getCSSClassName(trigger, inputLibrary);
-	const selector = `.${cssClassName} #${device.cssIdentifier}`;
+	const selector = `.${cssClassName} ${target.selector}`;
 
 	return `${selector} {
 ${props}
@@ -112,19 +108,16 @@ ${props}
 }
 
 /**
- * Generate CSS for multiple value-based triggers on a single device
+ * Generate CSS for multiple value-based triggers on a single device or group
  * Combines all triggers into a single CSS rule block
  *
- * @param {Array} triggers - Array of value trigger objects for this device
- * @param {Object} device - Target device object
+ * @param {Array} triggers - Array of value trigger objects for this target
+ * @param {Object} target - Output target from resolveTarget()
  * @param {Object} inputLibrary - InputLibrary instance
  * @returns {string} Combined CSS rule for all value mappings
  */
-export function generateValueTriggersCSS(triggers, device, inputLibrary) {
-	if (!triggers || !device || !inputLibrary) return '';
-
-	const deviceType = DEVICE_TYPES[device.type];
-	if (!deviceType) return '';
+export function generateValueTriggersCSS(triggers, target, inputLibrary) {
+	if (!triggers || !target || !inputLibrary) return '';
 
 	// Collect all CSS property/value pairs
 	const properties = [];
@@ -132,7 +125,7 @@ export function generateValueTriggersCSS(triggers, device, inputLibrary) {
 	for (const trigger of triggers) {
 		if (trigger.type !== 'value') continue;
 
-		const propValue = _generateValueTriggerProperty(trigger, device, deviceType, inputLibrary);
+		const propValue = _generateValueTriggerProperty(trigger, target, inputLibrary);
 		if (propValue) {
 			properties.push(propValue);
 		}
@@ -141,7 +134,7 @@ export function generateValueTriggersCSS(triggers, device, inputLibrary) {
 	if (properties.length === 0) return '';
 
 	// Build combined CSS rule
-	const selector = `#${device.cssIdentifier}`;
+	const selector = target.selector;
 	const props = properties.map(p => `  ${p.property}: ${p.value};`).join('\n');
 
 	return `${selector} {\n${props}\n}`;
@@ -151,7 +144,7 @@ export function generateValueTriggersCSS(triggers, device, inputLibrary) {
  * Generate CSS property/value for a single value trigger
  * @private
  */
-function _generateValueTriggerProperty(trigger, device, deviceType, inputLibrary) {
+function _generateValueTriggerProperty(trigger, target, inputLibrary) {
 	// Get input and its exported values
 	const input = inputLibrary.get(trigger.input?.id);
 	if (!input) return null;
@@ -160,7 +153,7 @@ function _generateValueTriggerProperty(trigger, device, deviceType, inputLibrary
 	const inputValue = exportedValues.find(v => v.key === trigger.input?.value);
 	if (!inputValue || !inputValue.cssProperty) return null;
 
-	const controlDef = deviceType.controls.find(c => c.id === trigger.action?.copy?.control);
+	const controlDef = target.controls.find(c => c.id === trigger.action?.copy?.control);
 	if (!controlDef) return null;
 
 	// Get control metadata and find the specific value by id
@@ -210,6 +203,71 @@ function _generateValueTriggerProperty(trigger, device, deviceType, inputLibrary
 	return { property: outputCssProperty, value: cssValue };
 }
 
+/**
+ * Generate CSS for triggers targeting the masters
+ * Action triggers set a master level or blackout while their class is active,
+ * value triggers copy an input value to a master level
+ *
+ * @param {Array} triggers - All trigger objects, action triggers in priority order
+ * @param {Object} inputLibrary - InputLibrary instance
+ * @returns {string} CSS rules for the masters element
+ */
+export function generateMasterTriggersCSS(triggers, inputLibrary) {
+	const cssRules = [];
+
+	// Action triggers
+	for (const trigger of triggers) {
+		if (trigger.type !== 'action' || trigger.action?.type !== 'master') continue;
+
+		const masterId = trigger.action.master?.id;
+		let property;
+		if (masterId === BLACKOUT.id) {
+			property = `${BLACKOUT.cssProperty}: on`;
+		} else {
+			const master = MASTERS.find(m => m.id === masterId);
+			if (!master) continue;
+			property = `${master.cssProperty}: ${Math.round((trigger.action.master.level ?? 0) * 100)}%`;
+		}
+
+		const cssClassName = getCSSClassName(trigger, inputLibrary);
+		cssRules.push(`.${cssClassName} .${MASTERS_CLASS} {\n  ${property};\n}`);
+	}
+
+	// Value triggers, combined into a single rule
+	const properties = [];
+	for (const trigger of triggers) {
+		if (trigger.type !== 'value' || trigger.output?.id !== MASTERS_OUTPUT_ID) continue;
+
+		const input = inputLibrary?.get(trigger.input?.id);
+		if (!input) continue;
+
+		const inputValue = getInputExportedValues(input).find(v => v.key === trigger.input?.value);
+		if (!inputValue || !inputValue.cssProperty) continue;
+
+		const master = MASTERS.find(m => m.id === trigger.action?.copy?.control);
+		if (!master) continue;
+
+		const invert = trigger.action?.copy?.invert;
+		const value = _generateCalcExpression(
+			inputValue.cssProperty,
+			inputValue.min,
+			inputValue.max,
+			inputValue.unit || '',
+			invert ? 100 : 0,
+			invert ? 0 : 100,
+			'%'
+		);
+
+		properties.push(`  ${master.cssProperty}: ${value};`);
+	}
+
+	if (properties.length > 0) {
+		cssRules.push(`.${MASTERS_CLASS} {\n${properties.join('\n')}\n}`);
+	}
+
+	return cssRules.join('\n\n');
+}
+
 /**
  * Generate a CSS calc() expression for value conversion
  * Uses the general linear transformation: output = (input - inputMin) / inputRange * outputRange + outputMin
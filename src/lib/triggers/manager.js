@@ -71,13 +71,14 @@ export class TriggerManager extends EventEmitter {
 			const state = mapping.input?.state;
 			const inputId = mapping.input?.id;
 			const sceneId = mapping.action.scene.id;
+			const fadeTime = mapping.action.scene.fade ?? null;
 
 			if (state === 'down') {
-				this._emit('scenePush', { level: 'momentary', id: inputId, sceneId });
+				this._emit('scenePush', { level: 'momentary', id: inputId, sceneId, fadeTime });
 			} else if (state === 'on') {
-				this._emit('scenePush', { level: 'toggle', id: inputId, sceneId });
+				this._emit('scenePush', { level: 'toggle', id: inputId, sceneId, fadeTime });
 			} else if (state === 'select') {
-				this._emit('sceneSelect', { sceneId });
+				this._emit('sceneSelect', { sceneId, fadeTime });
 			}
 			return;
 		}
@@ -91,6 +92,15 @@ export class TriggerManager extends EventEmitter {
 			return;
 		}
 
+		// Handle GO / BACK on the cue stack
+		if (mapping.action?.type === 'cue') {
+			const state = mapping.input?.state;
+			if (state === 'down' || state === 'on' || state === 'select') {
+				this._emit('cueCommand', { command: mapping.action.cue?.command || 'go' });
+			}
+			return;
+		}
+
 		// Both animation and setValue actions use CSS classes
 		const className = mapping.cssClassName;
 		const state = mapping.input?.state;
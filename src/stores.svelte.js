@@ -4,17 +4,37 @@
  * Components can import and use them directly without prop drilling
  */
 
+import { DeviceTypeLibrary } from './lib/DeviceTypeLibrary.svelte.js';
 import { DeviceLibrary } from './lib/DeviceLibrary.svelte.js';
 import { AnimationLibrary } from './lib/AnimationLibrary.svelte.js';
 import { InputLibrary } from './lib/InputLibrary.svelte.js';
 import { TriggerLibrary } from './lib/TriggerLibrary.svelte.js';
 import { SceneLibrary } from './lib/SceneLibrary.svelte.js';
 import { DrawingLibrary } from './lib/DrawingLibrary.svelte.js';
+import { DeviceGroupLibrary } from './lib/DeviceGroupLibrary.svelte.js';
+import { EffectLibrary } from './lib/EffectLibrary.svelte.js';
+import { ShowLibrary } from './lib/ShowLibrary.svelte.js';
+import { CueLibrary } from './lib/CueLibrary.svelte.js';
+import { ScheduleLibrary } from './lib/ScheduleLibrary.svelte.js';
+import { PlaybackLibrary } from './lib/PlaybackLibrary.svelte.js';
+import { migrateStorage } from './lib/migrations.js';
 
 // Create singleton instances
+// Device types first, so devices of user-defined types resolve
+export const deviceTypeLibrary = new DeviceTypeLibrary();
+
+// Upgrade data saved by earlier versions, before the other libraries load it
+migrateStorage();
+
 export const deviceLibrary = new DeviceLibrary();
+export const deviceGroupLibrary = new DeviceGroupLibrary();
 export const animationLibrary = new AnimationLibrary();
 export const inputLibrary = new InputLibrary();
 export const triggerLibrary = new TriggerLibrary();
 export const sceneLibrary = new SceneLibrary();
 export const drawingLibrary = new DrawingLibrary();
+export const effectLibrary = new EffectLibrary();
+export const showLibrary = new ShowLibrary();
+export const cueLibrary = new CueLibrary();
+export const scheduleLibrary = new ScheduleLibrary();
+export const playbackLibrary = new PlaybackLibrary();